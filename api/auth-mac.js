@@ -1,84 +1,211 @@
 // pages/api/mac-auth.js or api/mac-auth/route.js - MAC Authentication API Handler
-import MACDatabase from '../../mac-database.js';
+import MACDatabase, { LOG_SORT_FIELDS, MAC_SORT_FIELDS, IMPORT_MODES, EXPORT_FORMATS, ACCESS_REQUEST_STATUSES, ANOMALY_STATUSES } from '../auth/mac-database.js';
+import { ANOMALY_TYPES } from '../auth/anomaly-detector.js';
+import { parseWhitelistCSV } from '../auth/whitelist-csv.js';
+import AdminAuth, { ADMIN_ROLES, hasRole } from '../auth/admin-auth.js';
+import AdminLockout from '../auth/admin-lockout.js';
+import { AccessTokenSigner } from '../auth/access-token.js';
+import { RateLimiter, MemoryRateLimitStore, StorageRateLimitStore, rateLimitPolicies, rateLimitHeaders, resolveClientIP } from '../auth/rate-limiter.js';
+import { DATABASE_CONFIG, DEVELOPMENT_CONFIG } from '../database-config.js';
+import { validateMACAddress, validateTrialLimits, validateListQuery, validateGroupName, validateGroupPolicy, ACCESS_TYPES, ENTRY_STATUSES } from '../auth/validation.js';
+import { validateAccessWindow, describeAccessWindow } from '../auth/access-window.js';
 import crypto from 'crypto';
 
 // Initialize database
 const macDB = new MACDatabase();
 
-// Admin authentication helper
-function verifyAdminKey(adminKey, requiredKey) {
-    if (!adminKey || !requiredKey) {
-        return false;
-    }
-    return adminKey === requiredKey;
+// Periodic safety backups while the function instance stays warm
+if (DEVELOPMENT_CONFIG.autoBackup) {
+    macDB.startBackupSchedule(DEVELOPMENT_CONFIG.backupInterval);
 }
 
-// Request validation helper
-function validateMACAddress(macAddress) {
-    const macRegex = /^([0-9A-Fa-f]{2}[:-]){5}([0-9A-Fa-f]{2})$/;
-    return macRegex.test(macAddress);
-}
+// Admin accounts and session tokens
+const adminAuth = new AdminAuth(macDB);
 
-// Rate limiting helper (simple in-memory store)
-const rateLimitStore = new Map();
-const RATE_LIMIT = 60; // requests per hour
-const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour in milliseconds
+// Locks out IPs after repeated failed admin logins / invalid session tokens
+const adminLockout = new AdminLockout(macDB);
 
-function checkRateLimit(identifier) {
-    const now = Date.now();
-    const key = identifier;
-    
-    if (!rateLimitStore.has(key)) {
-        rateLimitStore.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-        return true;
+// Signs the offline access tokens returned by check-access
+const accessTokens = new AccessTokenSigner(DATABASE_CONFIG);
+
+// Actions that need no admin session; everything else requires a valid bearer token
+const PUBLIC_ACTIONS = new Set(['check-access', 'admin-login', 'request-access', 'access-request-status', 'access-token-keys', 'session-heartbeat', 'end-session']);
+
+// Limits on self-service access requests
+const MAX_REQUEST_MACS = 16;
+const MAX_REQUEST_NOTE = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Minimum admin role for each action (see ADMIN_ROLES: viewer < operator < owner)
+export const ACTION_ROLES = {
+    'list-macs': 'viewer',
+    'get-logs': 'viewer',
+    'get-audit': 'viewer',
+    'cache-stats': 'viewer',
+    'list-backups': 'viewer',
+    'diff-backup': 'viewer',
+    'export': 'viewer',
+    'list-groups': 'viewer',
+    'list-access-requests': 'viewer',
+    'list-sessions': 'viewer',
+    'anomalies': 'viewer',
+    'add-mac': 'operator',
+    'update-access': 'operator',
+    'attach-mac': 'operator',
+    'detach-mac': 'operator',
+    'bulk-add': 'operator',
+    'bulk-update': 'operator',
+    'import': 'operator',
+    'create-group': 'operator',
+    'update-group': 'operator',
+    'move-devices': 'operator',
+    'set-group-access': 'operator',
+    'approve-access-request': 'operator',
+    'reject-access-request': 'operator',
+    'revoke-session': 'operator',
+    'resolve-anomaly': 'operator',
+    'set-status': 'operator',
+    'set-access-window': 'operator',
+    'remove-mac': 'owner',
+    'bulk-remove': 'owner',
+    'remove-group': 'owner',
+    'maintenance': 'owner',
+    'restore-backup': 'owner',
+    'create-admin': 'owner',
+    'list-admins': 'owner',
+    'set-admin-role': 'owner',
+    'remove-admin': 'owner',
+    'list-lockouts': 'owner',
+    'clear-lockout': 'owner'
+};
+
+// Rate limits per route (see rateLimitPolicies). The storage store keeps the
+// counters in the database backend so they survive cold starts.
+const rateLimiter = new RateLimiter(rateLimitPolicies(DATABASE_CONFIG), {
+    enabled: DATABASE_CONFIG.rateLimitEnabled,
+    store: DATABASE_CONFIG.rateLimitStore === 'memory'
+        ? new MemoryRateLimitStore({ maxKeys: DATABASE_CONFIG.rateLimitMaxKeys })
+        : new StorageRateLimitStore(macDB.storage, { ready: macDB.ready, maxKeys: DATABASE_CONFIG.rateLimitMaxKeys })
+});
+
+function setRateLimitHeaders(res, result) {
+    for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+        res.setHeader(name, value);
     }
-    
-    const entry = rateLimitStore.get(key);
-    
-    if (now > entry.resetTime) {
-        // Reset the counter
-        entry.count = 1;
-        entry.resetTime = now + RATE_LIMIT_WINDOW;
-        return true;
+}
+
+// Count a request against a rate limit policy (or with count: false, only check
+// it) and report it in the response headers. A request let through because the
+// store failed is logged, so an outage doesn't silently disable the limits.
+async function rateLimit(res, policy, key, { count = true } = {}) {
+    const result = count ? await rateLimiter.consume(policy, key) : await rateLimiter.check(policy, key);
+    setRateLimitHeaders(res, result);
+    if (result.failedOpen) {
+        logSecurityEvent('RATE_LIMIT_UNAVAILABLE', `Store error; ${policy} limit not applied for ${key}`);
     }
-    
-    if (entry.count >= RATE_LIMIT) {
-        return false;
+    return result;
+}
+
+// Count a failed admin authentication and log the lockout it may trigger
+async function recordAuthFailure(clientIP, username, reason) {
+    const lockout = await adminLockout.recordFailure(clientIP, { username, reason });
+    if (lockout.lockedNow) {
+        logSecurityEvent('ADMIN_LOCKOUT', `Locked out until ${lockout.lockedUntil} (lockout ${lockout.lockouts}) after ${reason}`, clientIP);
     }
-    
-    entry.count++;
-    return true;
 }
 
 // Security logging
-function logSecurityEvent(event, details, ip = 'unknown') {
+function logSecurityEvent(event, details, ip = 'unknown', admin = null) {
     const timestamp = new Date().toISOString();
-    console.log(`[SECURITY] ${timestamp} | IP: ${ip} | Event: ${event} | Details: ${details}`);
+    const actor = admin ? ` | Admin: ${admin.username}` : '';
+    console.log(`[SECURITY] ${timestamp} | IP: ${ip}${actor} | Event: ${event} | Details: ${details}`);
 }
 
 // Main API handler
 export default async function handler(req, res) {
     const { method, query, body } = req;
     const action = query.action;
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
+    const clientIP = resolveClientIP(req, DATABASE_CONFIG.trustProxyHops);
     
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
     
     if (method === 'OPTIONS') {
         return res.status(200).end();
     }
     
     try {
-        // Basic rate limiting
-        if (!checkRateLimit(clientIP)) {
-            logSecurityEvent('RATE_LIMIT_EXCEEDED', 'Too many requests', clientIP);
-            return res.status(429).json({
-                success: false,
-                message: 'Too many requests. Please try again later.'
-            });
+        // Public actions are limited per client IP; check-access has its own budget
+        // so launches aren't starved by heartbeats or status polling, and
+        // admin-login is limited on failed attempts only (see handleAdminLogin)
+        if (PUBLIC_ACTIONS.has(action) && action !== 'admin-login') {
+            const limit = await rateLimit(res, action === 'check-access' ? 'check-access' : 'public', clientIP);
+            if (!limit.allowed) {
+                logSecurityEvent('RATE_LIMIT_EXCEEDED', `Too many requests (${limit.policy})`, clientIP);
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many requests. Please try again later.'
+                });
+            }
+        }
+        
+        // An IP with too many failed admin logins or invalid tokens is locked out of admin routes
+        if (!PUBLIC_ACTIONS.has(action) || action === 'admin-login') {
+            const lockout = await adminLockout.check(clientIP);
+            if (lockout.locked) {
+                res.setHeader('Retry-After', String(lockout.retryAfter));
+                logSecurityEvent('ADMIN_LOCKED_OUT', `Rejected ${action} until ${lockout.lockedUntil}`, clientIP);
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many failed admin authentications. Please try again later.',
+                    data: { lockedUntil: lockout.lockedUntil, retryAfter: lockout.retryAfter }
+                });
+            }
+        }
+        
+        // Admin authentication (Authorization: Bearer <session token>)
+        let admin = null;
+        if (!PUBLIC_ACTIONS.has(action)) {
+            admin = await adminAuth.authenticate(req.headers.authorization);
+            if (!admin) {
+                await recordAuthFailure(clientIP, null, 'invalid session token');
+                logSecurityEvent('UNAUTHORIZED_ADMIN', `Missing or invalid session token for ${action}`, clientIP);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Unauthorized: Invalid admin credentials'
+                });
+            }
+            
+            // Signed-in admins are limited per account rather than per IP
+            const limit = await rateLimit(res, 'admin', admin.username);
+            if (!limit.allowed) {
+                logSecurityEvent('RATE_LIMIT_EXCEEDED', 'Too many admin requests', clientIP, admin);
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many requests. Please try again later.'
+                });
+            }
+            
+            // An action without a role mapping is refused rather than open to every role
+            const requiredRole = ACTION_ROLES[action];
+            if (!requiredRole) {
+                logSecurityEvent('INVALID_ACTION', `Unknown action: ${action}`, clientIP, admin);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid action specified'
+                });
+            }
+            
+            if (!hasRole(admin, requiredRole)) {
+                logSecurityEvent('FORBIDDEN_ADMIN', `Role ${admin.role} cannot ${action} (requires ${requiredRole})`, clientIP, admin);
+                return res.status(403).json({
+                    success: false,
+                    message: `Forbidden: ${action} requires the ${requiredRole} role`
+                });
+            }
         }
         
         // Handle different actions
@@ -86,26 +213,140 @@ export default async function handler(req, res) {
             case 'check-access':
                 return await handleCheckAccess(req, res, clientIP);
             
+            case 'admin-login':
+                return await handleAdminLogin(req, res, clientIP);
+            
+            case 'request-access':
+                return await handleRequestAccess(req, res, clientIP);
+            
+            case 'access-request-status':
+                return await handleAccessRequestStatus(req, res, clientIP);
+            
+            case 'access-token-keys':
+                return handleAccessTokenKeys(req, res);
+            
+            case 'session-heartbeat':
+                return await handleSessionHeartbeat(req, res, clientIP);
+            
+            case 'end-session':
+                return await handleEndSession(req, res, clientIP);
+            
+            case 'list-sessions':
+                return await handleListSessions(req, res, clientIP, admin);
+            
+            case 'revoke-session':
+                return await handleRevokeSession(req, res, clientIP, admin);
+            
+            case 'anomalies':
+                return await handleListAnomalies(req, res, clientIP, admin);
+            
+            case 'resolve-anomaly':
+                return await handleResolveAnomaly(req, res, clientIP, admin);
+            
+            case 'list-access-requests':
+                return await handleListAccessRequests(req, res, clientIP, admin);
+            
+            case 'approve-access-request':
+                return await handleApproveAccessRequest(req, res, clientIP, admin);
+            
+            case 'reject-access-request':
+                return await handleRejectAccessRequest(req, res, clientIP, admin);
+            
             case 'add-mac':
-                return await handleAddMAC(req, res, clientIP);
+                return await handleAddMAC(req, res, clientIP, admin);
             
             case 'update-access':
-                return await handleUpdateAccess(req, res, clientIP);
+                return await handleUpdateAccess(req, res, clientIP, admin);
             
             case 'remove-mac':
-                return await handleRemoveMAC(req, res, clientIP);
+                return await handleRemoveMAC(req, res, clientIP, admin);
+            
+            case 'attach-mac':
+                return await handleAttachMAC(req, res, clientIP, admin);
+            
+            case 'set-status':
+                return await handleSetStatus(req, res, clientIP, admin);
+            
+            case 'set-access-window':
+                return await handleSetAccessWindow(req, res, clientIP, admin);
+            
+            case 'detach-mac':
+                return await handleDetachMAC(req, res, clientIP, admin);
             
             case 'list-macs':
-                return await handleListMACs(req, res, clientIP);
+                return await handleListMACs(req, res, clientIP, admin);
             
             case 'bulk-add':
-                return await handleBulkAdd(req, res, clientIP);
+                return await handleBulkAdd(req, res, clientIP, admin);
+            
+            case 'bulk-update':
+                return await handleBulkUpdate(req, res, clientIP, admin);
+            
+            case 'bulk-remove':
+                return await handleBulkRemove(req, res, clientIP, admin);
+            
+            case 'list-groups':
+                return await handleListGroups(req, res, clientIP, admin);
+            
+            case 'create-group':
+                return await handleCreateGroup(req, res, clientIP, admin);
+            
+            case 'update-group':
+                return await handleUpdateGroup(req, res, clientIP, admin);
+            
+            case 'remove-group':
+                return await handleRemoveGroup(req, res, clientIP, admin);
+            
+            case 'move-devices':
+                return await handleMoveDevices(req, res, clientIP, admin);
+            
+            case 'set-group-access':
+                return await handleSetGroupAccess(req, res, clientIP, admin);
+            
+            case 'export':
+                return await handleExport(req, res, clientIP, admin);
+            
+            case 'import':
+                return await handleImport(req, res, clientIP, admin);
             
             case 'get-logs':
-                return await handleGetLogs(req, res, clientIP);
+                return await handleGetLogs(req, res, clientIP, admin);
+            
+            case 'get-audit':
+                return await handleGetAudit(req, res, clientIP, admin);
             
             case 'maintenance':
-                return await handleMaintenance(req, res, clientIP);
+                return await handleMaintenance(req, res, clientIP, admin);
+            
+            case 'cache-stats':
+                return await handleCacheStats(req, res, clientIP, admin);
+            
+            case 'list-backups':
+                return await handleListBackups(req, res, clientIP, admin);
+            
+            case 'restore-backup':
+                return await handleRestoreBackup(req, res, clientIP, admin);
+            
+            case 'diff-backup':
+                return await handleDiffBackup(req, res, clientIP, admin);
+            
+            case 'create-admin':
+                return await handleCreateAdmin(req, res, clientIP, admin);
+            
+            case 'list-admins':
+                return await handleListAdmins(req, res, clientIP, admin);
+            
+            case 'set-admin-role':
+                return await handleSetAdminRole(req, res, clientIP, admin);
+            
+            case 'remove-admin':
+                return await handleRemoveAdmin(req, res, clientIP, admin);
+            
+            case 'list-lockouts':
+                return await handleListLockouts(req, res, clientIP, admin);
+            
+            case 'clear-lockout':
+                return await handleClearLockout(req, res, clientIP, admin);
             
             default:
                 logSecurityEvent('INVALID_ACTION', `Unknown action: ${action}`, clientIP);
@@ -168,6 +409,11 @@ async function handleCheckAccess(req, res, clientIP) {
         const result = await macDB.checkAccess(macAddresses, deviceInfo);
         
         if (result.success) {
+            const { token, expiresAt, graceUntil } = accessTokens.issue(result.data);
+            result.data.token = token;
+            result.data.tokenExpiresAt = expiresAt;
+            result.data.tokenGraceUntil = graceUntil;
+            
             logSecurityEvent('ACCESS_GRANTED', `MAC: ${macAddresses[0]}, Device: ${deviceInfo.hostname}`, clientIP);
         } else {
             logSecurityEvent('ACCESS_DENIED', `MAC: ${macAddresses[0]}, Device: ${deviceInfo.hostname}`, clientIP);
@@ -184,32 +430,71 @@ async function handleCheckAccess(req, res, clientIP) {
     }
 }
 
-// Remove MAC address from whitelist (Admin only)
-async function handleRemoveMAC(req, res, clientIP) {
-    if (req.method !== 'DELETE') {
+// Keep a check-access session alive (public; the session id is the credential)
+async function handleSessionHeartbeat(req, res, clientIP) {
+    if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { macAddress, adminKey } = req.body;
+    const { sessionId } = req.body;
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for removal', clientIP);
-        return res.status(401).json({
+    if (typeof sessionId !== 'string' || !UUID_PATTERN.test(sessionId)) {
+        return res.status(400).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'A valid sessionId is required'
         });
     }
     
-    if (!macAddress) {
+    try {
+        const result = await macDB.heartbeatSession(sessionId);
+        return res.status(result.success ? 200 : 404).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Free a session's seat when the client exits (public)
+async function handleEndSession(req, res, clientIP) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { sessionId } = req.body;
+    
+    if (typeof sessionId !== 'string' || !UUID_PATTERN.test(sessionId)) {
         return res.status(400).json({
             success: false,
-            message: 'MAC address is required'
+            message: 'A valid sessionId is required'
         });
     }
     
-    if (!validateMACAddress(macAddress)) {
+    try {
+        const result = await macDB.endSession(sessionId);
+        return res.status(result.success ? 200 : 404).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// List live device sessions (Admin only)
+async function handleListSessions(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress } = req.body;
+    
+    if (macAddress !== undefined && macAddress !== null && !validateMACAddress(macAddress)) {
         return res.status(400).json({
             success: false,
             message: 'Invalid MAC address format'
@@ -217,16 +502,11 @@ async function handleRemoveMAC(req, res, clientIP) {
     }
     
     try {
-        const result = await macDB.removeMACAddress(macAddress);
-        
-        if (result.success) {
-            logSecurityEvent('MAC_REMOVED', `MAC: ${macAddress}`, clientIP);
-        }
-        
+        const result = await macDB.listSessions({ macAddress });
         return res.status(result.success ? 200 : 400).json(result);
         
     } catch (error) {
-        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
         return res.status(500).json({
             success: false,
             message: 'Database error occurred'
@@ -234,35 +514,46 @@ async function handleRemoveMAC(req, res, clientIP) {
     }
 }
 
-// List all MAC addresses (Admin only)
-async function handleListMACs(req, res, clientIP) {
+// Revoke one session, or every session of a device (Admin only)
+async function handleRevokeSession(req, res, clientIP, admin) {
     if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { adminKey } = req.body;
+    const { sessionId, macAddress } = req.body;
+    
+    if (Boolean(sessionId) === Boolean(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Either sessionId or macAddress is required'
+        });
+    }
+    
+    if (sessionId && (typeof sessionId !== 'string' || !UUID_PATTERN.test(sessionId))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid sessionId'
+        });
+    }
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for listing', clientIP);
-        return res.status(401).json({
+    if (macAddress && !validateMACAddress(macAddress)) {
+        return res.status(400).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'Invalid MAC address format'
         });
     }
     
     try {
-        const result = await macDB.listMACAddresses();
+        const result = await macDB.revokeSessions({ sessionId, macAddress }, { admin: admin.username, ip: clientIP });
         
         if (result.success) {
-            logSecurityEvent('MAC_LIST_ACCESSED', `Retrieved ${result.data.macAddresses.length} entries`, clientIP);
+            logSecurityEvent('SESSION_REVOKED', `MAC: ${result.data.macAddress}, Sessions: ${result.data.revoked.join(', ')}`, clientIP, admin);
         }
         
-        return res.status(200).json(result);
+        return res.status(result.success ? 200 : 400).json(result);
         
     } catch (error) {
-        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
         return res.status(500).json({
             success: false,
             message: 'Database error occurred'
@@ -270,53 +561,54 @@ async function handleListMACs(req, res, clientIP) {
     }
 }
 
-// Bulk add MAC addresses (Admin only)
-async function handleBulkAdd(req, res, clientIP) {
+// Queue an access request from a device that isn't whitelisted (public)
+async function handleRequestAccess(req, res, clientIP) {
     if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { macAddresses, adminKey } = req.body;
-    
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for bulk add', clientIP);
-        return res.status(401).json({
+    // Stricter than the general limit: every request lands in the admins' queue
+    const limit = await rateLimit(res, 'request-access', clientIP);
+    if (!limit.allowed) {
+        logSecurityEvent('RATE_LIMIT_EXCEEDED', 'Too many access requests', clientIP);
+        return res.status(429).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'Too many access requests. Please try again later.'
         });
     }
     
-    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+    const { macAddresses, deviceInfo = {}, note = '' } = req.body;
+    
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0 || macAddresses.length > MAX_REQUEST_MACS) {
+        logSecurityEvent('INVALID_REQUEST', 'Missing or invalid MAC addresses in access request', clientIP);
         return res.status(400).json({
             success: false,
-            message: 'MAC addresses array is required'
+            message: `Between 1 and ${MAX_REQUEST_MACS} MAC addresses are required`
         });
     }
     
-    // Validate all MAC addresses
-    for (const entry of macAddresses) {
-        if (!entry.macAddress || !validateMACAddress(entry.macAddress)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid MAC address: ${entry.macAddress}`
-            });
-        }
-        
-        if (entry.accessType && !['trial', 'unlimited', 'admin'].includes(entry.accessType)) {
+    for (const mac of macAddresses) {
+        if (!validateMACAddress(mac)) {
+            logSecurityEvent('INVALID_MAC', `Invalid MAC format: ${mac}`, clientIP);
             return res.status(400).json({
                 success: false,
-                message: `Invalid access type for ${entry.macAddress}: ${entry.accessType}`
+                message: `Invalid MAC address format: ${mac}`
             });
         }
     }
     
+    if (typeof deviceInfo !== 'object' || deviceInfo === null || typeof note !== 'string' || note.length > MAX_REQUEST_NOTE) {
+        return res.status(400).json({
+            success: false,
+            message: `deviceInfo must be an object and note a string of at most ${MAX_REQUEST_NOTE} characters`
+        });
+    }
+    
     try {
-        const result = await macDB.bulkAddMACs(macAddresses);
+        const result = await macDB.createAccessRequest(macAddresses, deviceInfo, note.trim(), clientIP);
         
         if (result.success) {
-            logSecurityEvent('BULK_ADD', `Added ${result.data.summary.added} MACs`, clientIP);
+            logSecurityEvent('ACCESS_REQUESTED', `Request: ${result.data.requestId}, MAC: ${macAddresses[0]}, Device: ${deviceInfo.hostname}`, clientIP);
         }
         
         return res.status(result.success ? 200 : 400).json(result);
@@ -330,32 +622,24 @@ async function handleBulkAdd(req, res, clientIP) {
     }
 }
 
-// Get access logs (Admin only)
-async function handleGetLogs(req, res, clientIP) {
-    if (req.method !== 'POST') {
+// Poll the status of an access request (public; the request id is the credential)
+async function handleAccessRequestStatus(req, res, clientIP) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { adminKey, limit = 100 } = req.body;
+    const requestId = req.query.requestId || req.body?.requestId;
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for logs', clientIP);
-        return res.status(401).json({
+    if (typeof requestId !== 'string' || !UUID_PATTERN.test(requestId)) {
+        return res.status(400).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'A valid requestId is required'
         });
     }
     
     try {
-        const result = await macDB.getAccessLogs(Math.min(limit, 1000)); // Max 1000 logs
-        
-        if (result.success) {
-            logSecurityEvent('LOGS_ACCESSED', `Retrieved ${result.data.logs.length} log entries`, clientIP);
-        }
-        
-        return res.status(200).json(result);
+        const result = await macDB.getAccessRequestStatus(requestId);
+        return res.status(result.success ? 200 : 404).json(result);
         
     } catch (error) {
         logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
@@ -366,44 +650,53 @@ async function handleGetLogs(req, res, clientIP) {
     }
 }
 
-// Database maintenance (Admin only)
-async function handleMaintenance(req, res, clientIP) {
+// Public keys for verifying access tokens offline (current key first)
+function handleAccessTokenKeys(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({
+        success: true,
+        message: 'Access token verification keys',
+        data: { keys: accessTokens.getPublicKeys() }
+    });
+}
+
+// List access requests (Admin only)
+async function handleListAccessRequests(req, res, clientIP, admin) {
     if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { adminKey } = req.body;
+    const { status = 'pending', limit = 100 } = req.body;
+    
+    if (status !== null && !ACCESS_REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid status. Must be: ${ACCESS_REQUEST_STATUSES.join(', ')} or null for all`
+        });
+    }
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for maintenance', clientIP);
-        return res.status(401).json({
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'limit must be a positive integer'
         });
     }
     
     try {
-        const result = await macDB.maintenance();
+        const result = await macDB.listAccessRequests({ status, limit });
         
         if (result.success) {
-            logSecurityEvent('MAINTENANCE_RUN', 'Database maintenance completed', clientIP);
+            logSecurityEvent('ACCESS_REQUESTS_ACCESSED', `Retrieved ${result.data.requests.length} of ${result.data.matching} matching requests`, clientIP, admin);
         }
         
-        return res.status(200).json(result);
+        return res.status(result.success ? 200 : 400).json(result);
         
     } catch (error) {
-        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
-        return res.status(500).json({
-            success: false,
-            message: 'Database error occurred'
-        });
-    }
-}
-
-// Alternative export for different Next.js versions
-export { handler as GET, handler as POST, handler as DELETE };('DATABASE_ERROR', error.message, clientIP);
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
         return res.status(500).json({
             success: false,
             message: 'Database error occurred'
@@ -411,56 +704,54 @@ export { handler as GET, handler as POST, handler as DELETE };('DATABASE_ERROR',
     }
 }
 
-// Add MAC address to whitelist (Admin only)
-async function handleAddMAC(req, res, clientIP) {
+// Approve an access request, whitelisting its device (Admin only)
+async function handleApproveAccessRequest(req, res, clientIP, admin) {
     if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { macAddress, description, accessType = 'trial', adminKey } = req.body;
+    const { requestId, accessType, description, group, expiresAt, maxAccesses } = req.body;
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key provided', clientIP);
-        return res.status(401).json({
+    if (!requestId) {
+        return res.status(400).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'requestId is required'
         });
     }
     
-    if (!macAddress || !description) {
+    if (accessType && !ACCESS_TYPES.includes(accessType)) {
         return res.status(400).json({
             success: false,
-            message: 'MAC address and description are required'
+            message: 'Invalid access type. Must be: trial, unlimited, or admin'
         });
     }
     
-    if (!validateMACAddress(macAddress)) {
+    if (group !== undefined && group !== null && !validateGroupName(group)) {
         return res.status(400).json({
             success: false,
-            message: 'Invalid MAC address format'
+            message: 'Invalid group name'
         });
     }
     
-    if (!['trial', 'unlimited', 'admin'].includes(accessType)) {
+    const limitsError = validateTrialLimits({ expiresAt, maxAccesses });
+    if (limitsError) {
         return res.status(400).json({
             success: false,
-            message: 'Invalid access type. Must be: trial, unlimited, or admin'
+            message: limitsError
         });
     }
     
     try {
-        const result = await macDB.addMACAddress(macAddress, description, accessType);
+        const result = await macDB.approveAccessRequest(requestId, { accessType, description, group, expiresAt, maxAccesses }, { admin: admin.username, ip: clientIP });
         
         if (result.success) {
-            logSecurityEvent('MAC_ADDED', `MAC: ${macAddress}, Type: ${accessType}, Desc: ${description}`, clientIP);
+            logSecurityEvent('ACCESS_REQUEST_APPROVED', `Request: ${requestId}, MAC: ${result.data.device.macAddress}, Type: ${result.data.device.accessType || `group ${group}`}`, clientIP, admin);
         }
         
         return res.status(result.success ? 200 : 400).json(result);
         
     } catch (error) {
-        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
         return res.status(500).json({
             success: false,
             message: 'Database error occurred'
@@ -468,53 +759,1340 @@ async function handleAddMAC(req, res, clientIP) {
     }
 }
 
-// Update MAC address access type (Admin only)
-async function handleUpdateAccess(req, res, clientIP) {
+// Reject an access request (Admin only)
+async function handleRejectAccessRequest(req, res, clientIP, admin) {
     if (req.method !== 'POST') {
         return res.status(405).json({ success: false, message: 'Method not allowed' });
     }
     
-    const { macAddress, accessType, adminKey } = req.body;
+    const { requestId, reason = '' } = req.body;
+    
+    if (!requestId || typeof reason !== 'string' || reason.length > MAX_REQUEST_NOTE) {
+        return res.status(400).json({
+            success: false,
+            message: `requestId is required and reason must be a string of at most ${MAX_REQUEST_NOTE} characters`
+        });
+    }
     
-    // Admin authentication
-    const requiredAdminKey = process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me';
-    if (!verifyAdminKey(adminKey, requiredAdminKey)) {
-        logSecurityEvent('UNAUTHORIZED_ADMIN', 'Invalid admin key for update', clientIP);
-        return res.status(401).json({
+    try {
+        const result = await macDB.rejectAccessRequest(requestId, reason.trim(), { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('ACCESS_REQUEST_REJECTED', `Request: ${requestId}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
             success: false,
-            message: 'Unauthorized: Invalid admin credentials'
+            message: 'Database error occurred'
         });
     }
+}
+
+// List anomalies found in access patterns (Admin only)
+async function handleListAnomalies(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { status = 'open', type = null, macAddress = null, limit = 100 } = req.body;
     
-    if (!macAddress || !accessType) {
+    if (status !== null && !ANOMALY_STATUSES.includes(status)) {
         return res.status(400).json({
             success: false,
-            message: 'MAC address and access type are required'
+            message: `Invalid status. Must be: ${ANOMALY_STATUSES.join(', ')} or null for all`
         });
     }
     
-    if (!validateMACAddress(macAddress)) {
+    if (type !== null && !ANOMALY_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid type. Must be: ${ANOMALY_TYPES.join(', ')}`
+        });
+    }
+    
+    if (macAddress !== null && !validateMACAddress(macAddress)) {
         return res.status(400).json({
             success: false,
             message: 'Invalid MAC address format'
         });
     }
     
-    if (!['trial', 'unlimited', 'admin'].includes(accessType)) {
+    if (!Number.isInteger(limit) || limit < 1) {
         return res.status(400).json({
             success: false,
-            message: 'Invalid access type. Must be: trial, unlimited, or admin'
+            message: 'limit must be a positive integer'
+        });
+    }
+    
+    try {
+        const result = await macDB.listAnomalies({ status, type, macAddress, limit });
+        
+        if (result.success) {
+            logSecurityEvent('ANOMALIES_ACCESSED', `Retrieved ${result.data.anomalies.length} of ${result.data.matching} matching anomalies`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Resolve an anomaly, optionally reinstating the device it suspended (Admin only)
+async function handleResolveAnomaly(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { anomalyId, reinstate = false, note = '' } = req.body;
+    
+    if (!anomalyId || typeof reinstate !== 'boolean' || typeof note !== 'string' || note.length > MAX_REQUEST_NOTE) {
+        return res.status(400).json({
+            success: false,
+            message: `anomalyId is required, reinstate must be a boolean and note a string of at most ${MAX_REQUEST_NOTE} characters`
         });
     }
     
     try {
-        const result = await macDB.updateMACAccess(macAddress, accessType);
+        const result = await macDB.resolveAnomaly(anomalyId, { reinstate, note: note.trim() }, { admin: admin.username, ip: clientIP });
         
         if (result.success) {
-            logSecurityEvent('MAC_UPDATED', `MAC: ${macAddress}, New Type: ${accessType}`, clientIP);
+            logSecurityEvent('ANOMALY_RESOLVED', `Anomaly: ${anomalyId}${result.data.reinstated ? `, reinstated ${result.data.anomaly.macAddress}` : ''}`, clientIP, admin);
         }
         
         return res.status(result.success ? 200 : 400).json(result);
         
     } catch (error) {
-        logSecurityEvent
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Exchange admin credentials for a short-lived session token
+async function handleAdminLogin(req, res, clientIP) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { username, password } = req.body;
+    
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username and password are required'
+        });
+    }
+    
+    try {
+        // Only failed logins count, so admins sharing an IP can still sign in
+        const limit = await rateLimit(res, 'failed-admin-login', clientIP, { count: false });
+        if (!limit.allowed) {
+            logSecurityEvent('RATE_LIMIT_EXCEEDED', 'Too many failed admin logins', clientIP);
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed logins. Please try again later.'
+            });
+        }
+        
+        const result = await adminAuth.login(username, password);
+        
+        if (result.success) {
+            await adminLockout.recordSuccess(clientIP, result.data.username);
+            logSecurityEvent('ADMIN_LOGIN', `Session expires ${result.data.expiresAt}`, clientIP, result.data);
+        } else {
+            logSecurityEvent('ADMIN_LOGIN_FAILED', `Username: ${username}`, clientIP);
+            await rateLimit(res, 'failed-admin-login', clientIP);
+            await recordAuthFailure(clientIP, username, 'failed login');
+        }
+        
+        return res.status(result.success ? 200 : 401).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Add MAC address to whitelist (Admin only)
+async function handleAddMAC(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    // Devices added to a group follow its access type unless one is given
+    const { macAddress, description, group, expiresAt, maxAccesses, maxSeats } = req.body;
+    const accessType = req.body.accessType || (group ? null : 'trial');
+    
+    if (!macAddress || !description) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address and description are required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    if (accessType && !ACCESS_TYPES.includes(accessType)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid access type. Must be: trial, unlimited, or admin'
+        });
+    }
+    
+    if (group !== undefined && group !== null && !validateGroupName(group)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid group name'
+        });
+    }
+    
+    const limitsError = validateTrialLimits({ expiresAt, maxAccesses, maxSeats });
+    if (limitsError) {
+        return res.status(400).json({
+            success: false,
+            message: limitsError
+        });
+    }
+    
+    try {
+        const result = await macDB.addMACAddress(macAddress, description, accessType, { expiresAt, maxAccesses, maxSeats, group }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_ADDED', `MAC: ${macAddress}, Type: ${accessType || `group ${group}`}, Desc: ${description}, Expires: ${result.data.expiresAt || 'never'}, Quota: ${result.data.maxAccesses ?? 'none'}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Update MAC address access type (Admin only)
+async function handleUpdateAccess(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, accessType, expiresAt, maxAccesses, maxSeats, extendDays, addAccesses } = req.body;
+    
+    const limits = { expiresAt, maxAccesses, maxSeats, extendDays, addAccesses };
+    const hasLimits = Object.values(limits).some(value => value !== undefined);
+    
+    if (!macAddress || (!accessType && !hasLimits)) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address and access type or trial limits are required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    if (accessType && !ACCESS_TYPES.includes(accessType)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid access type. Must be: trial, unlimited, or admin'
+        });
+    }
+    
+    const limitsError = validateTrialLimits(limits);
+    if (limitsError) {
+        return res.status(400).json({
+            success: false,
+            message: limitsError
+        });
+    }
+    
+    try {
+        const result = await macDB.updateMACAccess(macAddress, accessType, limits, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_UPDATED', `MAC: ${macAddress}, Type: ${result.data.accessType}, Expires: ${result.data.expiresAt || 'never'}, Quota: ${result.data.maxAccesses ?? 'none'}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Remove MAC address from whitelist (Admin only)
+async function handleRemoveMAC(req, res, clientIP, admin) {
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress } = req.body;
+    
+    if (!macAddress) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address is required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    try {
+        const result = await macDB.removeMACAddress(macAddress, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_REMOVED', `MAC: ${macAddress}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Suspend, revoke or reactivate a device without removing it (Admin only)
+async function handleSetStatus(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, status, reason = '' } = req.body;
+    
+    if (!macAddress || !ENTRY_STATUSES.includes(status) || typeof reason !== 'string' || reason.length > MAX_REQUEST_NOTE) {
+        return res.status(400).json({
+            success: false,
+            message: `MAC address and status (${ENTRY_STATUSES.join(', ')}) are required and reason must be a string of at most ${MAX_REQUEST_NOTE} characters`
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    try {
+        const result = await macDB.setEntryStatus(macAddress, status, reason.trim(), { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_STATUS_CHANGED', `MAC: ${result.data.macAddress}, Status: ${status}${result.data.statusReason ? `, Reason: ${result.data.statusReason}` : ''}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Set or clear a device's access window (Admin only)
+async function handleSetAccessWindow(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, accessWindow } = req.body;
+    
+    if (!macAddress || accessWindow === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address and accessWindow (null to clear it) are required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    const windowError = validateAccessWindow(accessWindow);
+    if (windowError) {
+        return res.status(400).json({
+            success: false,
+            message: windowError
+        });
+    }
+    
+    try {
+        const result = await macDB.setAccessWindow(macAddress, accessWindow, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_ACCESS_WINDOW', `MAC: ${result.data.macAddress}, Window: ${describeAccessWindow(result.data.accessWindow)}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Attach another MAC address to a whitelisted device (Admin only)
+async function handleAttachMAC(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, attachMac, merge = false } = req.body;
+    
+    if (!macAddress || !attachMac) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address of the device and the MAC address to attach are required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress) || !validateMACAddress(attachMac)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    try {
+        const result = await macDB.attachMAC(macAddress, attachMac, { merge: merge === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_ATTACHED', `MAC: ${attachMac}, Device: ${result.data.macAddress}, Merged: ${merge === true}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Detach a MAC address from its device (Admin only)
+async function handleDetachMAC(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress } = req.body;
+    
+    if (!macAddress) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address is required'
+        });
+    }
+    
+    if (!validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    try {
+        const result = await macDB.detachMAC(macAddress, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('MAC_DETACHED', `MAC: ${macAddress}, Device: ${result.data.macAddress}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// List MAC addresses with optional filters and pagination (Admin only)
+async function handleListMACs(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, accessType, group, status, trialStatus, hostname, search, since, until, sortBy, order, limit, cursor } = req.body;
+    const query = { macAddress, accessType, group, status, trialStatus, hostname, search, since, until, sortBy, order, limit, cursor };
+    
+    const queryError = validateListQuery(query, MAC_SORT_FIELDS);
+    if (queryError) {
+        return res.status(400).json({
+            success: false,
+            message: queryError
+        });
+    }
+    
+    try {
+        const result = await macDB.listMACAddresses(query);
+        
+        if (result.success) {
+            logSecurityEvent('MAC_LIST_ACCESSED', `Retrieved ${result.data.macAddresses.length} of ${result.data.matching} matching entries`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Bulk add MAC addresses (Admin only)
+async function handleBulkAdd(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddresses, transactional = false } = req.body;
+    
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses array is required'
+        });
+    }
+    
+    // Rows are validated one by one; invalid rows are reported in the results
+    try {
+        const result = await macDB.bulkAddMACs(macAddresses, { transactional: transactional === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('BULK_ADD', `Added ${result.data.summary.added} of ${result.data.summary.total} MACs`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Bulk update access type, description and trial limits (Admin only)
+async function handleBulkUpdate(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { updates, transactional = false } = req.body;
+    
+    if (!updates || !Array.isArray(updates) || updates.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Updates array is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.bulkUpdateMACs(updates, { transactional: transactional === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('BULK_UPDATE', `Updated ${result.data.summary.updated} of ${result.data.summary.total} MACs`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Bulk remove MAC addresses (Admin only)
+async function handleBulkRemove(req, res, clientIP, admin) {
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddresses, transactional = false } = req.body;
+    
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses array is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.bulkRemoveMACs(macAddresses, { transactional: transactional === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('BULK_REMOVE', `Removed ${result.data.summary.removed} of ${result.data.summary.total} MACs`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// List device groups (Admin only)
+async function handleListGroups(req, res, clientIP, admin) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    try {
+        const result = await macDB.listGroups();
+        
+        if (result.success) {
+            logSecurityEvent('GROUP_LIST_ACCESSED', `Retrieved ${result.data.total} groups`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Create a device group with its default policy (Admin only)
+async function handleCreateGroup(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { name, description, accessType, expiresAt, maxDevices, accessWindow } = req.body;
+    const policy = { description, accessType, expiresAt, maxDevices, accessWindow };
+    
+    if (!validateGroupName(name)) {
+        return res.status(400).json({
+            success: false,
+            message: 'A group name of up to 64 letters, digits, ".", "_" or "-" is required'
+        });
+    }
+    
+    const policyError = validateGroupPolicy(policy);
+    if (policyError) {
+        return res.status(400).json({
+            success: false,
+            message: policyError
+        });
+    }
+    
+    try {
+        const result = await macDB.createGroup(name, policy, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('GROUP_CREATED', `Group: ${name}, Type: ${result.data.accessType}, Expires: ${result.data.expiresAt || 'never'}, Cap: ${result.data.maxDevices ?? 'none'}, Window: ${describeAccessWindow(result.data.accessWindow)}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Change a group's default policy or device cap (Admin only)
+async function handleUpdateGroup(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { name, description, accessType, expiresAt, maxDevices, accessWindow } = req.body;
+    const policy = { description, accessType, expiresAt, maxDevices, accessWindow };
+    
+    if (!name || Object.values(policy).every(value => value === undefined)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Group name and a description, access type, expiry or device cap are required'
+        });
+    }
+    
+    const policyError = validateGroupPolicy(policy);
+    if (policyError) {
+        return res.status(400).json({
+            success: false,
+            message: policyError
+        });
+    }
+    
+    try {
+        const result = await macDB.updateGroup(name, policy, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('GROUP_UPDATED', `Group: ${name}, Type: ${result.data.accessType}, Expires: ${result.data.expiresAt || 'never'}, Cap: ${result.data.maxDevices ?? 'none'}, Window: ${describeAccessWindow(result.data.accessWindow)}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Delete a group; its devices stay whitelisted without a group (Admin only)
+async function handleRemoveGroup(req, res, clientIP, admin) {
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { name } = req.body;
+    
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            message: 'Group name is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.removeGroup(name, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('GROUP_REMOVED', `Group: ${name}, Devices ungrouped: ${result.data.devicesUngrouped}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Move devices into a group, or out of their group with group: null (Admin only)
+async function handleMoveDevices(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddresses, group = null, inherit = false, transactional = false } = req.body;
+    
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses array is required'
+        });
+    }
+    
+    if (group !== null && typeof group !== 'string') {
+        return res.status(400).json({
+            success: false,
+            message: 'group must be a group name or null'
+        });
+    }
+    
+    try {
+        const result = await macDB.moveDevices(macAddresses, group, { inherit: inherit === true, transactional: transactional === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('DEVICES_MOVED', `Moved ${result.data.summary.moved} of ${result.data.summary.total} MACs to ${group || 'no group'}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Change access type or trial limits of every device in a group (Admin only)
+async function handleSetGroupAccess(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { name, accessType, expiresAt, maxAccesses, maxSeats, extendDays, addAccesses, inherit, transactional = false } = req.body;
+    const changes = { accessType, expiresAt, maxAccesses, maxSeats, extendDays, addAccesses, inherit: inherit === true || undefined };
+    
+    if (!name || Object.values(changes).every(value => value === undefined)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Group name and an access type, trial limit or inherit are required'
+        });
+    }
+    
+    if (accessType && !ACCESS_TYPES.includes(accessType)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid access type. Must be: trial, unlimited, or admin'
+        });
+    }
+    
+    const limitsError = validateTrialLimits({ expiresAt, maxAccesses, maxSeats, extendDays, addAccesses });
+    if (limitsError) {
+        return res.status(400).json({
+            success: false,
+            message: limitsError
+        });
+    }
+    
+    try {
+        const result = await macDB.setGroupAccess(name, changes, { transactional: transactional === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('GROUP_ACCESS_CHANGED', `Group: ${name}, Updated ${result.data.summary.updated} of ${result.data.summary.total} MACs`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Download the whitelist as CSV or JSON (Admin only)
+async function handleExport(req, res, clientIP, admin) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const format = req.query.format || req.body?.format || 'csv';
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid export format. Must be: ${EXPORT_FORMATS.join(', ')}`
+        });
+    }
+    
+    try {
+        const result = await macDB.exportWhitelist(format);
+        
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        
+        logSecurityEvent('WHITELIST_EXPORTED', `Format: ${format}, Entries: ${result.data.total}`, clientIP, admin);
+        
+        res.setHeader('Content-Type', result.data.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+        return res.status(200).send(result.data.content);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Import whitelist entries from CSV (or exported JSON entries) (Admin only)
+async function handleImport(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { csv, entries, mode = 'skip', dryRun = false } = req.body;
+    
+    if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid import mode. Must be: ${IMPORT_MODES.join(', ')}`
+        });
+    }
+    
+    let rows;
+    if (typeof csv === 'string') {
+        try {
+            rows = parseWhitelistCSV(csv);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid CSV: ${error.message}`
+            });
+        }
+    } else if (Array.isArray(entries)) {
+        rows = entries;
+    } else {
+        return res.status(400).json({
+            success: false,
+            message: 'A csv string or an entries array is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.importWhitelist(rows, { mode, dryRun: dryRun === true }, { admin: admin.username, ip: clientIP });
+        
+        if (result.success && !result.data.dryRun) {
+            const { add, overwrite, merge } = result.data.summary;
+            logSecurityEvent('WHITELIST_IMPORTED', `Mode: ${mode}, Added: ${add}, Updated: ${overwrite + merge}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Get access logs (Admin only)
+async function handleGetLogs(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, success, hostname, accessType, group, search, since, until, sortBy, order, limit = 100, cursor } = req.body;
+    const query = { macAddress, success, hostname, accessType, group, search, since, until, sortBy, order, limit, cursor };
+    
+    const queryError = validateListQuery(query, LOG_SORT_FIELDS)
+        || (success !== undefined && typeof success !== 'boolean' ? 'success filter must be true or false' : null);
+    if (queryError) {
+        return res.status(400).json({
+            success: false,
+            message: queryError
+        });
+    }
+    
+    try {
+        // limit null asks for everything, which is at most the log's capacity
+        const result = await macDB.getAccessLogs({ ...query, limit: Math.min(limit ?? DATABASE_CONFIG.maxLogEntries, DATABASE_CONFIG.maxLogEntries) });
+        
+        if (result.success) {
+            logSecurityEvent('LOGS_ACCESSED', `Retrieved ${result.data.logs.length} of ${result.data.matchingEvents} matching log entries`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Query the admin audit trail (Admin only)
+async function handleGetAudit(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { macAddress, admin: adminFilter, action, since, until, limit = 100 } = req.body;
+    
+    if (macAddress && !validateMACAddress(macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid MAC address format'
+        });
+    }
+    
+    const queryError = validateListQuery({ since, until, limit });
+    if (queryError) {
+        return res.status(400).json({
+            success: false,
+            message: queryError
+        });
+    }
+    
+    try {
+        const result = await macDB.getAuditLog({
+            macAddress,
+            admin: adminFilter,
+            action,
+            since,
+            until,
+            limit: Math.min(limit ?? DATABASE_CONFIG.maxAuditEntries, DATABASE_CONFIG.maxAuditEntries)
+        });
+        
+        if (result.success) {
+            logSecurityEvent('AUDIT_ACCESSED', `Retrieved ${result.data.events.length} audit records`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 500).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Database maintenance (Admin only)
+async function handleMaintenance(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    try {
+        const result = await macDB.maintenance();
+        
+        if (result.success) {
+            logSecurityEvent('MAINTENANCE_RUN', 'Database maintenance completed', clientIP, admin);
+        }
+        
+        return res.status(200).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Read cache hit/miss counters (Admin only)
+async function handleCacheStats(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    return res.status(200).json(macDB.getCacheStats());
+}
+
+// List backups with verification status (Admin only)
+async function handleListBackups(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    try {
+        const result = await macDB.listBackups();
+        
+        if (result.success) {
+            logSecurityEvent('BACKUPS_LISTED', `Retrieved ${result.data.total} backups (${result.data.corrupted} corrupted)`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 500).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Restore the whitelist from a backup (Admin only)
+async function handleRestoreBackup(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { backupId } = req.body;
+    
+    if (!backupId) {
+        return res.status(400).json({
+            success: false,
+            message: 'Backup ID is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.restoreBackup(backupId, { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('BACKUP_RESTORED', `Backup: ${backupId}, Safety backup: ${result.data.safetyBackupId}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Compare a backup with the live whitelist (Admin only)
+async function handleDiffBackup(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { backupId } = req.body;
+    
+    if (!backupId) {
+        return res.status(400).json({
+            success: false,
+            message: 'Backup ID is required'
+        });
+    }
+    
+    try {
+        const result = await macDB.diffBackup(backupId);
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Create a named admin account (Admin only)
+async function handleCreateAdmin(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { username, password, role = 'viewer' } = req.body;
+    
+    if (!username || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username and password are required'
+        });
+    }
+    
+    try {
+        const result = await adminAuth.createAdmin(username, password, admin.username, role);
+        
+        if (result.success) {
+            logSecurityEvent('ADMIN_CREATED', `Username: ${result.data.username}, Role: ${result.data.role}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// List admin accounts (Admin only)
+async function handleListAdmins(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    try {
+        const result = await adminAuth.listAdmins();
+        return res.status(result.success ? 200 : 500).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Change an admin account's role (Admin only)
+async function handleSetAdminRole(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { username, role } = req.body;
+    
+    if (!username || !ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+            success: false,
+            message: `Username and role (${ADMIN_ROLES.join(', ')}) are required`
+        });
+    }
+    
+    try {
+        const result = await adminAuth.setAdminRole(username, role, admin.username);
+        
+        if (result.success) {
+            logSecurityEvent('ADMIN_ROLE_CHANGED', `Username: ${result.data.username}, Role: ${role}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Remove an admin account (Admin only)
+async function handleRemoveAdmin(req, res, clientIP, admin) {
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { username } = req.body;
+    
+    if (!username) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username is required'
+        });
+    }
+    
+    try {
+        const result = await adminAuth.removeAdmin(username, admin.username);
+        
+        if (result.success) {
+            logSecurityEvent('ADMIN_REMOVED', `Username: ${username}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// List IPs locked out after failed admin authentications (Admin only)
+async function handleListLockouts(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { all = false } = req.body || {};
+    
+    if (typeof all !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            message: 'all must be a boolean'
+        });
+    }
+    
+    try {
+        const result = await adminLockout.listLockouts({ all });
+        return res.status(result.success ? 200 : 500).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Lift an IP's admin lockout and forget its failures (Admin only)
+async function handleClearLockout(req, res, clientIP, admin) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, message: 'Method not allowed' });
+    }
+    
+    const { ip } = req.body;
+    
+    if (typeof ip !== 'string' || !ip.trim()) {
+        return res.status(400).json({
+            success: false,
+            message: 'IP address is required'
+        });
+    }
+    
+    try {
+        const result = await adminLockout.clearLockout(ip.trim(), { admin: admin.username, ip: clientIP });
+        
+        if (result.success) {
+            logSecurityEvent('ADMIN_LOCKOUT_CLEARED', `IP: ${result.data.ip}, Was locked: ${result.data.wasLocked}`, clientIP, admin);
+        }
+        
+        return res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        logSecurityEvent('DATABASE_ERROR', error.message, clientIP, admin);
+        return res.status(500).json({
+            success: false,
+            message: 'Database error occurred'
+        });
+    }
+}
+
+// Alternative export for different Next.js versions
+export { handler as GET, handler as POST, handler as DELETE };
@@ -0,0 +1,192 @@
+// access-token.js - Signed Offline Access Tokens
+//
+// A successful check-access returns an Ed25519-signed JWT binding the device's
+// MACs, access type, expiry and access window. Clients verify it against the
+// published public keys (the "access-token-keys" action) and can keep launching
+// without a live round trip until it expires, plus a grace period while the
+// server is unreachable, but only inside the access window. Suspending or
+// revoking a device, or revoking its session, takes effect offline only once
+// its token and grace period have run out. This module only depends on Node's
+// crypto and access-window.js, so clients can import verifyAccessToken on its own.
+//
+// Keys rotate through configuration: generate a new one with
+// `npm run token-key`, make it ACCESS_TOKEN_SIGNING_KEY and move the old public
+// key to ACCESS_TOKEN_RETIRED_KEYS until tokens signed with it have expired.
+import crypto from 'crypto';
+import { isWithinAccessWindow } from './access-window.js';
+
+export const TOKEN_TYPE = 'sat-access+jwt';
+const ALGORITHM = 'EdDSA';
+
+const base64url = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+// Public key as a JWK, identified by its RFC 7638 thumbprint
+export function toPublicJwk(key) {
+    const { kty, crv, x } = crypto.createPublicKey(key).export({ format: 'jwk' });
+    const kid = crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x })).digest('base64url');
+    return { kty, crv, x, kid, alg: ALGORITHM, use: 'sig' };
+}
+
+// Accepts a PEM (literal "\n" escapes allowed, as env vars often have them) or base64 PKCS#8 DER
+export function parsePrivateKey(value) {
+    const text = String(value).trim().replace(/\\n/g, '\n');
+    const key = text.startsWith('-----BEGIN')
+        ? crypto.createPrivateKey(text)
+        : crypto.createPrivateKey({ key: Buffer.from(text, 'base64'), format: 'der', type: 'pkcs8' });
+    
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Access token signing key must be Ed25519 (got ${key.asymmetricKeyType})`);
+    }
+    return key;
+}
+
+// Retired keys are listed by their JWK "x" value (base64url raw public key)
+function parseRetiredKey(x) {
+    return toPublicJwk({ key: { kty: 'OKP', crv: 'Ed25519', x }, format: 'jwk' });
+}
+
+export function generateSigningKey() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+        publicKey: toPublicJwk(privateKey)
+    };
+}
+
+export class AccessTokenSigner {
+    constructor(config) {
+        this.ttl = config.accessTokenTtl;
+        this.grace = config.accessTokenGrace;
+        
+        // Like the admin token secret: without a configured key each process signs
+        // with its own, so tokens stop verifying once the process restarts
+        this.privateKey = config.accessTokenSigningKey
+            ? parsePrivateKey(config.accessTokenSigningKey)
+            : crypto.generateKeyPairSync('ed25519').privateKey;
+        this.warnedEphemeralKey = Boolean(config.accessTokenSigningKey);
+        
+        this.publicKey = toPublicJwk(this.privateKey);
+        this.retiredKeys = String(config.accessTokenRetiredKeys || '')
+            .split(',')
+            .map(x => x.trim())
+            .filter(Boolean)
+            .map(parseRetiredKey)
+            .filter(key => key.kid !== this.publicKey.kid);
+    }
+    
+    // Current key first, then retired keys that still verify older tokens
+    getPublicKeys() {
+        return [this.publicKey, ...this.retiredKeys];
+    }
+    
+    // Sign a token for a successful checkAccess result. Neither the token nor its
+    // grace period outlives the entry's own expiry, and devices with an access
+    // quota get no grace since offline launches aren't counted.
+    issue(access) {
+        if (!this.warnedEphemeralKey) {
+            console.warn('⚠️ ACCESS_TOKEN_SIGNING_KEY not set; access tokens will not verify after a restart');
+            this.warnedEphemeralKey = true;
+        }
+        
+        const now = Math.floor(Date.now() / 1000);
+        const entryExpiry = access.expiresAt ? Math.floor(new Date(access.expiresAt).getTime() / 1000) : null;
+        const exp = Math.min(now + Math.floor(this.ttl / 1000), entryExpiry ?? Infinity);
+        const grace = access.maxAccesses != null ? 0 : Math.min(Math.floor(this.grace / 1000), (entryExpiry ?? Infinity) - exp);
+        
+        const header = { alg: ALGORITHM, typ: TOKEN_TYPE, kid: this.publicKey.kid };
+        const payload = {
+            sub: access.primaryMac,
+            mac: access.macAddress,
+            accessType: access.accessType,
+            group: access.group || null,
+            accessExpiresAt: access.expiresAt || null,
+            accessWindow: access.accessWindow || null,
+            sid: access.sessionId || null,
+            grace: grace,
+            iat: now,
+            exp: exp,
+            jti: crypto.randomUUID()
+        };
+        
+        const signingInput = `${base64url(header)}.${base64url(payload)}`;
+        const signature = crypto.sign(null, Buffer.from(signingInput), this.privateKey).toString('base64url');
+        
+        return {
+            token: `${signingInput}.${signature}`,
+            expiresAt: new Date(exp * 1000).toISOString(),
+            graceUntil: new Date((exp + payload.grace) * 1000).toISOString()
+        };
+    }
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Verify an access token offline. keys is the "keys" list from access-token-keys
+// (or the whole { keys } object). Returns { valid, reason, payload, inGrace };
+// inGrace means the token has expired but is within its grace period, so the
+// client should allow the launch and retry check-access when it can. A token
+// does not verify outside the device's access window.
+//
+// Options:
+//   now           time to check against (ms, default Date.now())
+//   macAddresses  the client's MACs; one must be the token's device or matched MAC
+//   maxGrace      cap on the grace period in ms (default: the token's own grace)
+export function verifyAccessToken(token, keys, { now = Date.now(), macAddresses = null, maxGrace = Infinity } = {}) {
+    const fail = reason => ({ valid: false, reason, payload: null, inGrace: false });
+    
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return fail('Malformed token');
+    }
+    
+    const header = decodeSegment(parts[0]);
+    const payload = decodeSegment(parts[1]);
+    if (!header || !payload || header.alg !== ALGORITHM || header.typ !== TOKEN_TYPE) {
+        return fail('Malformed token');
+    }
+    
+    const jwk = (Array.isArray(keys) ? keys : keys?.keys || []).find(key => key.kid === header.kid);
+    if (!jwk) {
+        return fail(`Unknown signing key: ${header.kid}`);
+    }
+    
+    let signatureValid = false;
+    try {
+        const publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+        signatureValid = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'));
+    } catch (error) {
+        signatureValid = false;
+    }
+    if (!signatureValid) {
+        return fail('Invalid signature');
+    }
+    
+    if (macAddresses) {
+        const macs = macAddresses.map(mac => String(mac).toLowerCase());
+        if (!macs.includes(payload.sub) && !macs.includes(payload.mac)) {
+            return fail('Token was issued to a different device');
+        }
+    }
+    
+    const nowSeconds = Math.floor(now / 1000);
+    if (payload.iat > nowSeconds + 300) {
+        return fail('Token issued in the future (check the system clock)');
+    }
+    
+    const grace = Math.min(payload.grace || 0, Math.floor(maxGrace / 1000));
+    if (nowSeconds >= payload.exp + grace) {
+        return fail('Token expired');
+    }
+    
+    if (!isWithinAccessWindow(payload.accessWindow, new Date(now))) {
+        return fail('Outside access window');
+    }
+    
+    return { valid: true, reason: null, payload, inGrace: nowSeconds >= payload.exp };
+}
@@ -0,0 +1,177 @@
+// access-window.js - Scheduled Access Windows
+//
+// An access window limits when a device passes check-access, e.g. school hours
+// during a term:
+//   { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '08:00', to: '16:30',
+//     timezone: 'Europe/London', startDate: '2025-09-01', endDate: '2026-07-17' }
+// Every field is optional. Times and dates are wall-clock values in the
+// window's timezone (UTC by default) and startDate / endDate are inclusive.
+// When "to" is earlier than "from" the window runs past midnight and counts as
+// part of the day it starts on, so { days: ['fri'], from: '22:00', to: '02:00' }
+// includes 01:00 on Saturday.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const WINDOW_FIELDS = ['days', 'from', 'to', 'timezone', 'startDate', 'endDate'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+function isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value)
+        && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Access window validation helper - returns an error message or null.
+// null (no window) is valid.
+export function validateAccessWindow(window) {
+    if (window === null) {
+        return null;
+    }
+    
+    if (typeof window !== 'object' || Array.isArray(window)) {
+        return 'accessWindow must be an object or null';
+    }
+    
+    const unknown = Object.keys(window).filter(field => !WINDOW_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return `Unknown access window fields: ${unknown.join(', ')}. Allowed: ${WINDOW_FIELDS.join(', ')}`;
+    }
+    
+    if (!WINDOW_FIELDS.some(field => field !== 'timezone' && window[field] != null)) {
+        return 'accessWindow needs at least one of: days, from/to, startDate, endDate (use null to clear it)';
+    }
+    
+    if (window.days != null) {
+        if (!Array.isArray(window.days) || window.days.length === 0) {
+            return 'Access window days must be a non-empty array';
+        }
+        const invalid = window.days.filter(day => typeof day !== 'string' || !WEEKDAYS.includes(day.toLowerCase()));
+        if (invalid.length > 0) {
+            return `Invalid access window days: ${invalid.join(', ')}. Must be: ${WEEKDAYS.join(', ')}`;
+        }
+    }
+    
+    if ((window.from == null) !== (window.to == null)) {
+        return 'Access window from and to must be given together';
+    }
+    for (const field of ['from', 'to']) {
+        if (window[field] != null && (typeof window[field] !== 'string' || !TIME_PATTERN.test(window[field]))) {
+            return `Invalid access window ${field} time: ${window[field]}. Use HH:MM (24-hour)`;
+        }
+    }
+    if (window.from != null && window.from === window.to) {
+        return 'Access window from and to must differ';
+    }
+    
+    if (window.timezone != null && (typeof window.timezone !== 'string' || !isValidTimezone(window.timezone))) {
+        return `Invalid access window timezone: ${window.timezone}`;
+    }
+    
+    for (const field of ['startDate', 'endDate']) {
+        if (window[field] != null && !isValidDate(window[field])) {
+            return `Invalid access window ${field}: ${window[field]}. Use YYYY-MM-DD`;
+        }
+    }
+    if (window.startDate && window.endDate && window.startDate > window.endDate) {
+        return 'Access window startDate must not be after endDate';
+    }
+    
+    return null;
+}
+
+// Copy of a valid window with only its set fields, days lowercased and in week order
+export function normalizeAccessWindow(window) {
+    if (!window) {
+        return null;
+    }
+    
+    const normalized = {};
+    for (const field of WINDOW_FIELDS) {
+        if (window[field] != null) {
+            normalized[field] = window[field];
+        }
+    }
+    if (normalized.days) {
+        const days = new Set(normalized.days.map(day => day.toLowerCase()));
+        normalized.days = WEEKDAYS.filter(day => days.has(day));
+    }
+    return normalized;
+}
+
+// Wall-clock date, weekday and minute of the day of an instant in a timezone
+function localTime(now, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Whether an instant falls inside a window (no window means always)
+export function isWithinAccessWindow(window, now = new Date()) {
+    if (!window) {
+        return true;
+    }
+    
+    const local = localTime(now, window.timezone || 'UTC');
+    
+    if ((window.startDate && local.date < window.startDate) || (window.endDate && local.date > window.endDate)) {
+        return false;
+    }
+    
+    let day = local.day;
+    if (window.from && window.to) {
+        const from = toMinutes(window.from);
+        const to = toMinutes(window.to);
+        
+        if (from < to) {
+            if (local.minutes < from || local.minutes >= to) {
+                return false;
+            }
+        } else if (local.minutes >= to && local.minutes < from) {
+            return false;
+        } else if (local.minutes < to) {
+            // The early hours of a window that started the evening before
+            day = WEEKDAYS[(WEEKDAYS.indexOf(day) + 6) % 7];
+        }
+    }
+    
+    return !window.days || window.days.includes(day);
+}
+
+// Short human-readable form, e.g. "mon,tue 08:00-16:30 Europe/London from 2025-09-01"
+export function describeAccessWindow(window) {
+    if (!window) {
+        return 'always';
+    }
+    
+    return [
+        window.days?.join(','),
+        window.from && `${window.from}-${window.to}`,
+        window.timezone,
+        window.startDate && `from ${window.startDate}`,
+        window.endDate && `until ${window.endDate}`
+    ].filter(Boolean).join(' ');
+}
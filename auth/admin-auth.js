@@ -0,0 +1,432 @@
+// admin-auth.js - Named Admin Accounts and Signed Session Tokens
+//
+// Admins log in with a username and password (stored as scrypt hashes in the
+// "admin-accounts" document) and receive a short-lived HMAC-signed token, which
+// they send as "Authorization: Bearer <token>" on every admin request.
+import crypto from 'crypto';
+import { DATABASE_CONFIG, DEFAULT_ADMIN_KEY } from '../database-config.js';
+
+const ADMINS_DOC = 'admin-accounts';
+const USERNAME_REGEX = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 12;
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+export const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+
+// Accounts created before roles existed had full access
+const LEGACY_ROLE = 'owner';
+
+export function hasRole(admin, requiredRole) {
+    return Boolean(admin) && ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(requiredRole);
+}
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+
+// Constant-time comparison that also tolerates inputs of different lengths
+export function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    
+    if (bufferA.length !== bufferB.length) {
+        crypto.timingSafeEqual(bufferA, bufferA);
+        return false;
+    }
+    
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash used when the username doesn't exist, so failed logins take the same time
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+class AdminAuth {
+    constructor(macDB, config = DATABASE_CONFIG) {
+        this.macDB = macDB;
+        this.config = config;
+        this.sessionTtl = config.adminSessionTtl;
+        
+        // Tokens must verify on every instance, so production requires a shared
+        // secret (enforced by database-config.js). Elsewhere a per-process secret
+        // is fine: sessions just end when the process restarts.
+        this.tokenSecret = config.adminTokenSecret || crypto.randomBytes(32);
+        this.warnedEphemeralSecret = Boolean(config.adminTokenSecret);
+        
+        this.ready = this.ensureBootstrapAdmin();
+        this.ready.catch(() => {});
+    }
+    
+    async readAccounts() {
+        const accounts = await this.macDB.readDocument(ADMINS_DOC) || {
+            version: '1.0',
+            created: new Date().toISOString(),
+            admins: {}
+        };
+        
+        for (const admin of Object.values(accounts.admins)) {
+            admin.role = admin.role || LEGACY_ROLE;
+        }
+        return accounts;
+    }
+    
+    countOwners(accounts) {
+        return Object.values(accounts.admins).filter(admin => admin.role === 'owner').length;
+    }
+    
+    // First run: turn ADMIN_SECRET_KEY into the password of an initial owner
+    // account so there is someone who can log in and create the others.
+    async ensureBootstrapAdmin() {
+        await this.macDB.ready;
+        
+        return await this.macDB.withLock(ADMINS_DOC, async () => {
+            const accounts = await this.readAccounts();
+            
+            if (Object.keys(accounts.admins).length > 0) {
+                return false;
+            }
+            
+            if (this.config.environment.isProduction && this.config.adminKey === DEFAULT_ADMIN_KEY) {
+                throw new Error('Refusing to bootstrap an admin account with the default ADMIN_SECRET_KEY');
+            }
+            
+            const username = this.config.adminBootstrapUser;
+            accounts.admins[username] = {
+                username: username,
+                passwordHash: hashPassword(this.config.adminKey),
+                role: 'owner',
+                createdAt: new Date().toISOString(),
+                createdBy: 'bootstrap',
+                lastLoginAt: null
+            };
+            await this.macDB.writeDocument(ADMINS_DOC, accounts);
+            
+            console.log(`👤 Created initial admin account "${username}" from ADMIN_SECRET_KEY`);
+            return true;
+        });
+    }
+    
+    issueToken(admin) {
+        if (!this.warnedEphemeralSecret) {
+            console.warn('⚠️ ADMIN_TOKEN_SECRET not set; admin sessions will not survive a restart');
+            this.warnedEphemeralSecret = true;
+        }
+        
+        const now = Date.now();
+        const payload = {
+            sub: admin.username,
+            iat: now,
+            exp: now + this.sessionTtl,
+            jti: crypto.randomUUID()
+        };
+        
+        const body = base64url(JSON.stringify(payload));
+        const signature = base64url(crypto.createHmac('sha256', this.tokenSecret).update(body).digest());
+        
+        return { token: `${body}.${signature}`, expiresAt: new Date(payload.exp).toISOString() };
+    }
+    
+    // Returns the token payload, or null if the signature or expiry is invalid
+    verifyToken(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+        
+        const [body, signature] = token.split('.');
+        if (!body || !signature) {
+            return null;
+        }
+        
+        const expected = base64url(crypto.createHmac('sha256', this.tokenSecret).update(body).digest());
+        if (!safeEqual(signature, expected)) {
+            return null;
+        }
+        
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return payload.exp > Date.now() ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async login(username, password) {
+        try {
+            await this.ready;
+            
+            const accounts = await this.readAccounts();
+            const admin = accounts.admins[String(username).toLowerCase()];
+            
+            // Always run the hash comparison so unknown usernames aren't faster to reject
+            const valid = verifyPassword(password, admin ? admin.passwordHash : DUMMY_HASH);
+            
+            if (!admin || !valid) {
+                return {
+                    success: false,
+                    message: 'Invalid username or password'
+                };
+            }
+            
+            await this.macDB.withLock(ADMINS_DOC, async () => {
+                const latest = await this.readAccounts();
+                if (latest.admins[admin.username]) {
+                    latest.admins[admin.username].lastLoginAt = new Date().toISOString();
+                    await this.macDB.writeDocument(ADMINS_DOC, latest);
+                }
+            });
+            
+            const { token, expiresAt } = this.issueToken(admin);
+            
+            return {
+                success: true,
+                message: 'Login successful',
+                data: {
+                    username: admin.username,
+                    role: admin.role,
+                    token: token,
+                    expiresAt: expiresAt
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error during admin login:', error);
+            return {
+                success: false,
+                message: `Login error: ${error.message}`
+            };
+        }
+    }
+    
+    // Resolve an "Authorization: Bearer <token>" header to the admin account, or null
+    async authenticate(authorizationHeader) {
+        const match = /^Bearer\s+(\S+)$/i.exec(authorizationHeader || '');
+        const payload = match && this.verifyToken(match[1]);
+        
+        if (!payload) {
+            return null;
+        }
+        
+        await this.ready;
+        
+        // Accounts removed or demoted after the token was issued are picked up immediately
+        const accounts = await this.readAccounts();
+        const admin = accounts.admins[payload.sub];
+        
+        return admin ? { username: admin.username, role: admin.role, sessionId: payload.jti } : null;
+    }
+    
+    async createAdmin(username, password, createdBy, role = 'viewer') {
+        try {
+            await this.ready;
+            
+            const normalized = String(username || '').toLowerCase();
+            
+            if (!USERNAME_REGEX.test(normalized)) {
+                return {
+                    success: false,
+                    message: 'Invalid username: use 3-32 letters, digits, ".", "_" or "-"'
+                };
+            }
+            
+            if (!ADMIN_ROLES.includes(role)) {
+                return {
+                    success: false,
+                    message: `Invalid role. Must be: ${ADMIN_ROLES.join(', ')}`
+                };
+            }
+            
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return {
+                    success: false,
+                    message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+                };
+            }
+            
+            return await this.macDB.withLock(ADMINS_DOC, async () => {
+                const accounts = await this.readAccounts();
+                
+                if (accounts.admins[normalized]) {
+                    return {
+                        success: false,
+                        message: 'Admin account already exists'
+                    };
+                }
+                
+                accounts.admins[normalized] = {
+                    username: normalized,
+                    passwordHash: hashPassword(password),
+                    role: role,
+                    createdAt: new Date().toISOString(),
+                    createdBy: createdBy,
+                    lastLoginAt: null
+                };
+                await this.macDB.writeDocument(ADMINS_DOC, accounts);
+                
+                console.log(`👤 Created admin account: ${normalized} (${role})`);
+                return {
+                    success: true,
+                    message: 'Admin account created successfully',
+                    data: this.describeAdmin(accounts.admins[normalized])
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error creating admin account:', error);
+            return {
+                success: false,
+                message: `Error creating admin account: ${error.message}`
+            };
+        }
+    }
+    
+    async removeAdmin(username, removedBy) {
+        try {
+            await this.ready;
+            
+            return await this.macDB.withLock(ADMINS_DOC, async () => {
+                const accounts = await this.readAccounts();
+                const normalized = String(username || '').toLowerCase();
+                
+                if (!accounts.admins[normalized]) {
+                    return {
+                        success: false,
+                        message: 'Admin account not found'
+                    };
+                }
+                
+                if (normalized === removedBy) {
+                    return {
+                        success: false,
+                        message: 'Admins cannot remove their own account'
+                    };
+                }
+                
+                delete accounts.admins[normalized];
+                await this.macDB.writeDocument(ADMINS_DOC, accounts);
+                
+                console.log(`👤 Removed admin account: ${normalized}`);
+                return {
+                    success: true,
+                    message: 'Admin account removed successfully'
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error removing admin account:', error);
+            return {
+                success: false,
+                message: `Error removing admin account: ${error.message}`
+            };
+        }
+    }
+    
+    async setAdminRole(username, role, changedBy) {
+        try {
+            await this.ready;
+            
+            if (!ADMIN_ROLES.includes(role)) {
+                return {
+                    success: false,
+                    message: `Invalid role. Must be: ${ADMIN_ROLES.join(', ')}`
+                };
+            }
+            
+            return await this.macDB.withLock(ADMINS_DOC, async () => {
+                const accounts = await this.readAccounts();
+                const admin = accounts.admins[String(username || '').toLowerCase()];
+                
+                if (!admin) {
+                    return {
+                        success: false,
+                        message: 'Admin account not found'
+                    };
+                }
+                
+                if (admin.username === changedBy) {
+                    return {
+                        success: false,
+                        message: 'Admins cannot change their own role'
+                    };
+                }
+                
+                if (admin.role === 'owner' && role !== 'owner' && this.countOwners(accounts) === 1) {
+                    return {
+                        success: false,
+                        message: 'Cannot demote the last owner'
+                    };
+                }
+                
+                admin.role = role;
+                admin.updatedAt = new Date().toISOString();
+                admin.updatedBy = changedBy;
+                await this.macDB.writeDocument(ADMINS_DOC, accounts);
+                
+                console.log(`👤 Changed role of ${admin.username} to ${role}`);
+                return {
+                    success: true,
+                    message: 'Admin role updated successfully',
+                    data: this.describeAdmin(admin)
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error changing admin role:', error);
+            return {
+                success: false,
+                message: `Error changing admin role: ${error.message}`
+            };
+        }
+    }
+    
+    async listAdmins() {
+        try {
+            await this.ready;
+            
+            const accounts = await this.readAccounts();
+            const admins = Object.values(accounts.admins).map(admin => this.describeAdmin(admin));
+            
+            return {
+                success: true,
+                message: 'Admin accounts retrieved successfully',
+                data: {
+                    admins: admins
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing admin accounts:', error);
+            return {
+                success: false,
+                message: `Error retrieving admin accounts: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Account details safe to return from the API (no password hash)
+    describeAdmin(admin) {
+        return {
+            username: admin.username,
+            role: admin.role,
+            createdAt: admin.createdAt,
+            createdBy: admin.createdBy,
+            lastLoginAt: admin.lastLoginAt
+        };
+    }
+}
+
+export default AdminAuth;
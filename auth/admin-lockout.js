@@ -0,0 +1,244 @@
+// admin-lockout.js - Lockout of IPs After Repeated Admin Authentication Failures
+//
+// Failed admin logins and requests with invalid session tokens are counted per
+// client IP in the "admin-lockouts" document. adminLockoutThreshold failures
+// within adminLockoutWindow lock the IP out of admin routes; each further
+// lockout lasts twice as long as the previous one, up to
+// adminLockoutMaxDuration. The escalation is forgotten after an IP has had no
+// failures for adminLockoutMaxDuration. Logging in forgets only the failures
+// recorded against the same username and those from invalid session tokens,
+// so signing in to one account doesn't reset the count of guesses at another.
+// Lockouts and their clearing are written to the admin audit trail.
+import { DATABASE_CONFIG } from '../database-config.js';
+
+const LOCKOUTS_DOC = 'admin-lockouts';
+
+// Audit context of lockouts the server applies on its own
+const LOCKOUT_CONTEXT = { admin: 'admin-lockout', ip: null };
+
+class AdminLockout {
+    constructor(macDB, config = DATABASE_CONFIG) {
+        this.macDB = macDB;
+        this.config = config;
+    }
+    
+    async readLockouts() {
+        await this.macDB.ready;
+        return await this.macDB.readDocument(LOCKOUTS_DOC) || {
+            version: '1.0',
+            created: new Date().toISOString(),
+            clients: {}
+        };
+    }
+    
+    // Lockout duration for the nth lockout of an IP
+    lockoutDuration(lockouts) {
+        return Math.min(this.config.adminLockoutDuration * 2 ** (lockouts - 1), this.config.adminLockoutMaxDuration);
+    }
+    
+    // Drop records with nothing left to remember, then the oldest beyond maxAdminLockouts
+    pruneLockouts(lockouts, now) {
+        for (const [ip, record] of Object.entries(lockouts.clients)) {
+            const idle = now - new Date(record.lastFailureAt).getTime();
+            if (new Date(record.lockedUntil || 0) <= now && idle > this.config.adminLockoutMaxDuration) {
+                delete lockouts.clients[ip];
+            }
+        }
+        
+        const excess = Object.keys(lockouts.clients).length - this.config.maxAdminLockouts;
+        if (excess > 0) {
+            Object.values(lockouts.clients)
+                .sort((a, b) => a.lastFailureAt.localeCompare(b.lastFailureAt))
+                .slice(0, excess)
+                .forEach(record => delete lockouts.clients[record.ip]);
+        }
+    }
+    
+    describeLockout(record, now = Date.now()) {
+        const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+        return {
+            ...record,
+            locked: lockedUntil > now,
+            retryAfter: lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0
+        };
+    }
+    
+    // Whether an IP is locked out - returns { locked, lockedUntil, retryAfter }
+    async check(ip) {
+        try {
+            const lockouts = await this.readLockouts();
+            const record = lockouts.clients[ip];
+            return record ? this.describeLockout(record) : { locked: false, lockedUntil: null, retryAfter: 0 };
+            
+        } catch (error) {
+            // A broken lockout store must not keep every admin out
+            console.error('❌ Error checking admin lockout:', error);
+            return { locked: false, lockedUntil: null, retryAfter: 0 };
+        }
+    }
+    
+    // Count a failed authentication from an IP. Returns the IP's lockout state;
+    // lockedNow is true when this failure triggered the lockout.
+    async recordFailure(ip, { username = null, reason = null } = {}) {
+        try {
+            const result = await this.macDB.withLock(LOCKOUTS_DOC, async () => {
+                const lockouts = await this.readLockouts();
+                const now = Date.now();
+                const timestamp = new Date(now).toISOString();
+                const record = lockouts.clients[ip] || { ip, failures: 0, lockouts: 0, firstFailureAt: null, lastFailureAt: null, lockedUntil: null, usernameFailures: {}, tokenFailures: 0 };
+                const idle = record.lastFailureAt ? now - new Date(record.lastFailureAt).getTime() : Infinity;
+                
+                if (idle > this.config.adminLockoutWindow) {
+                    record.failures = 0;
+                }
+                if (record.failures === 0 || !record.usernameFailures) {
+                    record.usernameFailures = {};
+                    record.tokenFailures = 0;
+                }
+                if (idle > this.config.adminLockoutMaxDuration) {
+                    record.lockouts = 0;
+                }
+                if (record.failures === 0) {
+                    record.firstFailureAt = timestamp;
+                }
+                
+                record.failures++;
+                if (username) {
+                    const key = String(username).toLowerCase();
+                    record.usernameFailures[key] = (record.usernameFailures[key] || 0) + 1;
+                } else {
+                    record.tokenFailures = (record.tokenFailures || 0) + 1;
+                }
+                record.lastFailureAt = timestamp;
+                record.lastUsername = username;
+                record.lastReason = reason;
+                
+                let lockedNow = false;
+                if (record.failures >= this.config.adminLockoutThreshold) {
+                    record.lockouts++;
+                    record.lockedUntil = new Date(now + this.lockoutDuration(record.lockouts)).toISOString();
+                    record.failures = 0;
+                    record.usernameFailures = {};
+                    record.tokenFailures = 0;
+                    lockedNow = true;
+                }
+                
+                lockouts.clients[ip] = record;
+                this.pruneLockouts(lockouts, now);
+                await this.macDB.writeDocument(LOCKOUTS_DOC, lockouts);
+                
+                return { ...this.describeLockout(record, now), lockedNow };
+            });
+            
+            if (result.lockedNow) {
+                const { lockedNow, ...lockout } = result;
+                await this.macDB.recordAudit('admin-lockout', [{ macAddress: null, before: null, after: lockout }], { ...LOCKOUT_CONTEXT, ip }, { ip, lockouts: result.lockouts, lockedUntil: result.lockedUntil });
+                console.warn(`🔒 Locked out ${ip} from admin routes until ${result.lockedUntil} (lockout ${result.lockouts})`);
+            }
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Error recording admin authentication failure:', error);
+            return { locked: false, lockedUntil: null, retryAfter: 0, lockedNow: false };
+        }
+    }
+    
+    // A successful login forgets the IP's failed logins for that username and
+    // its invalid session tokens. Other failures and the lockout history
+    // (escalation) are kept.
+    async recordSuccess(ip, username) {
+        const key = String(username).toLowerCase();
+        const clearable = record => (record?.usernameFailures?.[key] || 0) + (record?.tokenFailures || 0);
+        
+        try {
+            if (!clearable((await this.readLockouts()).clients[ip])) {
+                return;
+            }
+            
+            await this.macDB.withLock(LOCKOUTS_DOC, async () => {
+                const lockouts = await this.readLockouts();
+                const record = lockouts.clients[ip];
+                const failures = clearable(record);
+                if (!failures) {
+                    return;
+                }
+                
+                record.failures = Math.max(record.failures - failures, 0);
+                record.tokenFailures = 0;
+                delete record.usernameFailures?.[key];
+                await this.macDB.writeDocument(LOCKOUTS_DOC, lockouts);
+            });
+            
+        } catch (error) {
+            console.error('❌ Error clearing admin authentication failures:', error);
+        }
+    }
+    
+    // IPs that are locked out (all: also those with failures or lockout history)
+    async listLockouts({ all = false } = {}) {
+        try {
+            const lockouts = await this.readLockouts();
+            const now = Date.now();
+            const clients = Object.values(lockouts.clients)
+                .map(record => this.describeLockout(record, now))
+                .sort((a, b) => b.lastFailureAt.localeCompare(a.lastFailureAt));
+            const locked = clients.filter(record => record.locked);
+            
+            return {
+                success: true,
+                message: 'Admin lockouts retrieved successfully',
+                data: {
+                    lockouts: all ? clients : locked,
+                    locked: locked.length,
+                    tracked: clients.length
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing admin lockouts:', error);
+            return {
+                success: false,
+                message: `Error retrieving admin lockouts: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Lift an IP's lockout and forget its failures. context names the admin.
+    async clearLockout(ip, context = {}) {
+        try {
+            return await this.macDB.withLock(LOCKOUTS_DOC, async () => {
+                const lockouts = await this.readLockouts();
+                const record = lockouts.clients[ip];
+                
+                if (!record) {
+                    return {
+                        success: false,
+                        message: 'No failures or lockout recorded for this IP'
+                    };
+                }
+                
+                const before = this.describeLockout(record);
+                delete lockouts.clients[ip];
+                await this.macDB.writeDocument(LOCKOUTS_DOC, lockouts);
+                await this.macDB.recordAudit('clear-lockout', [{ macAddress: null, before, after: null }], context, { ip });
+                
+                console.log(`🔓 Cleared admin lockout of ${ip}${context.admin ? ` (by ${context.admin})` : ''}`);
+                return {
+                    success: true,
+                    message: before.locked ? 'Lockout cleared' : 'Failure history cleared',
+                    data: { ip, wasLocked: before.locked }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error clearing admin lockout:', error);
+            return {
+                success: false,
+                message: `Error clearing admin lockout: ${error.message}`
+            };
+        }
+    }
+}
+
+export default AdminLockout;
@@ -0,0 +1,101 @@
+// anomaly-detector.js - Suspicious Access Pattern Detection
+//
+// Looks at the access log events of one check's device and client IP within
+// a sliding window and reports what crosses a threshold: a device seen from
+// too many public IPs, fingerprints or usernames (a shared or cloned
+// whitelist entry), or a burst of denied checks (probing or a broken client).
+// A threshold of 0 turns its rule off.
+
+// Rule -> what it counts. Distinct-value rules apply to whitelisted devices;
+// denied bursts also to unknown MACs and to client IPs.
+export const ANOMALY_TYPES = ['public-ips', 'fingerprints', 'usernames', 'denied-burst'];
+
+// Types that indicate an entry is used from several places at once
+export const SHARING_ANOMALIES = ['public-ips', 'fingerprints', 'usernames'];
+
+// Most distinct values kept on an anomaly as evidence
+const MAX_EVIDENCE = 20;
+
+// Fewest events kept per MAC or client IP by recentEvents
+const MIN_RECENT_EVENTS = 100;
+
+const DISTINCT_RULES = [
+    { type: 'public-ips', threshold: 'maxPublicIPs', value: event => event.deviceInfo?.publicIP || event.deviceInfo?.clientIP },
+    { type: 'fingerprints', threshold: 'maxFingerprints', value: event => event.deviceInfo?.fingerprint },
+    { type: 'usernames', threshold: 'maxUsernames', value: event => event.deviceInfo?.username }
+];
+
+function distinctValues(events, value) {
+    return [...new Set(events.map(value).filter(item => item !== undefined && item !== null && item !== ''))];
+}
+
+// Thresholds from the database configuration
+export function anomalyThresholds(config) {
+    return {
+        window: config.anomalyWindow,
+        maxPublicIPs: config.anomalyMaxPublicIPs,
+        maxFingerprints: config.anomalyMaxFingerprints,
+        maxUsernames: config.anomalyMaxUsernames,
+        maxDeniedChecks: config.anomalyMaxDeniedChecks
+    };
+}
+
+// The events of one MAC or client IP worth keeping for detection: those within
+// the window, and no more of them than it takes to cross any threshold (every
+// check runs detection, so a crossing is reported before older events drop off)
+export function recentEvents(events, thresholds, now = new Date()) {
+    const since = new Date(now.getTime() - thresholds.window).toISOString();
+    const limit = Math.max(MIN_RECENT_EVENTS, thresholds.maxPublicIPs, thresholds.maxFingerprints,
+        thresholds.maxUsernames, thresholds.maxDeniedChecks) + 1;
+    
+    return events.filter(event => event.timestamp >= since).slice(-limit);
+}
+
+// Find anomalies for one access check.
+//   events      access log events (any order)
+//   subject     { deviceKey, macs, clientIP }: deviceKey is null for MACs that
+//               aren't whitelisted, macs are the MACs that count as the device
+// Returns [{ type, macAddress, clientIP, count, threshold, values, since }]
+export function detectAnomalies(events, { deviceKey = null, macs = [], clientIP = null }, thresholds, now = new Date()) {
+    const since = new Date(now.getTime() - thresholds.window).toISOString();
+    const recent = events.filter(event => event.timestamp >= since);
+    const macSet = new Set(macs);
+    const deviceEvents = recent.filter(event => macSet.has(String(event.macAddress).toLowerCase()));
+    const findings = [];
+    
+    const report = (type, count, threshold, values, target) => findings.push({
+        type,
+        macAddress: target.macAddress ?? null,
+        clientIP: target.clientIP ?? null,
+        count,
+        threshold,
+        values: values.slice(0, MAX_EVIDENCE),
+        since
+    });
+    
+    if (deviceKey) {
+        for (const rule of DISTINCT_RULES) {
+            const threshold = thresholds[rule.threshold];
+            const values = distinctValues(deviceEvents, rule.value);
+            if (threshold > 0 && values.length > threshold) {
+                report(rule.type, values.length, threshold, values, { macAddress: deviceKey });
+            }
+        }
+    }
+    
+    if (thresholds.maxDeniedChecks > 0) {
+        const deniedForDevice = deviceEvents.filter(event => !event.success);
+        if (macs.length > 0 && deniedForDevice.length > thresholds.maxDeniedChecks) {
+            report('denied-burst', deniedForDevice.length, thresholds.maxDeniedChecks,
+                distinctValues(deniedForDevice, event => event.message), { macAddress: deviceKey || macs[0] });
+        }
+        
+        const deniedForIP = clientIP ? recent.filter(event => !event.success && event.deviceInfo?.clientIP === clientIP) : [];
+        if (deniedForIP.length > thresholds.maxDeniedChecks) {
+            report('denied-burst', deniedForIP.length, thresholds.maxDeniedChecks,
+                distinctValues(deniedForIP, event => event.macAddress), { clientIP });
+        }
+    }
+    
+    return findings;
+}
@@ -0,0 +1,84 @@
+// encryption.js - At-Rest Encryption for Database Documents
+import crypto from 'crypto';
+import { DEFAULT_ENCRYPTION_KEY } from '../database-config.js';
+
+export { DEFAULT_ENCRYPTION_KEY };
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+// scrypt is deliberately slow, so derived keys are cached per secret + salt
+const derivedKeys = new Map();
+
+function deriveKey(secret, salt) {
+    const cacheKey = crypto.createHash('sha256').update(secret).update(salt).digest('hex');
+    
+    if (!derivedKeys.has(cacheKey)) {
+        derivedKeys.set(cacheKey, crypto.scryptSync(secret, salt, 32));
+    }
+    
+    return derivedKeys.get(cacheKey);
+}
+
+export function isEncryptedDocument(doc) {
+    return Boolean(doc && doc.encrypted === true && doc.algorithm === ALGORITHM);
+}
+
+// Encrypt a JSON document. The document name is bound as additional authenticated
+// data so an encrypted file can't be swapped in for a different document.
+export function encryptDocument(doc, secret, { name = '', salt } = {}) {
+    const saltBuffer = salt || crypto.randomBytes(16);
+    const key = deriveKey(secret, saltBuffer);
+    const iv = crypto.randomBytes(12);
+    
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(name));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(doc), 'utf8'), cipher.final()]);
+    
+    return {
+        encrypted: true,
+        version: ENVELOPE_VERSION,
+        algorithm: ALGORITHM,
+        kdf: 'scrypt',
+        salt: saltBuffer.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: ciphertext.toString('base64')
+    };
+}
+
+export function decryptDocument(envelope, secret, { name = '' } = {}) {
+    if (!isEncryptedDocument(envelope)) {
+        throw new Error('Document is not encrypted');
+    }
+    
+    const key = deriveKey(secret, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    
+    try {
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final()
+        ]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error(`Unable to decrypt "${name}": wrong key or corrupted data`);
+    }
+}
+
+// Refuse to run a production deployment on the placeholder key
+export function assertEncryptionKey({ encryptDatabase, encryptionKey, isProduction }) {
+    if (!encryptDatabase) {
+        return;
+    }
+    
+    if (!encryptionKey) {
+        throw new Error('Database encryption is enabled but no encryption key is configured');
+    }
+    
+    if (isProduction && encryptionKey === DEFAULT_ENCRYPTION_KEY) {
+        throw new Error('Refusing to start: DATABASE_ENCRYPTION_KEY must be changed from the default in production');
+    }
+}
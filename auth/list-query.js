@@ -0,0 +1,83 @@
+// list-query.js - Sorting and Cursor Pagination for Admin List Queries
+//
+// A cursor names the last item of the previous page by its sort value and key,
+// so pages stay consistent while new log events or devices are being added
+// (an offset would skip or repeat items). Cursors are only valid for the sort
+// they were issued with.
+
+export const SORT_ORDERS = ['asc', 'desc'];
+
+export function encodeCursor(item, { sortBy, order, keyField }) {
+    const cursor = { sortBy, order, value: item[sortBy] ?? null, key: item[keyField] };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Returns the decoded cursor, or null if it is malformed
+export function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return decoded && typeof decoded === 'object' && 'key' in decoded && 'value' in decoded ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// Order by sortBy (nulls last in either direction), then by key ascending as a tie-breaker
+function createComparator(sortBy, order, keyField) {
+    const direction = order === 'asc' ? 1 : -1;
+    
+    return (a, b) => {
+        const valueA = a[sortBy] ?? null;
+        const valueB = b[sortBy] ?? null;
+        
+        if (valueA !== valueB && (valueA === null || valueB === null)) {
+            return valueA === null ? 1 : -1;
+        }
+        return direction * compareValues(valueA, valueB) || compareValues(String(a[keyField]), String(b[keyField]));
+    };
+}
+
+// Case-insensitive substring match; an empty needle matches everything
+export function matchesText(haystack, needle) {
+    if (!needle) return true;
+    return String(haystack ?? '').toLowerCase().includes(String(needle).toLowerCase());
+}
+
+// Whether a timestamp falls within [since, until]; open-ended when either is unset.
+// A missing timestamp only matches when no range is given.
+export function inDateRange(value, since = null, until = null) {
+    if (!since && !until) return true;
+    if (!value) return false;
+    
+    const time = new Date(value).getTime();
+    return (!since || time >= new Date(since).getTime()) && (!until || time <= new Date(until).getTime());
+}
+
+// Sort items and return the page after `cursor`. limit null means no limit.
+export function paginate(items, { sortBy, order = 'desc', limit = null, cursor = null, keyField = 'id' }) {
+    const compare = createComparator(sortBy, order, keyField);
+    let sorted = [...items].sort(compare);
+    
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position || position.sortBy !== sortBy || position.order !== order) {
+            throw new Error('Invalid cursor for this sort order');
+        }
+        
+        const last = { [sortBy]: position.value, [keyField]: position.key };
+        sorted = sorted.filter(item => compare(item, last) > 0);
+    }
+    
+    const page = limit === null ? sorted : sorted.slice(0, limit);
+    const hasMore = page.length > 0 && page.length < sorted.length;
+    
+    return {
+        items: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], { sortBy, order, keyField }) : null
+    };
+}
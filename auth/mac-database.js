@@ -1,95 +1,677 @@
-// mac-database.js - Custom File-Based Database for MAC Address Management
-import fs from 'fs-extra';
-import path from 'path';
+// mac-database.js - Custom Document Database for MAC Address Management
 import crypto from 'crypto';
-import { fileURLToPath } from 'url';
+import { createStorage, EncryptedStore } from './storage/index.js';
+import { assertEncryptionKey } from './encryption.js';
+import { validateMACAddress, validateTrialLimits, validateGroupName, validateGroupPolicy, ACCESS_TYPES, ENTRY_STATUSES } from './validation.js';
+import { validateAccessWindow, normalizeAccessWindow, isWithinAccessWindow } from './access-window.js';
+import { paginate, matchesText, inDateRange } from './list-query.js';
+import { toCSV } from './whitelist-csv.js';
+import { detectAnomalies, anomalyThresholds, recentEvents, SHARING_ANOMALIES } from './anomaly-detector.js';
+import { RATE_LIMITS_PREFIX } from './rate-limiter.js';
+import { DATABASE_CONFIG, DEVELOPMENT_CONFIG } from '../database-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-device statistics kept in ACCESS_STATS_DOC rather than on whitelist entries
+const STATS_FIELDS = ['lastSeen', 'accessCount', 'lastDevice'];
+
+// Unattached MACs remembered per device from the interfaces it reports
+const MAX_OBSERVED_MACS = 16;
+
+// Document names used with the storage adapter
+const WHITELIST_DOC = 'mac-whitelist';
+const ACCESS_LOG_DOC = 'access-log';
+const ACCESS_STATS_DOC = 'access-stats';
+const AUDIT_DOC = 'admin-audit';
+const ACCESS_REQUESTS_DOC = 'access-requests';
+const ANOMALIES_DOC = 'anomalies';
+
+// Recent access events per MAC and client IP, one document each, so anomaly
+// detection doesn't have to read the whole access log (see indexAccessEvent)
+const ANOMALY_INDEX_PREFIX = 'anomaly-index/';
+const BACKUP_PREFIX = 'backups/mac-whitelist-';
+
+// Rotated copies are staged next to each document until all have been re-encrypted
+const KEY_ROTATION_SUFFIX = '.key-rotation';
+
+// Fields the admin list queries can be sorted by
+export const LOG_SORT_FIELDS = ['timestamp', 'macAddress'];
+export const MAC_SORT_FIELDS = ['addedAt', 'lastSeen', 'accessCount', 'macAddress', 'description', 'expiresAt'];
+
+// How importWhitelist treats rows for MACs that are already whitelisted:
+// skip leaves them alone, overwrite replaces their settings with the row's,
+// merge only applies the columns the row fills in
+export const IMPORT_MODES = ['skip', 'overwrite', 'merge'];
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Lifecycle of a self-service access request
+export const ACCESS_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Lifecycle of a detected anomaly
+export const ANOMALY_STATUSES = ['open', 'resolved'];
+
+// Recorded as the actor of changes the anomaly detector makes
+const DETECTOR_CONTEXT = { admin: 'anomaly-detector', ip: null };
+const MAX_IMPORT_ROWS = 10000;
+
+// Bulk row statuses that leave a row alone without failing it (or a transaction)
+const BULK_NON_FAILING_STATUSES = ['unchanged', 'skipped'];
 
 class MACDatabase {
-    constructor(dbPath = null) {
-        // Use provided path or default to data directory
-        this.dbPath = dbPath || path.join(__dirname, 'data');
-        this.macFile = path.join(this.dbPath, 'mac-whitelist.json');
-        this.backupDir = path.join(this.dbPath, 'backups');
-        this.logFile = path.join(this.dbPath, 'access-log.json');
+    constructor(dbPath = null, options = {}) {
+        // Settings come from DATABASE_CONFIG; options.config overrides individual keys
+        this.config = { ...DATABASE_CONFIG, ...options.config };
+        
+        // Use provided path or default to the configured data directory
+        this.dbPath = dbPath || this.config.dataPath;
+        
+        // At-rest encryption settings
+        const encrypt = options.encrypt ?? this.config.encryptDatabase;
+        const encryptionKey = options.encryptionKey || this.config.encryptionKey;
+        assertEncryptionKey({
+            encryptDatabase: encrypt,
+            encryptionKey,
+            isProduction: this.config.environment.isProduction
+        });
+        
+        // Storage adapter: injected, or chosen from the configuration
+        this.storage = options.storage || createStorage({
+            backend: options.backend || this.config.storageBackend,
+            dataPath: this.dbPath,
+            sqliteFile: this.config.sqliteFile,
+            lockTimeout: this.config.lockTimeout,
+            lockStaleTimeout: this.config.lockStaleTimeout,
+            encrypt,
+            encryptionKey
+        });
+        
+        // In-memory copies of hot documents (whitelist, access statistics)
+        this.cache = new Map();
+        this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+        
+        // Pending read-modify-write tasks per document, so writes within this
+        // process run one at a time instead of overwriting each other
+        this.lockQueues = new Map();
+        
+        // Every operation waits for initialization to finish
+        this.ready = this.initializeDatabase();
+        this.ready.catch(() => {});
+    }
+    
+    // Run a read-modify-write task with exclusive access to a document: queued
+    // behind other tasks in this process, then under the storage adapter's
+    // cross-process lock. Tasks must not call withLock for the same document.
+    async withLock(name, task) {
+        const previous = this.lockQueues.get(name) || Promise.resolve();
+        let done;
+        const current = new Promise(resolve => (done = resolve));
+        const tail = previous.then(() => current);
+        this.lockQueues.set(name, tail);
+        
+        await previous;
+        
+        let release = null;
+        try {
+            await this.ready;
+            release = await this.storage.lock(name);
+            return await task();
+        } finally {
+            if (release) {
+                await release();
+            }
+            done();
+            if (this.lockQueues.get(name) === tail) {
+                this.lockQueues.delete(name);
+            }
+        }
+    }
+    
+    // Read a document through the cache. A cached copy is served only while the
+    // stored document's stat is unchanged (so writes by other processes are
+    // picked up) and it is younger than cacheTimeout. Callers get their own
+    // copy and may mutate it freely.
+    async readDocument(name) {
+        if (!this.config.cacheEnabled) {
+            return await this.storage.read(name);
+        }
+        
+        const stat = await this.storage.stat(name);
+        const cached = this.cache.get(name);
+        
+        if (cached && stat
+            && cached.mtimeMs === stat.mtimeMs
+            && cached.size === stat.size
+            && Date.now() - cached.loadedAt < this.config.cacheTimeout) {
+            this.cacheStats.hits++;
+            return structuredClone(cached.doc);
+        }
+        
+        this.cacheStats.misses++;
+        const doc = await this.storage.read(name);
+        this.cacheDocument(name, doc, stat);
+        return doc;
+    }
+    
+    // Write a document and keep the cache in step with it
+    async writeDocument(name, doc) {
+        this.invalidateCache(name);
+        await this.storage.write(name, doc);
+        
+        if (this.config.cacheEnabled) {
+            this.cacheDocument(name, doc, await this.storage.stat(name));
+        }
+    }
+    
+    cacheDocument(name, doc, stat) {
+        if (doc && stat) {
+            this.cache.set(name, { doc: structuredClone(doc), ...stat, loadedAt: Date.now() });
+        } else {
+            this.cache.delete(name);
+        }
+    }
+    
+    invalidateCache(name = null) {
+        if (name) {
+            this.cache.delete(name);
+        } else {
+            this.cache.clear();
+        }
+        this.cacheStats.invalidations++;
+    }
+    
+    getCacheStats() {
+        const lookups = this.cacheStats.hits + this.cacheStats.misses;
         
-        // Ensure directories exist
-        this.initializeDatabase();
+        return {
+            success: true,
+            message: 'Cache statistics retrieved successfully',
+            data: {
+                enabled: this.config.cacheEnabled,
+                timeout: this.config.cacheTimeout,
+                hits: this.cacheStats.hits,
+                misses: this.cacheStats.misses,
+                invalidations: this.cacheStats.invalidations,
+                hitRate: lookups > 0 ? this.cacheStats.hits / lookups : 0,
+                cachedDocuments: [...this.cache.keys()]
+            }
+        };
     }
     
     async initializeDatabase() {
         try {
-            // Create directories if they don't exist
-            await fs.ensureDir(this.dbPath);
-            await fs.ensureDir(this.backupDir);
+            await this.storage.init();
             
-            // Initialize MAC whitelist file if it doesn't exist
-            if (!await fs.pathExists(this.macFile)) {
+            // Initialize MAC whitelist if it doesn't exist
+            if (await this.storage.exists(WHITELIST_DOC)) {
+                // Fails early if the document can't be decrypted with the configured key
+                await this.storage.read(WHITELIST_DOC);
+            } else {
                 const initialData = {
                     version: '1.0',
                     created: new Date().toISOString(),
                     macAddresses: {},
+                    groups: {},
                     statistics: {
                         totalDevices: 0,
-                        totalAccesses: 0,
                         lastUpdated: new Date().toISOString()
                     }
                 };
-                await fs.writeJson(this.macFile, initialData, { spaces: 2 });
-                console.log('🎯 MAC database initialized');
+                await this.storage.write(WHITELIST_DOC, initialData);
+                console.log(`🎯 MAC database initialized (${this.storage.name} storage)`);
             }
             
             // Initialize access log if it doesn't exist
-            if (!await fs.pathExists(this.logFile)) {
+            if (!await this.storage.exists(ACCESS_LOG_DOC)) {
                 const initialLog = {
                     version: '1.0',
                     created: new Date().toISOString(),
                     accessEvents: []
                 };
-                await fs.writeJson(this.logFile, initialLog, { spaces: 2 });
+                await this.storage.write(ACCESS_LOG_DOC, initialLog);
                 console.log('📝 Access log initialized');
             }
             
+            // Initialize access statistics, moving them off older whitelist entries
+            if (!await this.storage.exists(ACCESS_STATS_DOC)) {
+                await this.migrateAccessStats();
+            }
+            
         } catch (error) {
             console.error('❌ Error initializing MAC database:', error);
             throw error;
         }
     }
     
-    async backupDatabase() {
+    // Device checks only touch ACCESS_STATS_DOC, so normal client traffic never
+    // rewrites (or backs up) the authoritative whitelist. Whitelists created
+    // before the split carry the statistics on each entry; move them across.
+    // Runs during initialization, so it uses the storage adapter directly.
+    async migrateAccessStats() {
+        const data = await this.storage.read(WHITELIST_DOC);
+        const stats = this.createEmptyStats();
+        let migrated = 0;
+        
+        for (const [mac, entry] of Object.entries(data.macAddresses)) {
+            if (STATS_FIELDS.some(field => field in entry)) {
+                stats.devices[mac] = {
+                    lastSeen: entry.lastSeen || null,
+                    accessCount: entry.accessCount || 0,
+                    lastDevice: entry.lastDevice || null
+                };
+                STATS_FIELDS.forEach(field => delete entry[field]);
+                migrated++;
+            }
+        }
+        
+        stats.totalAccesses = data.statistics.totalAccesses || 0;
+        delete data.statistics.totalAccesses;
+        
+        await this.storage.write(ACCESS_STATS_DOC, stats);
+        if (migrated > 0) {
+            await this.storage.write(WHITELIST_DOC, data);
+            console.log(`📊 Moved access statistics for ${migrated} devices out of the whitelist`);
+        }
+    }
+    
+    createEmptyStats() {
+        return {
+            version: '1.0',
+            created: new Date().toISOString(),
+            devices: {},
+            totalAccesses: 0,
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    async readAccessStats() {
+        await this.ready;
+        return await this.readDocument(ACCESS_STATS_DOC) || this.createEmptyStats();
+    }
+    
+    async writeAccessStats(stats) {
+        stats.lastUpdated = new Date().toISOString();
+        await this.writeDocument(ACCESS_STATS_DOC, stats);
+    }
+    
+    getEntryStats(stats, mac) {
+        return stats.devices[mac] || { lastSeen: null, accessCount: 0, lastDevice: null };
+    }
+    
+    // Combine the statistics of two MACs that now belong to one device
+    mergeEntryStats(target, source) {
+        const newer = (source.lastSeen || '') > (target.lastSeen || '') ? source : target;
+        
+        return {
+            ...target,
+            lastSeen: newer.lastSeen || null,
+            accessCount: (target.accessCount || 0) + (source.accessCount || 0),
+            lastDevice: newer.lastDevice || null,
+            fingerprint: newer.fingerprint || target.fingerprint || source.fingerprint || null,
+            observedMacs: [...new Set([...(target.observedMacs || []), ...(source.observedMacs || [])])],
+            sessions: [...(target.sessions || []), ...(source.sessions || [])]
+        };
+    }
+    
+    // A device is one whitelist entry, keyed by its primary MAC, that may own
+    // further MACs (entry.aliases) for its other network interfaces. Maps every
+    // whitelisted MAC to the key of its device.
+    buildMacIndex(data) {
+        const index = new Map();
+        
+        for (const [mac, entry] of Object.entries(data.macAddresses)) {
+            index.set(mac, mac);
+            for (const alias of entry.aliases || []) {
+                index.set(alias, mac);
+            }
+        }
+        return index;
+    }
+    
+    // Key of the device owning a MAC, or null
+    findDeviceKey(data, macAddress) {
+        return this.buildMacIndex(data).get(macAddress.toLowerCase()) || null;
+    }
+    
+    // Periodic backups for long-running processes. Admin mutations already back
+    // up before writing, so a scheduled backup is only taken when the whitelist
+    // changed since the newest backup; identical snapshots would just rotate
+    // the useful ones away.
+    startBackupSchedule(interval = DEVELOPMENT_CONFIG.backupInterval) {
+        this.stopBackupSchedule();
+        
+        if (!this.config.enableBackups) {
+            return;
+        }
+        
+        this.backupTimer = setInterval(() => this.backupIfChanged(), interval);
+        this.backupTimer.unref?.();
+    }
+    
+    stopBackupSchedule() {
+        if (this.backupTimer) {
+            clearInterval(this.backupTimer);
+            this.backupTimer = null;
+        }
+    }
+    
+    async backupIfChanged() {
+        try {
+            await this.ready;
+            
+            const backups = await this.storage.list(BACKUP_PREFIX);
+            const current = await this.storage.read(WHITELIST_DOC);
+            
+            if (backups.length > 0) {
+                const latest = this.unwrapBackup(await this.storage.read(backups[backups.length - 1]));
+                if (latest.data?.statistics?.lastUpdated === current?.statistics?.lastUpdated) {
+                    return false;
+                }
+            }
+            
+            await this.backupDatabase({ reason: 'scheduled' });
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error running scheduled backup:', error);
+            return false;
+        }
+    }
+    
+    checksum(data) {
+        return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    }
+    
+    // Backups are stored as { checksum, data } envelopes. Older backups are a
+    // bare copy of the whitelist and have no checksum to verify against.
+    unwrapBackup(doc) {
+        if (doc && doc.backupVersion) {
+            return doc;
+        }
+        
+        return { backupVersion: null, createdAt: null, reason: null, checksum: null, data: doc };
+    }
+    
+    // Snapshot the whitelist. Skipped when backups are disabled, unless forced
+    // (restores always take a safety backup). Returns the backup id or null.
+    async backupDatabase({ reason = 'update', force = false } = {}) {
         try {
+            if (!this.config.enableBackups && !force) {
+                return null;
+            }
+            
+            await this.ready;
+            
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupFile = path.join(this.backupDir, `mac-whitelist-${timestamp}.json`);
+            const backupName = `${BACKUP_PREFIX}${timestamp}`;
             
-            if (await fs.pathExists(this.macFile)) {
-                await fs.copy(this.macFile, backupFile);
-                console.log(`💾 Database backed up to: ${backupFile}`);
+            const current = await this.storage.read(WHITELIST_DOC);
+            if (!current) {
+                return null;
             }
             
-            // Clean old backups (keep only last 10)
-            const backupFiles = await fs.readdir(this.backupDir);
-            const sortedBackups = backupFiles
-                .filter(file => file.startsWith('mac-whitelist-') && file.endsWith('.json'))
-                .sort()
-                .reverse();
+            await this.storage.write(backupName, {
+                backupVersion: '1.0',
+                createdAt: new Date().toISOString(),
+                reason: reason,
+                checksum: this.checksum(current),
+                data: current
+            });
+            console.log(`💾 Database backed up to: ${backupName}`);
+            
+            // Clean old backups (keep only the configured number)
+            const sortedBackups = (await this.storage.list(BACKUP_PREFIX)).reverse();
             
-            if (sortedBackups.length > 10) {
-                const filesToDelete = sortedBackups.slice(10);
-                for (const file of filesToDelete) {
-                    await fs.remove(path.join(this.backupDir, file));
+            if (sortedBackups.length > this.config.maxBackups) {
+                const backupsToDelete = sortedBackups.slice(this.config.maxBackups);
+                for (const name of backupsToDelete) {
+                    await this.storage.remove(name);
                 }
             }
             
+            return timestamp;
+            
         } catch (error) {
             console.error('❌ Error backing up database:', error);
+            return null;
+        }
+    }
+    
+    // Load a backup by id and check it: checksum (when present) and whitelist shape
+    async loadBackup(backupId) {
+        if (typeof backupId !== 'string' || !/^[\w-]+$/.test(backupId)) {
+            return { found: false, valid: false, error: 'Invalid backup id' };
+        }
+        
+        await this.ready;
+        
+        const doc = await this.storage.read(`${BACKUP_PREFIX}${backupId}`);
+        if (!doc) {
+            return { found: false, valid: false, error: 'Backup not found' };
+        }
+        
+        const backup = this.unwrapBackup(doc);
+        let error = null;
+        
+        if (!backup.data || typeof backup.data.macAddresses !== 'object' || backup.data.macAddresses === null) {
+            error = 'Backup does not contain a valid whitelist';
+        } else if (backup.checksum && backup.checksum !== this.checksum(backup.data)) {
+            error = 'Checksum mismatch: backup is corrupted';
+        }
+        
+        return {
+            found: true,
+            valid: !error,
+            verified: !error && Boolean(backup.checksum),
+            error: error,
+            backup: backup
+        };
+    }
+    
+    // List backups, newest first, verifying each one
+    async listBackups() {
+        try {
+            await this.ready;
+            
+            const names = (await this.storage.list(BACKUP_PREFIX)).reverse();
+            const backups = [];
+            
+            for (const name of names) {
+                const backupId = name.slice(BACKUP_PREFIX.length);
+                let loaded;
+                try {
+                    loaded = await this.loadBackup(backupId);
+                } catch (error) {
+                    loaded = { valid: false, verified: false, error: error.message, backup: null };
+                }
+                
+                backups.push({
+                    backupId: backupId,
+                    createdAt: loaded.backup?.createdAt || null,
+                    reason: loaded.backup?.reason || null,
+                    totalDevices: loaded.valid ? Object.keys(loaded.backup.data.macAddresses).length : null,
+                    checksum: loaded.backup?.checksum || null,
+                    valid: loaded.valid,
+                    verified: loaded.verified,
+                    error: loaded.error
+                });
+            }
+            
+            return {
+                success: true,
+                message: 'Backups retrieved successfully',
+                data: {
+                    backups: backups,
+                    total: backups.length,
+                    corrupted: backups.filter(backup => !backup.valid).length
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing backups:', error);
+            return {
+                success: false,
+                message: `Error listing backups: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Compare a backup with the live whitelist. "added" are MACs in the live
+    // database but not the backup, "removed" the reverse; restoring the backup
+    // would undo both.
+    async diffBackup(backupId) {
+        try {
+            const loaded = await this.loadBackup(backupId);
+            if (!loaded.valid) {
+                return {
+                    success: false,
+                    message: `Cannot diff backup: ${loaded.error}`,
+                    data: null
+                };
+            }
+            
+            const backupMacs = loaded.backup.data.macAddresses;
+            const liveMacs = (await this.readDatabase()).macAddresses;
+            const added = [];
+            const removed = [];
+            const changed = [];
+            
+            for (const [mac, entry] of Object.entries(liveMacs)) {
+                if (!backupMacs[mac]) {
+                    added.push({ macAddress: mac, ...entry });
+                    continue;
+                }
+                
+                const changes = {};
+                const fields = new Set([...Object.keys(entry), ...Object.keys(backupMacs[mac])]);
+                for (const field of fields) {
+                    if (JSON.stringify(entry[field]) !== JSON.stringify(backupMacs[mac][field])) {
+                        changes[field] = { backup: backupMacs[mac][field] ?? null, live: entry[field] ?? null };
+                    }
+                }
+                
+                if (Object.keys(changes).length > 0) {
+                    changed.push({ macAddress: mac, changes: changes });
+                }
+            }
+            
+            for (const [mac, entry] of Object.entries(backupMacs)) {
+                if (!liveMacs[mac]) {
+                    removed.push({ macAddress: mac, ...entry });
+                }
+            }
+            
+            return {
+                success: true,
+                message: 'Backup diff computed successfully',
+                data: {
+                    backupId: backupId,
+                    added: added,
+                    removed: removed,
+                    changed: changed,
+                    summary: {
+                        added: added.length,
+                        removed: removed.length,
+                        changed: changed.length
+                    }
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error diffing backup:', error);
+            return {
+                success: false,
+                message: `Error diffing backup: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Take a backup on request, even when automatic backups are disabled
+    async createBackup(reason = 'manual') {
+        const backupId = await this.backupDatabase({ reason, force: true });
+        
+        if (!backupId) {
+            return {
+                success: false,
+                message: 'Failed to create backup'
+            };
+        }
+        
+        return {
+            success: true,
+            message: 'Backup created successfully',
+            data: {
+                backupId: backupId
+            }
+        };
+    }
+    
+    // Replace the whitelist with a verified backup, after a safety backup of the current state
+    async restoreBackup(backupId, context = {}) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const loaded = await this.loadBackup(backupId);
+                if (!loaded.valid) {
+                    return {
+                        success: false,
+                        message: `Cannot restore backup: ${loaded.error}`
+                    };
+                }
+                
+                const safetyBackupId = await this.backupDatabase({ reason: `pre-restore ${backupId}`, force: true });
+                if (!safetyBackupId) {
+                    return {
+                        success: false,
+                        message: 'Failed to create safety backup; restore aborted'
+                    };
+                }
+                
+                const previous = await this.readDatabase();
+                const success = await this.writeDatabase(loaded.backup.data, { backup: false });
+                
+                if (success) {
+                    await this.recordAudit('restore-backup',
+                        this.diffEntries(previous.macAddresses, loaded.backup.data.macAddresses),
+                        context,
+                        { backupId, safetyBackupId });
+                    
+                    console.log(`♻️ Restored backup ${backupId} (safety backup: ${safetyBackupId})`);
+                    return {
+                        success: true,
+                        message: 'Backup restored successfully',
+                        data: {
+                            restoredBackupId: backupId,
+                            safetyBackupId: safetyBackupId,
+                            verified: loaded.verified,
+                            totalDevices: Object.keys(loaded.backup.data.macAddresses).length
+                        }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save restored data to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error restoring backup:', error);
+            return {
+                success: false,
+                message: `Error restoring backup: ${error.message}`
+            };
         }
     }
     
     async readDatabase() {
         try {
-            const data = await fs.readJson(this.macFile);
+            await this.ready;
+            
+            const data = await this.readDocument(WHITELIST_DOC);
+            if (!data) {
+                throw new Error('Whitelist document not found');
+            }
             return data;
         } catch (error) {
             console.error('❌ Error reading MAC database:', error);
@@ -98,28 +680,30 @@ class MACDatabase {
                 version: '1.0',
                 created: new Date().toISOString(),
                 macAddresses: {},
+                groups: {},
                 statistics: {
                     totalDevices: 0,
-                    totalAccesses: 0,
                     lastUpdated: new Date().toISOString()
                 }
             };
         }
     }
     
-    async writeDatabase(data) {
+    async writeDatabase(data, { backup = true } = {}) {
         try {
-            // Create backup before writing
-            await this.backupDatabase();
+            await this.ready;
+            
+            // Every whitelist write is an admin mutation: back up before writing
+            if (backup) {
+                await this.backupDatabase();
+            }
             
             // Update statistics
             data.statistics.lastUpdated = new Date().toISOString();
             data.statistics.totalDevices = Object.keys(data.macAddresses).length;
             
-            // Write to temporary file first, then rename (atomic operation)
-            const tempFile = this.macFile + '.tmp';
-            await fs.writeJson(tempFile, data, { spaces: 2 });
-            await fs.move(tempFile, this.macFile);
+            // Adapters replace the document atomically
+            await this.writeDocument(WHITELIST_DOC, data);
             
             console.log('✅ MAC database updated');
             return true;
@@ -131,10 +715,6 @@ class MACDatabase {
     
     async logAccess(macAddress, deviceInfo, success = true, message = '') {
         try {
-            const logData = await fs.pathExists(this.logFile) 
-                ? await fs.readJson(this.logFile) 
-                : { version: '1.0', created: new Date().toISOString(), accessEvents: [] };
-            
             const logEntry = {
                 timestamp: new Date().toISOString(),
                 macAddress: macAddress,
@@ -144,434 +724,3042 @@ class MACDatabase {
                     platform: deviceInfo.platform,
                     localIP: deviceInfo.localIP,
                     publicIP: deviceInfo.publicIP,
-                    fingerprint: deviceInfo.fingerprint?.substring(0, 16) + '...'
+                    clientIP: deviceInfo.clientIP,
+                    fingerprint: deviceInfo.fingerprint ? deviceInfo.fingerprint.substring(0, 16) + '...' : null
                 },
                 success: success,
                 message: message,
                 id: crypto.randomUUID()
             };
             
-            logData.accessEvents.push(logEntry);
-            
-            // Keep only last 1000 log entries
-            if (logData.accessEvents.length > 1000) {
-                logData.accessEvents = logData.accessEvents.slice(-1000);
+            if (this.config.enableAccessLogs) {
+                await this.withLock(ACCESS_LOG_DOC, async () => {
+                    const logData = await this.storage.read(ACCESS_LOG_DOC)
+                        || { version: '1.0', created: new Date().toISOString(), accessEvents: [] };
+                    
+                    logData.accessEvents.push(logEntry);
+                    
+                    // Keep only the most recent entries
+                    if (logData.accessEvents.length > this.config.maxLogEntries) {
+                        logData.accessEvents = logData.accessEvents.slice(-this.config.maxLogEntries);
+                    }
+                    
+                    await this.storage.write(ACCESS_LOG_DOC, logData);
+                });
             }
             
-            await fs.writeJson(this.logFile, logData, { spaces: 2 });
+            await this.indexAccessEvent(logEntry);
             
         } catch (error) {
             console.error('❌ Error logging access:', error);
         }
     }
     
-    // Check if MAC address has access
-    async checkAccess(macAddresses, deviceInfo) {
-        try {
-            const data = await this.readDatabase();
-            
-            // Check each MAC address
-            for (const macAddress of macAddresses) {
-                const normalizedMac = macAddress.toLowerCase();
-                
-                if (data.macAddresses[normalizedMac]) {
-                    const entry = data.macAddresses[normalizedMac];
-                    
-                    // Update last seen and access count
-                    entry.lastSeen = new Date().toISOString();
-                    entry.accessCount = (entry.accessCount || 0) + 1;
-                    entry.lastDevice = {
-                        hostname: deviceInfo.hostname,
-                        username: deviceInfo.username,
-                        platform: deviceInfo.platform,
-                        localIP: deviceInfo.localIP,
-                        publicIP: deviceInfo.publicIP
-                    };
-                    
-                    // Update total access count in statistics
-                    data.statistics.totalAccesses = (data.statistics.totalAccesses || 0) + 1;
-                    
-                    // Save updated data
-                    await this.writeDatabase(data);
-                    
-                    // Log successful access
-                    await this.logAccess(normalizedMac, deviceInfo, true, 'Access granted');
-                    
-                    return {
-                        success: true,
-                        message: 'Device authorized',
-                        data: {
-                            macAddress: normalizedMac,
-                            description: entry.description,
-                            accessType: entry.accessType || 'trial',
-                            addedAt: entry.addedAt,
-                            lastSeen: entry.lastSeen,
-                            accessCount: entry.accessCount
-                        }
-                    };
+    // Anomaly index document of a MAC ("mac") or client IP ("ip"). Keys are
+    // hashed so IPv6 addresses and MACs make safe file names.
+    anomalyIndexDoc(kind, key) {
+        return `${ANOMALY_INDEX_PREFIX}${kind}-${crypto.createHash('sha256').update(String(key).toLowerCase()).digest('hex').slice(0, 32)}`;
+    }
+    
+    // Add an access event to the anomaly index: under its MAC, and under its
+    // client IP when it was denied (the only events the per-IP rule counts)
+    async indexAccessEvent(event) {
+        if (!this.config.anomalyDetection) {
+            return;
+        }
+        
+        const thresholds = anomalyThresholds(this.config);
+        const names = [this.anomalyIndexDoc('mac', event.macAddress)];
+        if (!event.success && event.deviceInfo.clientIP) {
+            names.push(this.anomalyIndexDoc('ip', event.deviceInfo.clientIP));
+        }
+        
+        for (const name of names) {
+            await this.withLock(name, async () => {
+                const index = await this.storage.read(name);
+                await this.storage.write(name, { events: recentEvents([...(index?.events || []), event], thresholds) });
+            });
+        }
+    }
+    
+    // Remove anomaly index documents with no events left in the window - returns how many
+    async pruneAnomalyIndex() {
+        const thresholds = anomalyThresholds(this.config);
+        let removed = 0;
+        
+        for (const name of await this.storage.list(ANOMALY_INDEX_PREFIX)) {
+            await this.withLock(name, async () => {
+                const index = await this.storage.read(name);
+                if (recentEvents(index?.events || [], thresholds).length === 0) {
+                    await this.storage.remove(name);
+                    removed++;
                 }
+            });
+        }
+        return removed;
+    }
+    
+    // Check whether an entry has been suspended or revoked - returns a denial reason or null
+    evaluateStatus(entry) {
+        const status = entry.status || 'active';
+        return status !== 'active' ? `${status} (${entry.statusReason || 'no reason given'})` : null;
+    }
+    
+    // Check an entry's access window - returns a denial reason or null
+    evaluateAccessWindow(entry, now = new Date()) {
+        return isWithinAccessWindow(entry.accessWindow, now) ? null : 'outside access window';
+    }
+    
+    // Check trial limits for an entry - returns a denial reason or null
+    evaluateTrialLimits(entry, now = new Date()) {
+        if ((entry.accessType || 'trial') !== 'trial') {
+            return null;
+        }
+        
+        if (entry.expiresAt && new Date(entry.expiresAt) <= now) {
+            return 'trial expired';
+        }
+        
+        if (entry.maxAccesses != null && (entry.accessCount || 0) >= entry.maxAccesses) {
+            return 'quota exhausted';
+        }
+        
+        return null;
+    }
+    
+    // Effective settings of a whitelist entry. A device in a group takes the
+    // group's access type, expiry and access window when it has none of its own.
+    resolvePolicy(entry, groups = {}) {
+        const group = entry.group ? groups[entry.group] : null;
+        
+        return {
+            ...entry,
+            accessType: entry.accessType || group?.accessType || 'trial',
+            expiresAt: entry.expiresAt || group?.expiresAt || null,
+            accessWindow: entry.accessWindow || group?.accessWindow || null
+        };
+    }
+    
+    // Number of devices in each group
+    countGroupMembers(data) {
+        const counts = Object.fromEntries(Object.keys(data.groups || {}).map(name => [name, 0]));
+        
+        for (const entry of Object.values(data.macAddresses)) {
+            if (entry.group && entry.group in counts) {
+                counts[entry.group]++;
+            }
+        }
+        return counts;
+    }
+    
+    // Check that one more device fits in a group - returns an error message or null
+    groupCapacityError(data, name, members = this.countGroupMembers(data)) {
+        const group = data.groups?.[name];
+        
+        if (!group) {
+            return `Group not found: ${name}`;
+        }
+        if (group.maxDevices != null && members[name] >= group.maxDevices) {
+            return `Group ${name} is full (${group.maxDevices} devices)`;
+        }
+        return null;
+    }
+    
+    // The machine a check comes from: its fingerprint, or its hostname for
+    // clients that don't send one
+    seatKey(deviceInfo) {
+        return deviceInfo.fingerprint
+            ? `fingerprint:${deviceInfo.fingerprint}`
+            : `hostname:${String(deviceInfo.hostname || 'unknown').toLowerCase()}`;
+    }
+    
+    // Machines an entry may be used on at once: its own maxSeats, else the limit
+    // configured for its access type, else unlimited (null)
+    seatLimit(entry) {
+        return entry.maxSeats ?? this.config.seatLimits[entry.accessType || 'trial'] ?? null;
+    }
+    
+    // Sessions of a device that haven't timed out
+    liveSessions(entryStats, now = new Date()) {
+        return (entryStats.sessions || []).filter(session => new Date(session.expiresAt) > now);
+    }
+    
+    createSession(seat, deviceInfo, now) {
+        return {
+            sessionId: crypto.randomUUID(),
+            seat: seat,
+            hostname: deviceInfo.hostname,
+            username: deviceInfo.username,
+            platform: deviceInfo.platform,
+            clientIP: deviceInfo.clientIP,
+            startedAt: now.toISOString()
+        };
+    }
+    
+    touchSession(session, now) {
+        return {
+            ...session,
+            lastHeartbeat: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.config.sessionTimeout).toISOString()
+        };
+    }
+    
+    // Apply expiry / quota / seat settings from an admin request to an entry
+    applyTrialLimits(entry, limits = {}, accessCount = 0) {
+        if (limits.expiresAt !== undefined) {
+            entry.expiresAt = limits.expiresAt ? new Date(limits.expiresAt).toISOString() : null;
+        }
+        
+        if (limits.maxAccesses !== undefined) {
+            entry.maxAccesses = limits.maxAccesses === null ? null : Number(limits.maxAccesses);
+        }
+        
+        if (limits.maxSeats !== undefined) {
+            entry.maxSeats = limits.maxSeats === null ? null : Number(limits.maxSeats);
+        }
+        
+        // Extensions are relative to the current limit (or now, for expired trials)
+        if (limits.extendDays) {
+            const now = Date.now();
+            const base = entry.expiresAt ? Math.max(new Date(entry.expiresAt).getTime(), now) : now;
+            entry.expiresAt = new Date(base + Number(limits.extendDays) * DAY_MS).toISOString();
+        }
+        
+        if (limits.addAccesses) {
+            const current = entry.maxAccesses != null ? entry.maxAccesses : accessCount;
+            entry.maxAccesses = current + Number(limits.addAccesses);
+        }
+        
+        return entry;
+    }
+    
+    // Check if MAC address has access
+    async checkAccess(macAddresses, deviceInfo) {
+        try {
+            const result = await this.withLock(ACCESS_STATS_DOC, async () => {
+                const data = await this.readDatabase();
+                const stats = await this.readAccessStats();
+                const index = this.buildMacIndex(data);
+                const reportedMacs = macAddresses.map(mac => mac.toLowerCase());
+                
+                // Check each MAC address; any MAC of a device resolves to its entry and statistics
+                for (const normalizedMac of reportedMacs) {
+                    const deviceKey = index.get(normalizedMac);
+                    
+                    if (deviceKey) {
+                        const entry = this.resolvePolicy(data.macAddresses[deviceKey], data.groups);
+                        const entryStats = this.getEntryStats(stats, deviceKey);
+                        
+                        // A machine that already holds a live session keeps its seat;
+                        // a new one needs a free seat under the entry's limit
+                        const now = new Date();
+                        const sessions = this.liveSessions(entryStats, now);
+                        const seat = this.seatKey(deviceInfo);
+                        const maxSeats = this.seatLimit(entry);
+                        const session = sessions.find(existing => existing.seat === seat);
+                        const seatsFull = !session && maxSeats != null && sessions.length >= maxSeats;
+                        
+                        // Enforce status, access window, trial expiry, usage quota and seat limit
+                        const denialReason = this.evaluateStatus(entry)
+                            || this.evaluateAccessWindow(entry, now)
+                            || this.evaluateTrialLimits({ ...entry, ...entryStats }, now)
+                            || (seatsFull ? `seat limit reached (${sessions.length} of ${maxSeats} in use)` : null);
+                        if (denialReason) {
+                            await this.logAccess(normalizedMac, deviceInfo, false, `Access denied: ${denialReason}`);
+                            
+                            return {
+                                success: false,
+                                message: `Device not authorized. Access denied: ${denialReason}.`,
+                                reason: denialReason,
+                                data: {
+                                    macAddress: normalizedMac,
+                                    primaryMac: deviceKey,
+                                    accessType: entry.accessType,
+                                    group: entry.group || null,
+                                    status: entry.status || 'active',
+                                    accessWindow: entry.accessWindow,
+                                    expiresAt: entry.expiresAt,
+                                    maxAccesses: entry.maxAccesses ?? null,
+                                    accessCount: entryStats.accessCount,
+                                    maxSeats: maxSeats,
+                                    activeSessions: sessions.length
+                                }
+                            };
+                        }
+                        
+                        // Update last seen and access count
+                        entryStats.lastSeen = now.toISOString();
+                        entryStats.accessCount = (entryStats.accessCount || 0) + 1;
+                        entryStats.lastDevice = {
+                            hostname: deviceInfo.hostname,
+                            username: deviceInfo.username,
+                            platform: deviceInfo.platform,
+                            localIP: deviceInfo.localIP,
+                            publicIP: deviceInfo.publicIP
+                        };
+                        entryStats.fingerprint = deviceInfo.fingerprint || entryStats.fingerprint || null;
+                        
+                        // Remember other interfaces it reports so an admin can attach them
+                        const unattached = reportedMacs.filter(mac => !index.has(mac) && validateMACAddress(mac));
+                        entryStats.observedMacs = [...new Set([...(entryStats.observedMacs || []), ...unattached])].slice(-MAX_OBSERVED_MACS);
+                        
+                        // Open or refresh this machine's session (expired ones are dropped)
+                        const current = this.touchSession(session || this.createSession(seat, deviceInfo, now), now);
+                        entryStats.sessions = [...sessions.filter(existing => existing !== session), current];
+                        stats.devices[deviceKey] = entryStats;
+                        
+                        // Update total access count in statistics
+                        stats.totalAccesses = (stats.totalAccesses || 0) + 1;
+                        
+                        // Save updated statistics (the whitelist itself is unchanged)
+                        await this.writeAccessStats(stats);
+                        
+                        // Log successful access
+                        await this.logAccess(normalizedMac, deviceInfo, true, 'Access granted');
+                        
+                        return {
+                            success: true,
+                            message: 'Device authorized',
+                            data: {
+                                macAddress: normalizedMac,
+                                primaryMac: deviceKey,
+                                description: entry.description,
+                                accessType: entry.accessType,
+                                group: entry.group || null,
+                                addedAt: entry.addedAt,
+                                lastSeen: entryStats.lastSeen,
+                                accessCount: entryStats.accessCount,
+                                expiresAt: entry.expiresAt,
+                                accessWindow: entry.accessWindow,
+                                maxAccesses: entry.maxAccesses ?? null,
+                                remainingAccesses: entry.maxAccesses != null
+                                    ? Math.max(entry.maxAccesses - entryStats.accessCount, 0)
+                                    : null,
+                                sessionId: current.sessionId,
+                                sessionExpiresAt: current.expiresAt,
+                                maxSeats: maxSeats,
+                                activeSessions: entryStats.sessions.length
+                            }
+                        };
+                    }
+                }
+                
+                // No matching MAC address found. A known fingerprint is only a hint for
+                // admins (it is client-supplied), never a reason to grant access.
+                const knownDevice = deviceInfo.fingerprint
+                    && Object.keys(stats.devices).find(mac => stats.devices[mac].fingerprint === deviceInfo.fingerprint && data.macAddresses[mac]);
+                await this.logAccess(macAddresses[0] || 'unknown', deviceInfo, false,
+                    knownDevice ? `MAC address not whitelisted (fingerprint matches device ${knownDevice})` : 'MAC address not whitelisted');
+                
+                return {
+                    success: false,
+                    message: 'Device not authorized. MAC address not in whitelist.',
+                    data: null
+                };
+            });
+            
+            // Runs once the statistics lock is released, as suspending a device takes the whitelist lock
+            await this.detectAccessAnomalies(result.data?.primaryMac || null, macAddresses, deviceInfo);
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Error checking MAC access:', error);
+            await this.logAccess(macAddresses[0] || 'unknown', deviceInfo, false, `Database error: ${error.message}`);
+            
+            return {
+                success: false,
+                message: 'Database error occurred',
+                data: null
+            };
+        }
+    }
+    
+    // Find a session by id - returns { deviceKey, session } or null
+    findSession(stats, sessionId) {
+        for (const [deviceKey, entryStats] of Object.entries(stats.devices)) {
+            const session = (entryStats.sessions || []).find(existing => existing.sessionId === sessionId);
+            if (session) {
+                return { deviceKey, session };
+            }
+        }
+        return null;
+    }
+    
+    // Keep a session alive. Fails once it has expired or been revoked, or the
+    // device lost its access, so the client knows to run check-access again.
+    async heartbeatSession(sessionId) {
+        try {
+            return await this.withLock(ACCESS_STATS_DOC, async () => {
+                const data = await this.readDatabase();
+                const stats = await this.readAccessStats();
+                const now = new Date();
+                const found = this.findSession(stats, sessionId);
+                
+                if (!found || new Date(found.session.expiresAt) <= now) {
+                    return {
+                        success: false,
+                        message: 'Session not found or expired'
+                    };
+                }
+                
+                const { deviceKey, session } = found;
+                const entryStats = stats.devices[deviceKey];
+                const entry = data.macAddresses[deviceKey] && this.resolvePolicy(data.macAddresses[deviceKey], data.groups);
+                const denialReason = entry
+                    ? this.evaluateStatus(entry) || this.evaluateAccessWindow(entry, now) || this.evaluateTrialLimits({ ...entry, ...entryStats }, now)
+                    : 'device removed from whitelist';
+                
+                if (denialReason) {
+                    entryStats.sessions = entryStats.sessions.filter(existing => existing !== session);
+                    await this.writeAccessStats(stats);
+                    return {
+                        success: false,
+                        message: `Session ended: ${denialReason}`,
+                        reason: denialReason
+                    };
+                }
+                
+                const current = this.touchSession(session, now);
+                entryStats.sessions = [...this.liveSessions(entryStats, now).filter(existing => existing !== session), current];
+                await this.writeAccessStats(stats);
+                
+                return {
+                    success: true,
+                    message: 'Session extended',
+                    data: {
+                        sessionId: current.sessionId,
+                        expiresAt: current.expiresAt
+                    }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error extending session:', error);
+            return {
+                success: false,
+                message: 'Database error occurred'
+            };
+        }
+    }
+    
+    // Free a session's seat when the client exits
+    async endSession(sessionId) {
+        try {
+            return await this.withLock(ACCESS_STATS_DOC, async () => {
+                const stats = await this.readAccessStats();
+                const found = this.findSession(stats, sessionId);
+                
+                if (!found) {
+                    return {
+                        success: false,
+                        message: 'Session not found or expired'
+                    };
+                }
+                
+                const entryStats = stats.devices[found.deviceKey];
+                entryStats.sessions = entryStats.sessions.filter(existing => existing !== found.session);
+                await this.writeAccessStats(stats);
+                
+                return {
+                    success: true,
+                    message: 'Session ended',
+                    data: { sessionId }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error ending session:', error);
+            return {
+                success: false,
+                message: 'Database error occurred'
+            };
+        }
+    }
+    
+    // Live sessions, newest first, optionally for one device (any of its MACs)
+    async listSessions({ macAddress = null } = {}) {
+        try {
+            const data = await this.readDatabase();
+            const stats = await this.readAccessStats();
+            const now = new Date();
+            const deviceKey = macAddress ? this.findDeviceKey(data, macAddress) : null;
+            
+            if (macAddress && !deviceKey) {
+                return {
+                    success: false,
+                    message: 'MAC address not found in whitelist'
+                };
+            }
+            
+            const sessions = Object.entries(stats.devices)
+                .filter(([mac]) => data.macAddresses[mac] && (!deviceKey || mac === deviceKey))
+                .flatMap(([mac, entryStats]) => this.liveSessions(entryStats, now).map(session => ({
+                    sessionId: session.sessionId,
+                    macAddress: mac,
+                    description: data.macAddresses[mac].description,
+                    hostname: session.hostname || null,
+                    username: session.username || null,
+                    platform: session.platform || null,
+                    clientIP: session.clientIP || null,
+                    startedAt: session.startedAt,
+                    lastHeartbeat: session.lastHeartbeat,
+                    expiresAt: session.expiresAt
+                })))
+                .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+            
+            return {
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: {
+                    sessions: sessions,
+                    total: sessions.length
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing sessions:', error);
+            return {
+                success: false,
+                message: `Error retrieving sessions: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Revoke one session (sessionId) or every session of a device (macAddress).
+    // This frees the seats; the machine has to pass check-access again, which
+    // it can while a seat is free.
+    async revokeSessions({ sessionId = null, macAddress = null } = {}, context = {}) {
+        try {
+            return await this.withLock(ACCESS_STATS_DOC, async () => {
+                const data = await this.readDatabase();
+                const stats = await this.readAccessStats();
+                const now = new Date();
+                let deviceKeys;
+                
+                if (sessionId) {
+                    const found = this.findSession(stats, sessionId);
+                    deviceKeys = found ? [found.deviceKey] : [];
+                } else {
+                    const deviceKey = this.findDeviceKey(data, macAddress);
+                    deviceKeys = deviceKey ? [deviceKey] : [];
+                }
+                
+                const changes = [];
+                const revoked = [];
+                for (const deviceKey of deviceKeys) {
+                    const entryStats = stats.devices[deviceKey];
+                    const sessions = this.liveSessions(entryStats, now);
+                    const remaining = sessions.filter(session => sessionId && session.sessionId !== sessionId);
+                    
+                    if (remaining.length < sessions.length) {
+                        revoked.push(...sessions.filter(session => !remaining.includes(session)).map(session => session.sessionId));
+                        changes.push({ macAddress: deviceKey, before: { activeSessions: sessions.length }, after: { activeSessions: remaining.length } });
+                        entryStats.sessions = remaining;
+                    }
+                }
+                
+                if (revoked.length === 0) {
+                    return {
+                        success: false,
+                        message: sessionId ? 'Session not found or expired' : 'No live sessions for this device'
+                    };
+                }
+                
+                await this.writeAccessStats(stats);
+                await this.recordAudit('revoke-session', changes, context, { sessionIds: revoked });
+                
+                console.log(`✅ Revoked ${revoked.length} session(s) of ${changes.map(change => change.macAddress).join(', ')}`);
+                return {
+                    success: true,
+                    message: `Revoked ${revoked.length} session(s)`,
+                    data: {
+                        revoked: revoked,
+                        macAddress: changes[0].macAddress
+                    }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error revoking sessions:', error);
+            return {
+                success: false,
+                message: `Error revoking sessions: ${error.message}`
+            };
+        }
+    }
+    
+    // Add MAC address to whitelist. context.admin names the admin making the change.
+    // limits may also name a group; without an explicit accessType the device
+    // then follows the group's policy.
+    async addMACAddress(macAddress, description, accessType = 'trial', limits = {}, context = {}) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const normalizedMac = macAddress.toLowerCase();
+                const data = await this.readDatabase();
+                
+                // Check if MAC already exists, on its own or attached to a device
+                const owner = this.findDeviceKey(data, normalizedMac);
+                if (owner) {
+                    return {
+                        success: false,
+                        message: owner === normalizedMac
+                            ? 'MAC address already exists in whitelist'
+                            : `MAC address is attached to device ${owner}`
+                    };
+                }
+                
+                const group = limits.group || null;
+                if (group) {
+                    const capacityError = this.groupCapacityError(data, group);
+                    if (capacityError) {
+                        return {
+                            success: false,
+                            message: capacityError
+                        };
+                    }
+                }
+                
+                // Add new MAC address
+                data.macAddresses[normalizedMac] = this.applyTrialLimits({
+                    description: description,
+                    accessType: accessType || (group ? null : 'trial'),
+                    group: group,
+                    addedAt: new Date().toISOString(),
+                    addedBy: context.admin || null,
+                    expiresAt: null,
+                    maxAccesses: null,
+                    id: crypto.randomUUID()
+                }, limits);
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('add-mac', [{ macAddress: normalizedMac, before: null, after: data.macAddresses[normalizedMac] }], context);
+                    
+                    console.log(`✅ Added MAC address: ${normalizedMac} (${accessType || `group ${group}`})`);
+                    return {
+                        success: true,
+                        message: 'MAC address added successfully',
+                        data: data.macAddresses[normalizedMac]
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error adding MAC address:', error);
+            return {
+                success: false,
+                message: `Error adding MAC address: ${error.message}`
+            };
+        }
+    }
+    
+    // Update access type and trial limits for existing MAC (any MAC of a device)
+    async updateMACAccess(macAddress, accessType, limits = {}, context = {}) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const normalizedMac = this.findDeviceKey(data, macAddress);
+                
+                if (!normalizedMac) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const entry = data.macAddresses[normalizedMac];
+                const before = structuredClone(entry);
+                if (accessType) {
+                    entry.accessType = accessType;
+                }
+                const { accessCount } = this.getEntryStats(await this.readAccessStats(), normalizedMac);
+                this.applyTrialLimits(entry, limits, accessCount);
+                entry.updatedAt = new Date().toISOString();
+                entry.updatedBy = context.admin || null;
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('update-access', [{ macAddress: normalizedMac, before, after: entry }], context);
+                    
+                    console.log(`✅ Updated MAC access: ${normalizedMac} -> ${entry.accessType}`);
+                    return {
+                        success: true,
+                        message: 'Access type updated successfully',
+                        data: data.macAddresses[normalizedMac]
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error updating MAC access:', error);
+            return {
+                success: false,
+                message: `Error updating MAC access: ${error.message}`
+            };
+        }
+    }
+    
+    // Remove MAC address from whitelist, together with the rest of its device
+    async removeMACAddress(macAddress, context = {}) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const normalizedMac = this.findDeviceKey(data, macAddress);
+                
+                if (!normalizedMac) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const before = data.macAddresses[normalizedMac];
+                delete data.macAddresses[normalizedMac];
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('remove-mac', [{ macAddress: normalizedMac, before, after: null }], context);
+                    
+                    // Drop its statistics so a re-added device starts fresh
+                    await this.withLock(ACCESS_STATS_DOC, async () => {
+                        const stats = await this.readAccessStats();
+                        if (stats.devices[normalizedMac]) {
+                            delete stats.devices[normalizedMac];
+                            await this.writeAccessStats(stats);
+                        }
+                    });
+                    
+                    console.log(`✅ Removed MAC address: ${normalizedMac}${context.admin ? ` (by ${context.admin})` : ''}`);
+                    return {
+                        success: true,
+                        message: 'MAC address removed successfully'
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error removing MAC address:', error);
+            return {
+                success: false,
+                message: `Error removing MAC address: ${error.message}`
+            };
+        }
+    }
+    
+    // Set an entry's status (active clears the reason)
+    applyStatus(entry, status, reason, actor) {
+        const now = new Date().toISOString();
+        entry.status = status;
+        entry.statusReason = status === 'active' ? null : reason || null;
+        entry.statusChangedAt = now;
+        entry.statusChangedBy = actor || null;
+        entry.updatedAt = now;
+        entry.updatedBy = actor || null;
+        return entry;
+    }
+    
+    // End every session of a device, freeing its seats - returns how many ended
+    async dropSessions(deviceKey) {
+        return await this.withLock(ACCESS_STATS_DOC, async () => {
+            const stats = await this.readAccessStats();
+            const sessions = stats.devices[deviceKey]?.sessions || [];
+            
+            if (sessions.length === 0) {
+                return 0;
+            }
+            
+            const live = this.liveSessions(stats.devices[deviceKey]).length;
+            stats.devices[deviceKey].sessions = [];
+            await this.writeAccessStats(stats);
+            return live;
+        });
+    }
+    
+    // Suspend, revoke or reactivate a device (any of its MACs). Unlike removal
+    // this keeps its statistics and history; a device that loses access also
+    // loses its live sessions.
+    async setEntryStatus(macAddress, status, reason = null, context = {}) {
+        try {
+            if (!ENTRY_STATUSES.includes(status)) {
+                throw new Error(`Invalid status: ${status}. Must be: ${ENTRY_STATUSES.join(', ')}`);
+            }
+            
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const normalizedMac = this.findDeviceKey(data, macAddress);
+                
+                if (!normalizedMac) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const entry = data.macAddresses[normalizedMac];
+                if ((entry.status || 'active') === status && (status === 'active' || (entry.statusReason || null) === (reason || null))) {
+                    return {
+                        success: false,
+                        message: `Device is already ${status}`
+                    };
+                }
+                
+                const before = structuredClone(entry);
+                this.applyStatus(entry, status, reason, context.admin);
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('set-status', [{ macAddress: normalizedMac, before, after: entry }], context);
+                    const sessionsEnded = status === 'active' ? 0 : await this.dropSessions(normalizedMac);
+                    
+                    console.log(`✅ Set status of ${normalizedMac}: ${before.status || 'active'} -> ${status}${entry.statusReason ? ` (${entry.statusReason})` : ''}`);
+                    return {
+                        success: true,
+                        message: `Device is now ${status}`,
+                        data: {
+                            macAddress: normalizedMac,
+                            status: entry.status,
+                            statusReason: entry.statusReason,
+                            statusChangedAt: entry.statusChangedAt,
+                            statusChangedBy: entry.statusChangedBy,
+                            sessionsEnded: sessionsEnded
+                        }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error setting device status:', error);
+            return {
+                success: false,
+                message: `Error setting device status: ${error.message}`
+            };
+        }
+    }
+    
+    // Set or clear (null) a device's own access window. A device without one
+    // follows its group's window, if any.
+    async setAccessWindow(macAddress, accessWindow, context = {}) {
+        try {
+            const windowError = validateAccessWindow(accessWindow ?? null);
+            if (windowError) {
+                throw new Error(windowError);
+            }
+            
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const normalizedMac = this.findDeviceKey(data, macAddress);
+                
+                if (!normalizedMac) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const entry = data.macAddresses[normalizedMac];
+                const before = structuredClone(entry);
+                entry.accessWindow = normalizeAccessWindow(accessWindow);
+                entry.updatedAt = new Date().toISOString();
+                entry.updatedBy = context.admin || null;
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('set-access-window', [{ macAddress: normalizedMac, before, after: entry }], context);
+                    
+                    console.log(`✅ ${entry.accessWindow ? 'Set' : 'Cleared'} access window of ${normalizedMac}`);
+                    return {
+                        success: true,
+                        message: entry.accessWindow ? 'Access window set' : 'Access window cleared',
+                        data: {
+                            macAddress: normalizedMac,
+                            accessWindow: entry.accessWindow,
+                            effectiveAccessWindow: this.resolvePolicy(entry, data.groups).accessWindow
+                        }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error setting access window:', error);
+            return {
+                success: false,
+                message: `Error setting access window: ${error.message}`
+            };
+        }
+    }
+    
+    // Attach another MAC (network interface) to a device. A MAC that has its
+    // own whitelist entry is only folded in with merge: its entry, aliases and
+    // statistics become part of the device and its own settings are dropped.
+    async attachMAC(macAddress, attachMac, { merge = false } = {}, context = {}) {
+        try {
+            if (!validateMACAddress(attachMac)) {
+                throw new Error(`Invalid MAC address format: ${attachMac}`);
+            }
+            
+            const result = await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const index = this.buildMacIndex(data);
+                const deviceKey = index.get(macAddress.toLowerCase());
+                const newMac = attachMac.toLowerCase();
+                
+                if (!deviceKey) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const owner = index.get(newMac);
+                if (owner === deviceKey) {
+                    return {
+                        success: false,
+                        message: 'MAC address is already part of this device'
+                    };
+                }
+                if (owner && owner !== newMac) {
+                    return {
+                        success: false,
+                        message: `MAC address is attached to device ${owner}; detach it first`
+                    };
+                }
+                if (owner && !merge) {
+                    return {
+                        success: false,
+                        message: 'MAC address has its own whitelist entry; pass merge to fold it and its statistics into this device'
+                    };
+                }
+                
+                const entry = data.macAddresses[deviceKey];
+                const before = structuredClone(entry);
+                const absorbed = owner ? data.macAddresses[newMac] : null;
+                
+                entry.aliases = [...(entry.aliases || []), newMac, ...(absorbed?.aliases || [])];
+                entry.updatedAt = new Date().toISOString();
+                entry.updatedBy = context.admin || null;
+                if (absorbed) {
+                    delete data.macAddresses[newMac];
+                }
+                
+                const success = await this.writeDatabase(data);
+                
+                if (!success) {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+                
+                const changes = [{ macAddress: deviceKey, before, after: entry }];
+                if (absorbed) {
+                    changes.push({ macAddress: newMac, before: absorbed, after: null });
+                }
+                await this.recordAudit('attach-mac', changes, context, { attachedMac: newMac, merged: Boolean(absorbed) });
+                
+                console.log(`✅ Attached MAC address ${newMac} to device ${deviceKey}${absorbed ? ' (merged)' : ''}`);
+                return {
+                    success: true,
+                    message: absorbed ? 'MAC address merged into device' : 'MAC address attached to device',
+                    data: { macAddress: deviceKey, ...entry }
+                };
+            });
+            
+            if (result.success) {
+                // The attached MAC's statistics now count towards the device
+                await this.withLock(ACCESS_STATS_DOC, async () => {
+                    const stats = await this.readAccessStats();
+                    const newMac = attachMac.toLowerCase();
+                    const deviceStats = this.getEntryStats(stats, result.data.macAddress);
+                    const merged = stats.devices[newMac] ? this.mergeEntryStats(deviceStats, stats.devices[newMac]) : { ...deviceStats };
+                    
+                    const deviceMacs = [result.data.macAddress, ...result.data.aliases];
+                    merged.observedMacs = (merged.observedMacs || []).filter(mac => !deviceMacs.includes(mac));
+                    stats.devices[result.data.macAddress] = merged;
+                    delete stats.devices[newMac];
+                    await this.writeAccessStats(stats);
+                });
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Error attaching MAC address:', error);
+            return {
+                success: false,
+                message: `Error attaching MAC address: ${error.message}`
+            };
+        }
+    }
+    
+    // Detach one MAC from its device; it is no longer whitelisted. Detaching
+    // the primary MAC makes the next attached MAC the device's key.
+    async detachMAC(macAddress, context = {}) {
+        try {
+            const result = await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const detachedMac = macAddress.toLowerCase();
+                const deviceKey = this.findDeviceKey(data, detachedMac);
+                
+                if (!deviceKey) {
+                    return {
+                        success: false,
+                        message: 'MAC address not found in whitelist'
+                    };
+                }
+                
+                const entry = data.macAddresses[deviceKey];
+                if (!entry.aliases?.length) {
+                    return {
+                        success: false,
+                        message: 'Device has a single MAC address; use remove-mac to remove it'
+                    };
+                }
+                
+                const before = structuredClone(entry);
+                const remaining = [deviceKey, ...entry.aliases].filter(mac => mac !== detachedMac);
+                const [newKey, ...aliases] = remaining;
+                
+                entry.aliases = aliases;
+                entry.updatedAt = new Date().toISOString();
+                entry.updatedBy = context.admin || null;
+                
+                let changes = [{ macAddress: deviceKey, before, after: entry }];
+                if (newKey !== deviceKey) {
+                    delete data.macAddresses[deviceKey];
+                    data.macAddresses[newKey] = entry;
+                    changes = [{ macAddress: deviceKey, before, after: null }, { macAddress: newKey, before: null, after: entry }];
+                }
+                
+                const success = await this.writeDatabase(data);
+                
+                if (!success) {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+                
+                await this.recordAudit('detach-mac', changes, context, { detachedMac });
+                
+                console.log(`✅ Detached MAC address ${detachedMac} from device ${newKey}`);
+                return {
+                    success: true,
+                    message: 'MAC address detached from device',
+                    data: { macAddress: newKey, ...entry, detachedMac, previousKey: deviceKey }
+                };
+            });
+            
+            // Statistics follow the device to its new key
+            if (result.success && result.data.previousKey !== result.data.macAddress) {
+                await this.withLock(ACCESS_STATS_DOC, async () => {
+                    const stats = await this.readAccessStats();
+                    if (stats.devices[result.data.previousKey]) {
+                        stats.devices[result.data.macAddress] = stats.devices[result.data.previousKey];
+                        delete stats.devices[result.data.previousKey];
+                        await this.writeAccessStats(stats);
+                    }
+                });
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Error detaching MAC address:', error);
+            return {
+                success: false,
+                message: `Error detaching MAC address: ${error.message}`
+            };
+        }
+    }
+    
+    // List MAC addresses with statistics, one item per device. Filters: macAddress
+    // (partial, any of the device's MACs), accessType,
+    // group, status, trialStatus, hostname (last device), search (description), since/until (lastSeen).
+    // accessType, expiresAt and accessWindow are the effective values, including group defaults.
+    // Without a limit every matching device is returned; statistics always cover the whole whitelist.
+    async listMACAddresses({
+        macAddress = null,
+        accessType = null,
+        group = null,
+        status = null,
+        trialStatus = null,
+        hostname = null,
+        search = null,
+        since = null,
+        until = null,
+        sortBy = 'addedAt',
+        order = 'asc',
+        limit = null,
+        cursor = null
+    } = {}) {
+        try {
+            const data = await this.readDatabase();
+            const stats = await this.readAccessStats();
+            const index = this.buildMacIndex(data);
+            const now = new Date();
+            const day24h = 24 * 60 * 60 * 1000;
+            const day7d = 7 * day24h;
+            
+            // Convert to array and add computed fields
+            const macList = Object.entries(data.macAddresses).map(([mac, storedEntry]) => {
+                const entry = this.resolvePolicy(storedEntry, data.groups);
+                const entryStats = this.getEntryStats(stats, mac);
+                return {
+                    macAddress: mac,
+                    aliases: entry.aliases || [],
+                    description: entry.description,
+                    accessType: entry.accessType,
+                    group: entry.group || null,
+                    status: entry.status || 'active',
+                    statusReason: entry.statusReason || null,
+                    statusChangedAt: entry.statusChangedAt || null,
+                    accessWindow: entry.accessWindow,
+                    addedAt: entry.addedAt,
+                    addedBy: entry.addedBy || null,
+                    updatedAt: entry.updatedAt || null,
+                    updatedBy: entry.updatedBy || null,
+                    lastSeen: entryStats.lastSeen,
+                    accessCount: entryStats.accessCount || 0,
+                    lastDevice: entryStats.lastDevice,
+                    fingerprint: entryStats.fingerprint || null,
+                    observedMacs: (entryStats.observedMacs || []).filter(observed => !index.has(observed)),
+                    expiresAt: entry.expiresAt,
+                    maxAccesses: entry.maxAccesses ?? null,
+                    maxSeats: this.seatLimit(entry),
+                    activeSessions: this.liveSessions(entryStats, now).length,
+                    trialStatus: this.evaluateTrialLimits({ ...entry, ...entryStats }, now) || 'ok',
+                    id: entry.id
+                };
+            });
+            
+            // Calculate statistics
+            const statistics = {
+                total: macList.length,
+                activeLast24h: macList.filter(entry => {
+                    if (!entry.lastSeen) return false;
+                    const lastSeen = new Date(entry.lastSeen);
+                    return (now - lastSeen) <= day24h;
+                }).length,
+                activeLast7d: macList.filter(entry => {
+                    if (!entry.lastSeen) return false;
+                    const lastSeen = new Date(entry.lastSeen);
+                    return (now - lastSeen) <= day7d;
+                }).length,
+                neverUsed: macList.filter(entry => !entry.lastSeen).length,
+                trialsExpired: macList.filter(entry => entry.trialStatus === 'trial expired').length,
+                trialsExhausted: macList.filter(entry => entry.trialStatus === 'quota exhausted').length,
+                totalAccesses: stats.totalAccesses || 0,
+                byAccessType: {
+                    trial: macList.filter(e => (e.accessType || 'trial') === 'trial').length,
+                    unlimited: macList.filter(e => e.accessType === 'unlimited').length,
+                    admin: macList.filter(e => e.accessType === 'admin').length
+                },
+                byStatus: Object.fromEntries(ENTRY_STATUSES.map(value => [value, macList.filter(e => e.status === value).length]))
+            };
+            
+            const matching = macList.filter(entry =>
+                [entry.macAddress, ...entry.aliases].some(mac => matchesText(mac, macAddress && macAddress.toLowerCase()))
+                && (!accessType || entry.accessType === accessType)
+                && (!group || entry.group === group)
+                && (!status || entry.status === status)
+                && (!trialStatus || entry.trialStatus === trialStatus)
+                && matchesText(entry.lastDevice?.hostname, hostname)
+                && matchesText(entry.description, search)
+                && inDateRange(entry.lastSeen, since, until));
+            
+            const page = paginate(matching, { sortBy, order, limit, cursor, keyField: 'macAddress' });
+            
+            return {
+                success: true,
+                message: 'MAC addresses retrieved successfully',
+                data: {
+                    macAddresses: page.items,
+                    matching: matching.length,
+                    nextCursor: page.nextCursor,
+                    statistics: statistics
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing MAC addresses:', error);
+            return {
+                success: false,
+                message: `Error retrieving MAC addresses: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Export the whitelist (without access statistics) as CSV or JSON
+    async exportWhitelist(format = 'csv') {
+        try {
+            const data = await this.readDatabase();
+            const entries = Object.entries(data.macAddresses)
+                .map(([mac, entry]) => ({ macAddress: mac, ...entry }))
+                .sort((a, b) => a.macAddress.localeCompare(b.macAddress));
+            
+            const date = new Date().toISOString().slice(0, 10);
+            const content = format === 'json'
+                ? JSON.stringify({ version: data.version, exportedAt: new Date().toISOString(), total: entries.length, macAddresses: entries }, null, 2)
+                : toCSV(entries);
+            
+            return {
+                success: true,
+                message: `Exported ${entries.length} MAC addresses`,
+                data: {
+                    format: format,
+                    filename: `mac-whitelist-${date}.${format}`,
+                    contentType: format === 'json' ? 'application/json' : 'text/csv; charset=utf-8',
+                    total: entries.length,
+                    content: content
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error exporting whitelist:', error);
+            return {
+                success: false,
+                message: `Export error: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Work out what importing one row would do: returns { action, errors, after }.
+    // A group member without an accessType of its own follows its group's.
+    // Aliases (attached MACs) are restored for new devices only; existing devices
+    // keep theirs, which attach-mac / detach-mac change.
+    planImportRow(row, existing, mode, context, now, groups = {}) {
+        const errors = [];
+        
+        // null (as in JSON exports) counts as an empty cell
+        row = Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null));
+        
+        if (!row.macAddress || !validateMACAddress(row.macAddress)) {
+            errors.push(`Invalid MAC address format: ${row.macAddress ?? '(missing)'}`);
+        }
+        if (row.accessType !== undefined && !ACCESS_TYPES.includes(row.accessType)) {
+            errors.push(`Invalid access type: ${row.accessType}`);
+        }
+        if (row.group !== undefined && !Object.hasOwn(groups, row.group)) {
+            errors.push(`Group not found: ${row.group}`);
+        }
+        if (row.status !== undefined && !ENTRY_STATUSES.includes(row.status)) {
+            errors.push(`Invalid status: ${row.status}. Must be: ${ENTRY_STATUSES.join(', ')}`);
+        }
+        const limitsError = validateTrialLimits({ expiresAt: row.expiresAt, maxAccesses: row.maxAccesses, maxSeats: row.maxSeats });
+        if (limitsError) {
+            errors.push(limitsError);
+        }
+        if (row.accessWindow !== undefined) {
+            const windowError = typeof row.accessWindow === 'string'
+                ? `Invalid accessWindow: ${row.accessWindow}. Must be a JSON object`
+                : validateAccessWindow(row.accessWindow);
+            if (windowError) {
+                errors.push(windowError);
+            }
+        }
+        if (row.aliases !== undefined) {
+            const invalid = Array.isArray(row.aliases)
+                ? row.aliases.filter(alias => typeof alias !== 'string' || !validateMACAddress(alias))
+                : [row.aliases];
+            if (invalid.length > 0) {
+                errors.push(`Invalid aliases: ${invalid.join(', ')}`);
+            }
+        }
+        if (errors.length > 0) {
+            return { action: 'invalid', errors, after: null };
+        }
+        
+        const accessWindow = row.accessWindow !== undefined ? normalizeAccessWindow(row.accessWindow) : undefined;
+        
+        if (!existing) {
+            const entry = this.applyTrialLimits({
+                description: row.description || 'Imported device',
+                accessType: row.accessType || (row.group ? null : 'trial'),
+                group: row.group || null,
+                addedAt: now,
+                addedBy: context.admin || null,
+                expiresAt: null,
+                maxAccesses: null,
+                id: crypto.randomUUID()
+            }, { expiresAt: row.expiresAt, maxAccesses: row.maxAccesses, maxSeats: row.maxSeats });
+            
+            if (accessWindow) {
+                entry.accessWindow = accessWindow;
+            }
+            const aliases = (row.aliases || []).map(alias => alias.toLowerCase());
+            if (aliases.length > 0) {
+                entry.aliases = aliases;
+            }
+            if (row.status && row.status !== 'active') {
+                this.applyStatus(entry, row.status, row.statusReason, context.admin);
+            }
+            
+            return { action: 'add', errors, after: entry };
+        }
+        
+        if (mode === 'skip') {
+            return { action: 'skip', errors, after: null };
+        }
+        
+        // overwrite resets columns the row leaves empty; merge keeps the current values
+        const after = structuredClone(existing);
+        const value = (field, fallback) => row[field] !== undefined ? row[field] : (mode === 'overwrite' ? fallback : after[field]);
+        const assign = (field, next) => {
+            if (JSON.stringify(after[field] ?? null) !== JSON.stringify(next)) {
+                after[field] = next;
+            }
+        };
+        
+        after.description = value('description', 'Imported device');
+        const group = value('group', null) ?? null;
+        assign('group', group);
+        after.accessType = value('accessType', group ? null : 'trial');
+        this.applyTrialLimits(after, { expiresAt: value('expiresAt', null), maxAccesses: value('maxAccesses', null) });
+        assign('maxSeats', value('maxSeats', null) ?? null);
+        assign('accessWindow', accessWindow !== undefined ? accessWindow : (mode === 'overwrite' ? null : after.accessWindow ?? null));
+        
+        const status = value('status', 'active') ?? 'active';
+        const statusReason = status === 'active' ? null : value('statusReason', null) ?? null;
+        if ((after.status ?? 'active') !== status || (after.statusReason ?? null) !== statusReason) {
+            this.applyStatus(after, status, statusReason, context.admin);
+        }
+        
+        if (JSON.stringify(after) === JSON.stringify(existing)) {
+            return { action: 'unchanged', errors, after: null };
+        }
+        
+        after.updatedAt = now;
+        after.updatedBy = context.admin || null;
+        return { action: mode, errors, after };
+    }
+    
+    // Import rows (see parseWhitelistCSV). Every row is validated first; with
+    // dryRun, or if any row is invalid, nothing is written and the per-row plan
+    // is returned so it can be fixed and reviewed.
+    async importWhitelist(rows, { mode = 'skip', dryRun = false } = {}, context = {}) {
+        try {
+            if (!IMPORT_MODES.includes(mode)) {
+                throw new Error(`Invalid import mode: ${mode}. Must be: ${IMPORT_MODES.join(', ')}`);
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                throw new Error(`Too many rows: ${rows.length} (maximum ${MAX_IMPORT_ROWS})`);
+            }
+            
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const macIndex = this.buildMacIndex(data);
+                const members = this.countGroupMembers(data);
+                const now = new Date().toISOString();
+                const seen = new Map();
+                
+                // Rows for an attached MAC apply to its device's entry
+                const plan = rows.map((row, index) => {
+                    const rowNumber = row.rowNumber ?? index + 1;
+                    const rowMac = row.macAddress ? String(row.macAddress).toLowerCase() : null;
+                    const normalizedMac = macIndex.get(rowMac) || rowMac;
+                    const existing = normalizedMac ? data.macAddresses[normalizedMac] : null;
+                    const planned = this.planImportRow(row, existing, mode, context, now, data.groups);
+                    
+                    // Rows moving devices into a group must fit in it
+                    const group = planned.after?.group;
+                    if (group && group !== existing?.group) {
+                        const capacityError = this.groupCapacityError(data, group, members);
+                        if (capacityError) {
+                            planned.action = 'invalid';
+                            planned.errors.push(capacityError);
+                            planned.after = null;
+                        } else {
+                            members[group]++;
+                            if (existing?.group) {
+                                members[existing.group]--;
+                            }
+                        }
+                    }
+                    
+                    if (planned.action !== 'invalid' && seen.has(normalizedMac)) {
+                        planned.action = 'invalid';
+                        planned.errors.push(`Duplicate of row ${seen.get(normalizedMac)}`);
+                        planned.after = null;
+                    }
+                    seen.set(normalizedMac, seen.get(normalizedMac) ?? rowNumber);
+                    
+                    // A new device's aliases must not be whitelisted or imported elsewhere
+                    const aliases = planned.action === 'add' ? planned.after.aliases || [] : [];
+                    const aliasError = aliases.map(alias => {
+                        if (alias === normalizedMac) return `Alias ${alias} is the device's own MAC address`;
+                        if (macIndex.has(alias)) return `Alias ${alias} is already whitelisted`;
+                        if (seen.has(alias)) return `Alias ${alias} is also in row ${seen.get(alias)}`;
+                        return null;
+                    }).find(Boolean);
+                    if (aliasError) {
+                        planned.action = 'invalid';
+                        planned.errors.push(aliasError);
+                        planned.after = null;
+                    } else {
+                        aliases.forEach(alias => seen.set(alias, rowNumber));
+                    }
+                    
+                    return {
+                        rowNumber: rowNumber,
+                        macAddress: normalizedMac,
+                        action: planned.action,
+                        errors: planned.errors,
+                        before: existing || null,
+                        after: planned.after
+                    };
+                });
+                
+                const summary = { total: plan.length, add: 0, overwrite: 0, merge: 0, skip: 0, unchanged: 0, invalid: 0 };
+                for (const row of plan) {
+                    summary[row.action]++;
+                }
+                const changes = plan.filter(row => row.after);
+                const result = { mode, dryRun, plan, summary };
+                
+                if (summary.invalid > 0) {
+                    return {
+                        success: false,
+                        message: `${summary.invalid} of ${summary.total} rows are invalid; nothing was imported`,
+                        data: result
+                    };
+                }
+                
+                if (dryRun || changes.length === 0) {
+                    return {
+                        success: true,
+                        message: dryRun ? `Dry run: ${changes.length} of ${summary.total} rows would change the whitelist` : 'Nothing to import',
+                        data: result
+                    };
+                }
+                
+                for (const row of changes) {
+                    data.macAddresses[row.macAddress] = row.after;
+                }
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('import', changes, context, { mode });
+                    
+                    console.log(`✅ Import completed: ${summary.add} added, ${summary.overwrite + summary.merge} updated, ${summary.skip} skipped`);
+                    return {
+                        success: true,
+                        message: `Import completed: ${summary.add} added, ${summary.overwrite + summary.merge} updated, ${summary.skip + summary.unchanged} unchanged`,
+                        data: result
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save import to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error importing whitelist:', error);
+            return {
+                success: false,
+                message: `Import error: ${error.message}`
+            };
+        }
+    }
+    
+    // Shared driver for the bulk actions. Each row is checked and applied on its
+    // own and reported as { row, macAddress, status, reason? }; applyRow(data,
+    // mac, row, stats) must validate before touching `data` and returns
+    // { status, applied, reason? }; `statuses` lists the possible ones for the
+    // summary. A row naming an attached MAC applies to its device (`mac` is the
+    // device key, reported as `device`). Everything lands in one write, so with
+    // transactional set a single failed row means nothing is written at all.
+    // Rows that are unchanged or skipped (see BULK_NON_FAILING_STATUSES) don't fail.
+    async runBulkOperation(action, rows, { transactional = false } = {}, context = {}, { statuses, applyRow, afterWrite = null }) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const stats = await this.readAccessStats();
+                const macIndex = this.buildMacIndex(data);
+                const results = [];
+                const changes = [];
+                const seen = new Set();
+                const appliedRows = new Set();
+                
+                rows.forEach((row, index) => {
+                    const macAddress = typeof row?.macAddress === 'string' ? row.macAddress.toLowerCase() : null;
+                    const deviceKey = macIndex.get(macAddress) || macAddress;
+                    let outcome;
+                    
+                    if (!macAddress || !validateMACAddress(macAddress)) {
+                        outcome = { status: 'invalid', applied: false, reason: `Invalid MAC address: ${row?.macAddress}` };
+                    } else if (seen.has(deviceKey)) {
+                        outcome = { status: 'invalid', applied: false, reason: 'Duplicate MAC address in batch' };
+                    } else {
+                        seen.add(deviceKey);
+                        const before = data.macAddresses[deviceKey] ? structuredClone(data.macAddresses[deviceKey]) : null;
+                        outcome = applyRow(data, deviceKey, row, stats);
+                        
+                        if (outcome.applied) {
+                            changes.push({ macAddress: deviceKey, before, after: data.macAddresses[deviceKey] || null });
+                        }
+                    }
+                    
+                    const { applied, ...result } = outcome;
+                    results.push({
+                        row: index + 1,
+                        macAddress: macAddress || row?.macAddress || null,
+                        ...(deviceKey && deviceKey !== macAddress ? { device: deviceKey } : {}),
+                        ...result,
+                        failed: !applied && !BULK_NON_FAILING_STATUSES.includes(outcome.status)
+                    });
+                    if (applied) {
+                        appliedRows.add(results.length - 1);
+                    }
+                });
+                
+                const summary = { total: rows.length, failed: results.filter(result => result.failed).length };
+                for (const status of statuses) {
+                    summary[status] = results.filter(result => result.status === status).length;
+                }
+                const counts = statuses.map(status => `${summary[status]} ${status}`).join(', ');
+                const resultData = { results, summary, transactional };
+                
+                if (transactional && summary.failed > 0) {
+                    // Rows that would have applied are reported as rolled-back
+                    const rolledBack = results.map((result, index) => {
+                        if (result.failed) {
+                            return result;
+                        }
+                        return appliedRows.has(index)
+                            ? { ...result, status: 'rolled-back', intendedStatus: result.status, reason: 'Not applied: transaction aborted' }
+                            : { ...result, reason: 'Not applied: transaction aborted' };
+                    });
+                    
+                    // Nothing was written, so rows that would have applied don't count
+                    const rolledBackSummary = { ...summary, rolledBack: appliedRows.size };
+                    for (const index of appliedRows) {
+                        rolledBackSummary[results[index].status]--;
+                    }
+                    
+                    return {
+                        success: false,
+                        message: `Transaction aborted: ${summary.failed} of ${summary.total} rows failed; no changes were made`,
+                        data: { ...resultData, results: rolledBack, summary: rolledBackSummary, applied: false }
+                    };
+                }
+                
+                if (changes.length > 0) {
+                    const success = await this.writeDatabase(data);
+                    if (!success) {
+                        return {
+                            success: false,
+                            message: 'Failed to save bulk changes to database'
+                        };
+                    }
+                    
+                    await afterWrite?.(changes);
+                    await this.recordAudit(action, changes, context, transactional ? { transactional } : null);
+                }
+                
+                console.log(`✅ ${action} completed: ${counts}`);
+                return {
+                    success: true,
+                    message: `Bulk operation completed: ${counts}`,
+                    data: { ...resultData, applied: changes.length > 0 }
+                };
+            });
+            
+        } catch (error) {
+            console.error(`❌ Error in ${action} operation:`, error);
+            return {
+                success: false,
+                message: `${action} error: ${error.message}`
+            };
+        }
+    }
+    
+    // Per-row checks shared by bulk add and update - returns an error message or null
+    validateBulkRow(row) {
+        if (row.accessType !== undefined && !ACCESS_TYPES.includes(row.accessType)) {
+            return `Invalid access type: ${row.accessType}`;
+        }
+        return validateTrialLimits({
+            expiresAt: row.expiresAt,
+            maxAccesses: row.maxAccesses,
+            maxSeats: row.maxSeats,
+            extendDays: row.extendDays,
+            addAccesses: row.addAccesses
+        });
+    }
+    
+    // Bulk add MAC addresses; existing ones are skipped. Rows naming a group
+    // follow its policy unless they set their own accessType.
+    async bulkAddMACs(macAddressList, options = {}, context = {}) {
+        let members = null;
+        
+        return await this.runBulkOperation('bulk-add', macAddressList, options, context, {
+            statuses: ['added', 'skipped', 'invalid'],
+            applyRow: (data, macAddress, row) => {
+                const error = this.validateBulkRow({ accessType: row.accessType, expiresAt: row.expiresAt, maxAccesses: row.maxAccesses, maxSeats: row.maxSeats });
+                if (error) {
+                    return { status: 'invalid', applied: false, reason: error };
+                }
+                if (data.macAddresses[macAddress]) {
+                    return { status: 'skipped', applied: false, reason: 'Already exists' };
+                }
+                
+                const group = row.group || null;
+                if (group) {
+                    members ??= this.countGroupMembers(data);
+                    const capacityError = this.groupCapacityError(data, group, members);
+                    if (capacityError) {
+                        return { status: 'invalid', applied: false, reason: capacityError };
+                    }
+                    members[group]++;
+                }
+                
+                data.macAddresses[macAddress] = this.applyTrialLimits({
+                    description: row.description || 'Bulk added device',
+                    accessType: row.accessType || (group ? null : 'trial'),
+                    group: group,
+                    addedAt: new Date().toISOString(),
+                    addedBy: context.admin || null,
+                    expiresAt: null,
+                    maxAccesses: null,
+                    id: crypto.randomUUID()
+                }, {
+                    expiresAt: row.expiresAt,
+                    maxAccesses: row.maxAccesses,
+                    maxSeats: row.maxSeats
+                });
+                
+                return { status: 'added', applied: true, accessType: data.macAddresses[macAddress].accessType, group: group };
+            }
+        });
+    }
+    
+    // Apply an already validated update row to an entry - returns a bulk row
+    // outcome. inherit clears the entry's own access type and expiry so its
+    // group's defaults apply again.
+    applyEntryUpdate(entry, row, accessCount, context = {}) {
+        if (row.inherit && !entry.group) {
+            return { status: 'invalid', applied: false, reason: 'Device is not in a group' };
+        }
+        
+        const before = JSON.stringify(entry);
+        if (row.description !== undefined) {
+            entry.description = row.description;
+        }
+        if (row.inherit) {
+            entry.accessType = null;
+            entry.expiresAt = null;
+        }
+        if (row.accessType) {
+            entry.accessType = row.accessType;
+        }
+        this.applyTrialLimits(entry, row, accessCount);
+        
+        if (JSON.stringify(entry) === before) {
+            return { status: 'unchanged', applied: false };
+        }
+        
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = context.admin || null;
+        return { status: 'updated', applied: true, accessType: entry.accessType };
+    }
+    
+    // Bulk update description, access type and trial limits of existing MACs.
+    // Rows take the same fields as updateMACAccess, plus description and inherit.
+    async bulkUpdateMACs(updates, options = {}, context = {}) {
+        return await this.runBulkOperation('bulk-update', updates, options, context, {
+            statuses: ['updated', 'unchanged', 'not found', 'invalid'],
+            applyRow: (data, macAddress, row, stats) => {
+                const error = this.validateBulkRow(row);
+                if (error) {
+                    return { status: 'invalid', applied: false, reason: error };
+                }
+                
+                const entry = data.macAddresses[macAddress];
+                if (!entry) {
+                    return { status: 'not found', applied: false, reason: 'MAC address not found in whitelist' };
+                }
+                
+                return this.applyEntryUpdate(entry, row, this.getEntryStats(stats, macAddress).accessCount, context);
+            }
+        });
+    }
+    
+    // Bulk remove MACs (and their statistics). Rows are MAC strings or { macAddress }.
+    async bulkRemoveMACs(macAddressList, options = {}, context = {}) {
+        const rows = macAddressList.map(row => typeof row === 'string' ? { macAddress: row } : row);
+        
+        return await this.runBulkOperation('bulk-remove', rows, options, context, {
+            statuses: ['removed', 'not found', 'invalid'],
+            applyRow: (data, macAddress) => {
+                if (!data.macAddresses[macAddress]) {
+                    return { status: 'not found', applied: false, reason: 'MAC address not found in whitelist' };
+                }
+                
+                delete data.macAddresses[macAddress];
+                return { status: 'removed', applied: true };
+            },
+            afterWrite: changes => this.withLock(ACCESS_STATS_DOC, async () => {
+                const stats = await this.readAccessStats();
+                for (const { macAddress } of changes) {
+                    delete stats.devices[macAddress];
+                }
+                await this.writeAccessStats(stats);
+            })
+        });
+    }
+    
+    // Set a group's policy fields from an admin request (undefined fields are left alone)
+    applyGroupPolicy(group, { description, accessType, expiresAt, maxDevices, accessWindow } = {}) {
+        if (description !== undefined) {
+            group.description = description || '';
+        }
+        if (accessType !== undefined) {
+            group.accessType = accessType;
+        }
+        if (expiresAt !== undefined) {
+            group.expiresAt = expiresAt ? new Date(expiresAt).toISOString() : null;
+        }
+        if (maxDevices !== undefined) {
+            group.maxDevices = maxDevices;
+        }
+        if (accessWindow !== undefined) {
+            group.accessWindow = normalizeAccessWindow(accessWindow);
+        }
+        return group;
+    }
+    
+    // List device groups with their member counts
+    async listGroups() {
+        try {
+            const data = await this.readDatabase();
+            const members = this.countGroupMembers(data);
+            
+            const groups = Object.entries(data.groups || {})
+                .map(([name, group]) => ({ name, ...group, devices: members[name] }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            
+            return {
+                success: true,
+                message: 'Groups retrieved successfully',
+                data: {
+                    groups: groups,
+                    total: groups.length
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing groups:', error);
+            return {
+                success: false,
+                message: `Error retrieving groups: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Create a device group. policy: { description, accessType, expiresAt, maxDevices, accessWindow }
+    async createGroup(name, policy = {}, context = {}) {
+        try {
+            if (!validateGroupName(name)) {
+                throw new Error(`Invalid group name: ${name}. Use up to 64 letters, digits, '.', '_' or '-'`);
+            }
+            const policyError = validateGroupPolicy(policy);
+            if (policyError) {
+                throw new Error(policyError);
+            }
+            
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                data.groups ??= {};
+                
+                if (data.groups[name]) {
+                    return {
+                        success: false,
+                        message: 'Group already exists'
+                    };
+                }
+                
+                data.groups[name] = this.applyGroupPolicy({
+                    description: '',
+                    accessType: 'trial',
+                    expiresAt: null,
+                    maxDevices: null,
+                    accessWindow: null,
+                    createdAt: new Date().toISOString(),
+                    createdBy: context.admin || null,
+                    id: crypto.randomUUID()
+                }, policy);
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('create-group', [{ macAddress: null, before: null, after: data.groups[name] }], context, { group: name });
+                    
+                    console.log(`✅ Created group: ${name} (${data.groups[name].accessType})`);
+                    return {
+                        success: true,
+                        message: 'Group created successfully',
+                        data: { name, ...data.groups[name], devices: 0 }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error creating group:', error);
+            return {
+                success: false,
+                message: `Error creating group: ${error.message}`
+            };
+        }
+    }
+    
+    // Change a group's description, default access type, expiry, device cap or access window.
+    // Devices without settings of their own pick up the new defaults at once.
+    async updateGroup(name, policy = {}, context = {}) {
+        try {
+            const policyError = validateGroupPolicy(policy);
+            if (policyError) {
+                throw new Error(policyError);
+            }
+            
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const group = data.groups?.[name];
+                
+                if (!group) {
+                    return {
+                        success: false,
+                        message: 'Group not found'
+                    };
+                }
+                
+                const devices = this.countGroupMembers(data)[name];
+                if (policy.maxDevices != null && policy.maxDevices < devices) {
+                    return {
+                        success: false,
+                        message: `Group ${name} has ${devices} devices; move some out before lowering maxDevices to ${policy.maxDevices}`
+                    };
+                }
+                
+                const before = structuredClone(group);
+                this.applyGroupPolicy(group, policy);
+                group.updatedAt = new Date().toISOString();
+                group.updatedBy = context.admin || null;
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('update-group', [{ macAddress: null, before, after: group }], context, { group: name });
+                    
+                    console.log(`✅ Updated group: ${name} -> ${group.accessType}`);
+                    return {
+                        success: true,
+                        message: 'Group updated successfully',
+                        data: { name, ...group, devices }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error updating group:', error);
+            return {
+                success: false,
+                message: `Error updating group: ${error.message}`
+            };
+        }
+    }
+    
+    // Take an entry out of its group, keeping the access it had through the group
+    detachFromGroup(entry, group, context = {}) {
+        entry.accessType = entry.accessType || group?.accessType || 'trial';
+        entry.expiresAt = entry.expiresAt || group?.expiresAt || null;
+        entry.accessWindow = entry.accessWindow || group?.accessWindow || null;
+        entry.group = null;
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = context.admin || null;
+        return entry;
+    }
+    
+    // Delete a group. Its devices stay whitelisted, ungrouped, with the access
+    // type and expiry they had through the group.
+    async removeGroup(name, context = {}) {
+        try {
+            return await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const group = data.groups?.[name];
+                
+                if (!group) {
+                    return {
+                        success: false,
+                        message: 'Group not found'
+                    };
+                }
+                
+                const changes = [{ macAddress: null, before: group, after: null }];
+                for (const [mac, entry] of Object.entries(data.macAddresses)) {
+                    if (entry.group === name) {
+                        const before = structuredClone(entry);
+                        changes.push({ macAddress: mac, before, after: this.detachFromGroup(entry, group, context) });
+                    }
+                }
+                delete data.groups[name];
+                
+                const success = await this.writeDatabase(data);
+                
+                if (success) {
+                    await this.recordAudit('remove-group', changes, context, { group: name });
+                    
+                    console.log(`✅ Removed group: ${name} (${changes.length - 1} devices ungrouped)`);
+                    return {
+                        success: true,
+                        message: 'Group removed successfully',
+                        data: { name, devicesUngrouped: changes.length - 1 }
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save to database'
+                    };
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Error removing group:', error);
+            return {
+                success: false,
+                message: `Error removing group: ${error.message}`
+            };
+        }
+    }
+    
+    // Move devices into a group (or out of any group when group is null),
+    // respecting its device cap. Rows are MAC strings or { macAddress }. With
+    // inherit, moved devices drop their own access type and expiry and follow
+    // the group's policy.
+    async moveDevices(macAddressList, group, { inherit = false, ...options } = {}, context = {}) {
+        const rows = macAddressList.map(row => typeof row === 'string' ? { macAddress: row } : row);
+        group = group || null;
+        
+        if (group && !(await this.readDatabase()).groups?.[group]) {
+            return {
+                success: false,
+                message: `Group not found: ${group}`
+            };
+        }
+        if (inherit && !group) {
+            return {
+                success: false,
+                message: 'inherit requires a target group'
+            };
+        }
+        
+        let members = null;
+        
+        return await this.runBulkOperation('move-devices', rows, options, context, {
+            statuses: ['moved', 'unchanged', 'not found', 'invalid'],
+            applyRow: (data, macAddress) => {
+                const entry = data.macAddresses[macAddress];
+                if (!entry) {
+                    return { status: 'not found', applied: false, reason: 'MAC address not found in whitelist' };
+                }
+                
+                const currentGroup = entry.group || null;
+                if (currentGroup === group) {
+                    if (!inherit || (entry.accessType == null && entry.expiresAt == null)) {
+                        return { status: 'unchanged', applied: false };
+                    }
+                } else if (group) {
+                    members ??= this.countGroupMembers(data);
+                    const capacityError = this.groupCapacityError(data, group, members);
+                    if (capacityError) {
+                        return { status: 'invalid', applied: false, reason: capacityError };
+                    }
+                    members[group]++;
+                    if (currentGroup && currentGroup in members) {
+                        members[currentGroup]--;
+                    }
+                }
+                
+                if (group) {
+                    entry.group = group;
+                    if (inherit) {
+                        entry.accessType = null;
+                        entry.expiresAt = null;
+                    }
+                    entry.updatedAt = new Date().toISOString();
+                    entry.updatedBy = context.admin || null;
+                } else {
+                    this.detachFromGroup(entry, data.groups?.[currentGroup], context);
+                }
+                
+                return { status: 'moved', applied: true, from: currentGroup, to: group };
+            }
+        });
+    }
+    
+    // Change access for every device in a group at once. changes takes the
+    // bulk-update fields (accessType, expiresAt, maxAccesses, maxSeats,
+    // extendDays, addAccesses, inherit); each member is reported like a bulk-update row.
+    async setGroupAccess(name, changes = {}, options = {}, context = {}) {
+        const { accessType, expiresAt, maxAccesses, maxSeats, extendDays, addAccesses, inherit } = changes;
+        const accessChanges = { accessType, expiresAt, maxAccesses, maxSeats, extendDays, addAccesses, inherit };
+        const error = this.validateBulkRow(accessChanges);
+        if (error) {
+            return {
+                success: false,
+                message: error
+            };
+        }
+        
+        const data = await this.readDatabase();
+        if (!data.groups?.[name]) {
+            return {
+                success: false,
+                message: `Group not found: ${name}`
+            };
+        }
+        
+        const rows = Object.keys(data.macAddresses)
+            .filter(mac => data.macAddresses[mac].group === name)
+            .map(mac => ({ macAddress: mac }));
+        
+        return await this.runBulkOperation('set-group-access', rows, options, context, {
+            statuses: ['updated', 'unchanged', 'not found', 'invalid'],
+            applyRow: (current, macAddress, row, stats) => {
+                const entry = current.macAddresses[macAddress];
+                if (!entry || entry.group !== name) {
+                    return { status: 'not found', applied: false, reason: `No longer in group ${name}` };
+                }
+                
+                return this.applyEntryUpdate(entry, accessChanges, this.getEntryStats(stats, macAddress).accessCount, context);
+            }
+        });
+    }
+    
+    // Public view of an access request, for the device that submitted it
+    describeAccessRequest(request) {
+        return {
+            requestId: request.id,
+            status: request.status,
+            createdAt: request.createdAt,
+            decidedAt: request.decidedAt || null,
+            reason: request.status === 'rejected' ? request.reason || null : null
+        };
+    }
+    
+    // Keep the queue bounded: drop the oldest decided requests first
+    pruneAccessRequests(requestData) {
+        const excess = requestData.requests.length - this.config.maxAccessRequests + 1;
+        if (excess <= 0) {
+            return;
+        }
+        
+        const decided = requestData.requests.filter(request => request.status !== 'pending').slice(0, excess);
+        const dropped = new Set(decided.map(request => request.id));
+        requestData.requests = requestData.requests.filter(request => !dropped.has(request.id));
+    }
+    
+    // Queue a self-service access request from a device checkAccess denied.
+    // A device resubmitting while its request is pending gets that request back.
+    async createAccessRequest(macAddresses, deviceInfo = {}, note = '', clientIP = null) {
+        try {
+            const macs = [...new Set(macAddresses.map(mac => mac.toLowerCase()))];
+            const index = this.buildMacIndex(await this.readDatabase());
+            
+            if (macs.some(mac => index.has(mac))) {
+                return {
+                    success: false,
+                    message: 'Device is already authorized'
+                };
+            }
+            
+            return await this.withLock(ACCESS_REQUESTS_DOC, async () => {
+                const requestData = await this.storage.read(ACCESS_REQUESTS_DOC)
+                    || { version: '1.0', created: new Date().toISOString(), requests: [] };
+                
+                const pending = requestData.requests.find(request =>
+                    request.status === 'pending' && request.macAddresses.some(mac => macs.includes(mac)));
+                if (pending) {
+                    return {
+                        success: true,
+                        message: 'An access request for this device is already pending',
+                        data: this.describeAccessRequest(pending)
+                    };
+                }
+                
+                this.pruneAccessRequests(requestData);
+                if (requestData.requests.length >= this.config.maxAccessRequests) {
+                    return {
+                        success: false,
+                        message: 'Too many pending access requests; please try again later'
+                    };
+                }
+                
+                const request = {
+                    id: crypto.randomUUID(),
+                    status: 'pending',
+                    macAddresses: macs,
+                    deviceInfo: {
+                        hostname: deviceInfo.hostname,
+                        username: deviceInfo.username,
+                        platform: deviceInfo.platform,
+                        localIP: deviceInfo.localIP,
+                        publicIP: deviceInfo.publicIP,
+                        fingerprint: deviceInfo.fingerprint ? deviceInfo.fingerprint.substring(0, 16) + '...' : null
+                    },
+                    note: note || '',
+                    clientIP: clientIP,
+                    createdAt: new Date().toISOString(),
+                    decidedAt: null,
+                    decidedBy: null
+                };
+                requestData.requests.push(request);
+                
+                await this.storage.write(ACCESS_REQUESTS_DOC, requestData);
+                
+                console.log(`📨 Access request ${request.id} from ${macs.join(', ')}`);
+                return {
+                    success: true,
+                    message: 'Access request submitted',
+                    data: this.describeAccessRequest(request)
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error creating access request:', error);
+            return {
+                success: false,
+                message: `Error submitting access request: ${error.message}`
+            };
+        }
+    }
+    
+    // Status of one request, as shown to the requesting device
+    async getAccessRequestStatus(requestId) {
+        try {
+            await this.ready;
+            
+            const requestData = await this.storage.read(ACCESS_REQUESTS_DOC) || { requests: [] };
+            const request = requestData.requests.find(candidate => candidate.id === requestId);
+            
+            if (!request) {
+                return {
+                    success: false,
+                    message: 'Access request not found'
+                };
+            }
+            
+            return {
+                success: true,
+                message: `Access request ${request.status}`,
+                data: this.describeAccessRequest(request)
+            };
+            
+        } catch (error) {
+            console.error('❌ Error reading access request:', error);
+            return {
+                success: false,
+                message: `Error reading access request: ${error.message}`
+            };
+        }
+    }
+    
+    // List access requests, newest first. status null lists every request.
+    async listAccessRequests({ status = 'pending', limit = 100 } = {}) {
+        try {
+            await this.ready;
+            
+            const requestData = await this.storage.read(ACCESS_REQUESTS_DOC) || { requests: [] };
+            const matching = requestData.requests.filter(request => !status || request.status === status);
+            
+            return {
+                success: true,
+                message: 'Access requests retrieved successfully',
+                data: {
+                    requests: matching.slice(-limit).reverse(),
+                    matching: matching.length,
+                    pending: requestData.requests.filter(request => request.status === 'pending').length,
+                    total: requestData.requests.length
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error listing access requests:', error);
+            return {
+                success: false,
+                message: `Error retrieving access requests: ${error.message}`,
+                data: null
+            };
+        }
+    }
+    
+    // Approve a pending request: whitelist its MACs as one device (the first MAC
+    // is the key, the rest are attached) with the chosen access settings.
+    // settings: { accessType, description, group, expiresAt, maxAccesses }
+    async approveAccessRequest(requestId, settings = {}, context = {}) {
+        try {
+            return await this.withLock(ACCESS_REQUESTS_DOC, async () => {
+                const requestData = await this.storage.read(ACCESS_REQUESTS_DOC) || { requests: [] };
+                const request = requestData.requests.find(candidate => candidate.id === requestId);
+                
+                if (!request) {
+                    return {
+                        success: false,
+                        message: 'Access request not found'
+                    };
+                }
+                if (request.status !== 'pending') {
+                    return {
+                        success: false,
+                        message: `Access request was already ${request.status}`
+                    };
+                }
+                
+                const added = await this.withLock(WHITELIST_DOC, async () => {
+                    const data = await this.readDatabase();
+                    const index = this.buildMacIndex(data);
+                    
+                    const taken = request.macAddresses.find(mac => index.has(mac));
+                    if (taken) {
+                        return { error: `MAC address ${taken} is already whitelisted (device ${index.get(taken)})` };
+                    }
+                    
+                    const group = settings.group || null;
+                    if (group) {
+                        const capacityError = this.groupCapacityError(data, group);
+                        if (capacityError) {
+                            return { error: capacityError };
+                        }
+                    }
+                    
+                    const [primaryMac, ...aliases] = request.macAddresses;
+                    const { hostname, username } = request.deviceInfo;
+                    
+                    data.macAddresses[primaryMac] = this.applyTrialLimits({
+                        description: settings.description || `${username || 'unknown'}@${hostname || 'unknown'} (access request)`,
+                        accessType: settings.accessType || (group ? null : 'trial'),
+                        group: group,
+                        aliases: aliases,
+                        addedAt: new Date().toISOString(),
+                        addedBy: context.admin || null,
+                        expiresAt: null,
+                        maxAccesses: null,
+                        accessRequestId: request.id,
+                        id: crypto.randomUUID()
+                    }, { expiresAt: settings.expiresAt, maxAccesses: settings.maxAccesses });
+                    
+                    if (!await this.writeDatabase(data)) {
+                        return { error: 'Failed to save to database' };
+                    }
+                    
+                    await this.recordAudit('approve-access-request', [{ macAddress: primaryMac, before: null, after: data.macAddresses[primaryMac] }], context, { requestId: request.id });
+                    return { macAddress: primaryMac, ...data.macAddresses[primaryMac] };
+                });
+                
+                if (added.error) {
+                    return {
+                        success: false,
+                        message: added.error
+                    };
+                }
+                
+                request.status = 'approved';
+                request.decidedAt = new Date().toISOString();
+                request.decidedBy = context.admin || null;
+                request.macAddress = added.macAddress;
+                await this.storage.write(ACCESS_REQUESTS_DOC, requestData);
+                
+                console.log(`✅ Approved access request ${request.id}: ${added.macAddress} (${added.accessType || `group ${added.group}`})`);
+                return {
+                    success: true,
+                    message: 'Access request approved; device whitelisted',
+                    data: { request, device: added }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error approving access request:', error);
+            return {
+                success: false,
+                message: `Error approving access request: ${error.message}`
+            };
+        }
+    }
+    
+    // Reject a pending request; the reason is shown to the requesting device
+    async rejectAccessRequest(requestId, reason = '', context = {}) {
+        try {
+            return await this.withLock(ACCESS_REQUESTS_DOC, async () => {
+                const requestData = await this.storage.read(ACCESS_REQUESTS_DOC) || { requests: [] };
+                const request = requestData.requests.find(candidate => candidate.id === requestId);
+                
+                if (!request) {
+                    return {
+                        success: false,
+                        message: 'Access request not found'
+                    };
+                }
+                if (request.status !== 'pending') {
+                    return {
+                        success: false,
+                        message: `Access request was already ${request.status}`
+                    };
+                }
+                
+                request.status = 'rejected';
+                request.reason = reason || null;
+                request.decidedAt = new Date().toISOString();
+                request.decidedBy = context.admin || null;
+                await this.storage.write(ACCESS_REQUESTS_DOC, requestData);
+                
+                console.log(`🚫 Rejected access request ${request.id}${context.admin ? ` (by ${context.admin})` : ''}`);
+                return {
+                    success: true,
+                    message: 'Access request rejected',
+                    data: { request }
+                };
+            });
+            
+        } catch (error) {
+            console.error('❌ Error rejecting access request:', error);
+            return {
+                success: false,
+                message: `Error rejecting access request: ${error.message}`
+            };
+        }
+    }
+    
+    // Look for suspicious patterns in the access log after a check by deviceKey
+    // (null when no reported MAC is whitelisted) and record what is found. An
+    // anomaly that is still open is updated rather than reported again, and one
+    // resolved within the window isn't raised again by the same events.
+    async detectAccessAnomalies(deviceKey, macAddresses, deviceInfo) {
+        if (!this.config.anomalyDetection) {
+            return;
+        }
+        
+        try {
+            const data = await this.readDatabase();
+            const now = new Date();
+            const macs = deviceKey
+                ? [deviceKey, ...(data.macAddresses[deviceKey]?.aliases || [])]
+                : [String(macAddresses[0]).toLowerCase()];
+            
+            // Only the indexed events of this device's MACs and the client IP are read
+            const names = macs.map(mac => this.anomalyIndexDoc('mac', mac));
+            if (deviceInfo.clientIP) {
+                names.push(this.anomalyIndexDoc('ip', deviceInfo.clientIP));
+            }
+            const events = new Map();
+            for (const name of names) {
+                for (const event of (await this.storage.read(name))?.events || []) {
+                    events.set(event.id, event);
+                }
+            }
+            
+            const findings = detectAnomalies([...events.values()], { deviceKey, macs, clientIP: deviceInfo.clientIP }, anomalyThresholds(this.config), now);
+            if (findings.length === 0) {
+                return;
+            }
+            
+            await this.withLock(ANOMALIES_DOC, async () => {
+                const anomalyData = await this.storage.read(ANOMALIES_DOC)
+                    || { version: '1.0', created: now.toISOString(), anomalies: [] };
+                
+                for (const finding of findings) {
+                    const related = anomalyData.anomalies.filter(existing => existing.type === finding.type
+                        && existing.macAddress === finding.macAddress
+                        && existing.clientIP === finding.clientIP);
+                    let anomaly = related.find(existing => existing.status === 'open');
+                    
+                    if (anomaly) {
+                        anomaly.count = finding.count;
+                        anomaly.values = finding.values;
+                        anomaly.lastDetectedAt = now.toISOString();
+                    } else if (related.some(existing => existing.resolvedAt >= finding.since)) {
+                        continue;
+                    } else {
+                        this.pruneAnomalies(anomalyData);
+                        anomaly = {
+                            id: crypto.randomUUID(),
+                            ...finding,
+                            firstDetectedAt: now.toISOString(),
+                            lastDetectedAt: now.toISOString(),
+                            status: 'open',
+                            suspended: false,
+                            resolvedAt: null,
+                            resolvedBy: null,
+                            note: null
+                        };
+                        anomalyData.anomalies.push(anomaly);
+                        console.warn(`🚨 Anomaly: ${anomaly.type} for ${anomaly.macAddress || anomaly.clientIP} (${anomaly.count} > ${anomaly.threshold})`);
+                    }
+                    
+                    if (this.config.anomalyAutoSuspend && !anomaly.suspended && SHARING_ANOMALIES.includes(anomaly.type) && anomaly.macAddress) {
+                        anomaly.suspended = await this.suspendForAnomaly(anomaly);
+                    }
+                }
+                
+                await this.storage.write(ANOMALIES_DOC, anomalyData);
+            });
+            
+        } catch (error) {
+            console.error('❌ Error detecting anomalies:', error);
+        }
+    }
+    
+    // Keep the anomaly list bounded: drop the oldest resolved anomalies first
+    pruneAnomalies(anomalyData) {
+        const excess = anomalyData.anomalies.length - this.config.maxAnomalies + 1;
+        if (excess <= 0) {
+            return;
+        }
+        
+        const resolved = anomalyData.anomalies.filter(anomaly => anomaly.status !== 'open').slice(0, excess);
+        const dropped = new Set((resolved.length > 0 ? resolved : anomalyData.anomalies.slice(0, excess)).map(anomaly => anomaly.id));
+        anomalyData.anomalies = anomalyData.anomalies.filter(anomaly => !dropped.has(anomaly.id));
+    }
+    
+    // Suspend the device an anomaly is about - returns whether it was suspended
+    async suspendForAnomaly(anomaly) {
+        return await this.withLock(WHITELIST_DOC, async () => {
+            const data = await this.readDatabase();
+            const entry = data.macAddresses[anomaly.macAddress];
+            
+            if (!entry || (entry.status || 'active') !== 'active') {
+                return false;
+            }
+            
+            const before = structuredClone(entry);
+            this.applyStatus(entry, 'suspended', `anomaly: ${anomaly.type}`, DETECTOR_CONTEXT.admin);
+            
+            if (!await this.writeDatabase(data)) {
+                return false;
             }
             
-            // No matching MAC address found
-            await this.logAccess(macAddresses[0] || 'unknown', deviceInfo, false, 'MAC address not whitelisted');
+            await this.recordAudit('auto-suspend', [{ macAddress: anomaly.macAddress, before, after: entry }], DETECTOR_CONTEXT, { anomalyId: anomaly.id });
+            await this.dropSessions(anomaly.macAddress);
+            console.warn(`⛔ Suspended ${anomaly.macAddress} after anomaly ${anomaly.type}`);
+            return true;
+        });
+    }
+    
+    // List anomalies, newest first. status null lists every anomaly; macAddress
+    // matches the device or unknown MAC an anomaly is about.
+    async listAnomalies({ status = 'open', type = null, macAddress = null, limit = 100 } = {}) {
+        try {
+            await this.ready;
+            
+            const anomalyData = await this.storage.read(ANOMALIES_DOC) || { anomalies: [] };
+            const deviceKey = macAddress ? this.findDeviceKey(await this.readDatabase(), macAddress) || macAddress.toLowerCase() : null;
+            const matching = anomalyData.anomalies.filter(anomaly =>
+                (!status || anomaly.status === status)
+                && (!type || anomaly.type === type)
+                && (!deviceKey || anomaly.macAddress === deviceKey));
             
             return {
-                success: false,
-                message: 'Device not authorized. MAC address not in whitelist.',
-                data: null
+                success: true,
+                message: 'Anomalies retrieved successfully',
+                data: {
+                    anomalies: matching.slice(-limit).reverse(),
+                    matching: matching.length,
+                    open: anomalyData.anomalies.filter(anomaly => anomaly.status === 'open').length,
+                    total: anomalyData.anomalies.length
+                }
             };
             
         } catch (error) {
-            console.error('❌ Error checking MAC access:', error);
-            await this.logAccess(macAddresses[0] || 'unknown', deviceInfo, false, `Database error: ${error.message}`);
-            
+            console.error('❌ Error listing anomalies:', error);
             return {
                 success: false,
-                message: 'Database error occurred',
+                message: `Error retrieving anomalies: ${error.message}`,
                 data: null
             };
         }
     }
     
-    // Add MAC address to whitelist
-    async addMACAddress(macAddress, description, accessType = 'trial') {
+    // Mark an anomaly as handled. With reinstate, a device the detector
+    // suspended for it gets its access back.
+    async resolveAnomaly(anomalyId, { reinstate = false, note = null } = {}, context = {}) {
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
-            
-            // Check if MAC already exists
-            if (data.macAddresses[normalizedMac]) {
-                return {
-                    success: false,
-                    message: 'MAC address already exists in whitelist'
-                };
-            }
-            
-            // Add new MAC address
-            data.macAddresses[normalizedMac] = {
-                description: description,
-                accessType: accessType,
-                addedAt: new Date().toISOString(),
-                lastSeen: null,
-                accessCount: 0,
-                lastDevice: null,
-                id: crypto.randomUUID()
-            };
-            
-            const success = await this.writeDatabase(data);
-            
-            if (success) {
-                console.log(`✅ Added MAC address: ${normalizedMac} (${accessType})`);
+            return await this.withLock(ANOMALIES_DOC, async () => {
+                const anomalyData = await this.storage.read(ANOMALIES_DOC) || { anomalies: [] };
+                const anomaly = anomalyData.anomalies.find(candidate => candidate.id === anomalyId);
+                
+                if (!anomaly) {
+                    return {
+                        success: false,
+                        message: 'Anomaly not found'
+                    };
+                }
+                if (anomaly.status !== 'open') {
+                    return {
+                        success: false,
+                        message: 'Anomaly was already resolved'
+                    };
+                }
+                
+                let reinstated = false;
+                if (reinstate && anomaly.suspended) {
+                    reinstated = await this.withLock(WHITELIST_DOC, async () => {
+                        const data = await this.readDatabase();
+                        const entry = data.macAddresses[anomaly.macAddress];
+                        
+                        // Leave alone a device that was removed or suspended again for another reason
+                        if (!entry || entry.status !== 'suspended' || entry.statusReason !== `anomaly: ${anomaly.type}`) {
+                            return false;
+                        }
+                        
+                        const before = structuredClone(entry);
+                        this.applyStatus(entry, 'active', null, context.admin);
+                        
+                        if (!await this.writeDatabase(data)) {
+                            return false;
+                        }
+                        await this.recordAudit('reinstate', [{ macAddress: anomaly.macAddress, before, after: entry }], context, { anomalyId: anomaly.id });
+                        return true;
+                    });
+                }
+                
+                anomaly.status = 'resolved';
+                anomaly.resolvedAt = new Date().toISOString();
+                anomaly.resolvedBy = context.admin || null;
+                anomaly.note = note || null;
+                await this.storage.write(ANOMALIES_DOC, anomalyData);
+                
+                console.log(`✅ Resolved anomaly ${anomaly.id}${reinstated ? ` and reinstated ${anomaly.macAddress}` : ''}`);
                 return {
                     success: true,
-                    message: 'MAC address added successfully',
-                    data: data.macAddresses[normalizedMac]
+                    message: reinstated ? 'Anomaly resolved and device reinstated' : 'Anomaly resolved',
+                    data: { anomaly, reinstated }
                 };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save to database'
-                };
-            }
+            });
             
         } catch (error) {
-            console.error('❌ Error adding MAC address:', error);
+            console.error('❌ Error resolving anomaly:', error);
             return {
                 success: false,
-                message: `Error adding MAC address: ${error.message}`
+                message: `Error resolving anomaly: ${error.message}`
             };
         }
     }
     
-    // Update access type for existing MAC
-    async updateMACAccess(macAddress, accessType) {
+    // Per-MAC before/after pairs for entries that differ between two whitelists
+    diffEntries(beforeMacs, afterMacs) {
+        const macs = new Set([...Object.keys(beforeMacs), ...Object.keys(afterMacs)]);
+        
+        return [...macs]
+            .filter(mac => JSON.stringify(beforeMacs[mac]) !== JSON.stringify(afterMacs[mac]))
+            .map(mac => ({ macAddress: mac, before: beforeMacs[mac] || null, after: afterMacs[mac] || null }));
+    }
+    
+    // Append one audit record per changed MAC. Called after the whitelist write
+    // succeeded, so a failure here is reported but doesn't undo the change.
+    async recordAudit(action, changes, context = {}, details = null) {
+        if (changes.length === 0) {
+            return;
+        }
+        
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
+            await this.withLock(AUDIT_DOC, async () => {
+                const auditData = await this.storage.read(AUDIT_DOC)
+                    || { version: '1.0', created: new Date().toISOString(), auditEvents: [] };
+                
+                const timestamp = new Date().toISOString();
+                // Records written by one bulk operation share a batch id
+                const batchId = changes.length > 1 ? crypto.randomUUID() : null;
+                
+                for (const change of changes) {
+                    auditData.auditEvents.push({
+                        timestamp: timestamp,
+                        action: action,
+                        admin: context.admin || null,
+                        ip: context.ip || null,
+                        macAddress: change.macAddress,
+                        before: change.before ? structuredClone(change.before) : null,
+                        after: change.after ? structuredClone(change.after) : null,
+                        details: details,
+                        batchId: batchId,
+                        id: crypto.randomUUID()
+                    });
+                }
+                
+                // Keep only the most recent entries
+                if (auditData.auditEvents.length > this.config.maxAuditEntries) {
+                    auditData.auditEvents = auditData.auditEvents.slice(-this.config.maxAuditEntries);
+                }
+                
+                await this.storage.write(AUDIT_DOC, auditData);
+            });
             
-            if (!data.macAddresses[normalizedMac]) {
-                return {
-                    success: false,
-                    message: 'MAC address not found in whitelist'
-                };
-            }
+        } catch (error) {
+            console.error('❌ Error recording audit trail:', error);
+        }
+    }
+    
+    // Query the audit trail, newest first. Filters: macAddress, admin, action, since, until
+    async getAuditLog({ macAddress = null, admin = null, action = null, since = null, until = null, limit = 100 } = {}) {
+        try {
+            await this.ready;
             
-            data.macAddresses[normalizedMac].accessType = accessType;
-            data.macAddresses[normalizedMac].updatedAt = new Date().toISOString();
+            const auditData = await this.storage.read(AUDIT_DOC) || { auditEvents: [] };
+            const sinceTime = since ? new Date(since).getTime() : -Infinity;
+            const untilTime = until ? new Date(until).getTime() : Infinity;
             
-            const success = await this.writeDatabase(data);
+            const matching = auditData.auditEvents.filter(event => {
+                const time = new Date(event.timestamp).getTime();
+                return (!macAddress || event.macAddress === macAddress.toLowerCase())
+                    && (!admin || event.admin === admin)
+                    && (!action || event.action === action)
+                    && time >= sinceTime
+                    && time <= untilTime;
+            });
             
-            if (success) {
-                console.log(`✅ Updated MAC access: ${normalizedMac} -> ${accessType}`);
-                return {
-                    success: true,
-                    message: 'Access type updated successfully',
-                    data: data.macAddresses[normalizedMac]
-                };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save to database'
-                };
-            }
+            const events = matching
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, limit);
+            
+            return {
+                success: true,
+                message: 'Audit trail retrieved successfully',
+                data: {
+                    events: events,
+                    matchingEvents: matching.length,
+                    totalEvents: auditData.auditEvents.length
+                }
+            };
             
         } catch (error) {
-            console.error('❌ Error updating MAC access:', error);
+            console.error('❌ Error getting audit trail:', error);
             return {
                 success: false,
-                message: `Error updating MAC access: ${error.message}`
+                message: `Error retrieving audit trail: ${error.message}`,
+                data: null
             };
         }
     }
     
-    // Remove MAC address from whitelist
-    async removeMACAddress(macAddress) {
+    // Get access logs, newest first by default. Filters: macAddress (partial), success,
+    // hostname, since/until, and - via the device's current whitelist entry - accessType,
+    // group and search (matches the log message or the device description).
+    async getAccessLogs({
+        macAddress = null,
+        success = null,
+        hostname = null,
+        accessType = null,
+        group = null,
+        search = null,
+        since = null,
+        until = null,
+        sortBy = 'timestamp',
+        order = 'desc',
+        limit = 100,
+        cursor = null
+    } = {}) {
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
+            await this.ready;
             
-            if (!data.macAddresses[normalizedMac]) {
-                return {
-                    success: false,
-                    message: 'MAC address not found in whitelist'
-                };
-            }
+            const logData = await this.storage.read(ACCESS_LOG_DOC) || { accessEvents: [] };
+            const whitelist = accessType || group || search ? await this.readDatabase() : { macAddresses: {} };
+            const macIndex = this.buildMacIndex(whitelist);
             
-            delete data.macAddresses[normalizedMac];
+            // Events of an attached MAC are matched against its device's entry
+            const matching = logData.accessEvents.filter(event => {
+                const storedEntry = whitelist.macAddresses[macIndex.get(String(event.macAddress).toLowerCase())];
+                const entry = storedEntry && this.resolvePolicy(storedEntry, whitelist.groups);
+                return matchesText(event.macAddress, macAddress && macAddress.toLowerCase())
+                    && (success === null || event.success === success)
+                    && matchesText(event.deviceInfo?.hostname, hostname)
+                    && (!accessType || entry?.accessType === accessType)
+                    && (!group || entry?.group === group)
+                    && (!search || matchesText(event.message, search) || matchesText(entry?.description, search))
+                    && inDateRange(event.timestamp, since, until);
+            });
             
-            const success = await this.writeDatabase(data);
+            const page = paginate(matching, { sortBy, order, limit, cursor });
             
-            if (success) {
-                console.log(`✅ Removed MAC address: ${normalizedMac}`);
-                return {
-                    success: true,
-                    message: 'MAC address removed successfully'
-                };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save to database'
-                };
-            }
+            return {
+                success: true,
+                message: 'Access logs retrieved successfully',
+                data: {
+                    logs: page.items,
+                    matchingEvents: matching.length,
+                    nextCursor: page.nextCursor,
+                    totalEvents: logData.accessEvents.length
+                }
+            };
             
         } catch (error) {
-            console.error('❌ Error removing MAC address:', error);
+            console.error('❌ Error getting access logs:', error);
             return {
                 success: false,
-                message: `Error removing MAC address: ${error.message}`
+                message: `Error retrieving logs: ${error.message}`,
+                data: null
             };
         }
     }
     
-    // List all MAC addresses with statistics
-    async listMACAddresses() {
+    // Re-encrypt every document (whitelist, logs, statistics and backups) under
+    // a new key. The API must be stopped: it would keep writing with the old key.
+    // Every document is locked and decrypted first, so a bad current key changes
+    // nothing. The rotated copies are staged and only swapped in once all of
+    // them are written; a failed swap puts the original documents back.
+    async rotateEncryptionKey(newKey) {
         try {
-            const data = await this.readDatabase();
-            const now = new Date();
-            const day24h = 24 * 60 * 60 * 1000;
-            const day7d = 7 * day24h;
+            await this.ready;
             
-            // Convert to array and add computed fields
-            const macList = Object.entries(data.macAddresses).map(([mac, entry]) => {
-                return {
-                    macAddress: mac,
-                    description: entry.description,
-                    accessType: entry.accessType || 'trial',
-                    addedAt: entry.addedAt,
-                    lastSeen: entry.lastSeen,
-                    accessCount: entry.accessCount || 0,
-                    lastDevice: entry.lastDevice,
-                    id: entry.id
-                };
-            });
+            if (!newKey) {
+                throw new Error('New encryption key is required');
+            }
             
-            // Calculate statistics
-            const statistics = {
-                total: macList.length,
-                activeLast24h: macList.filter(entry => {
-                    if (!entry.lastSeen) return false;
-                    const lastSeen = new Date(entry.lastSeen);
-                    return (now - lastSeen) <= day24h;
-                }).length,
-                activeLast7d: macList.filter(entry => {
-                    if (!entry.lastSeen) return false;
-                    const lastSeen = new Date(entry.lastSeen);
-                    return (now - lastSeen) <= day7d;
-                }).length,
-                neverUsed: macList.filter(entry => !entry.lastSeen).length,
-                totalAccesses: data.statistics.totalAccesses || 0,
-                byAccessType: {
-                    trial: macList.filter(e => (e.accessType || 'trial') === 'trial').length,
-                    unlimited: macList.filter(e => e.accessType === 'unlimited').length,
-                    admin: macList.filter(e => e.accessType === 'admin').length
+            const names = [...new Set([
+                ...await this.storage.list(''),
+                ...await this.storage.list('backups/'),
+                ...await this.storage.list(ANOMALY_INDEX_PREFIX),
+                ...await this.storage.list(RATE_LIMITS_PREFIX)
+            ])].filter(name => !name.endsWith(KEY_ROTATION_SUFFIX)).sort();
+            
+            const releases = [];
+            let documents;
+            try {
+                for (const name of names) {
+                    releases.push(await this.storage.lock(name));
                 }
-            };
+                
+                const target = this.storage instanceof EncryptedStore ? this.storage.inner : this.storage;
+                const rotated = new EncryptedStore(target, { encryptionKey: newKey });
+                
+                documents = [];
+                for (const name of names) {
+                    documents.push({ name, stored: await target.read(name), doc: await this.storage.read(name) });
+                }
+                
+                try {
+                    for (const { name, doc } of documents) {
+                        await target.write(name + KEY_ROTATION_SUFFIX, rotated.encrypt(name, doc));
+                    }
+                    
+                    const swapped = [];
+                    try {
+                        for (const { name } of documents) {
+                            await target.write(name, await target.read(name + KEY_ROTATION_SUFFIX));
+                            swapped.push(name);
+                        }
+                    } catch (error) {
+                        for (const { name, stored } of documents.filter(document => swapped.includes(document.name))) {
+                            await target.write(name, stored);
+                        }
+                        throw error;
+                    }
+                } finally {
+                    for (const { name } of documents) {
+                        await target.remove(name + KEY_ROTATION_SUFFIX).catch(() => {});
+                    }
+                }
+                
+                this.storage = rotated;
+                this.invalidateCache();
+            } finally {
+                for (const release of releases.reverse()) {
+                    await release();
+                }
+            }
+            console.log(`🔑 Re-encrypted ${documents.length} documents with new key`);
             
             return {
                 success: true,
-                message: 'MAC addresses retrieved successfully',
+                message: 'Encryption key rotated successfully',
                 data: {
-                    macAddresses: macList,
-                    statistics: statistics
+                    documentsRotated: documents.length
                 }
             };
             
         } catch (error) {
-            console.error('❌ Error listing MAC addresses:', error);
+            console.error('❌ Error rotating encryption key:', error);
             return {
                 success: false,
-                message: `Error retrieving MAC addresses: ${error.message}`,
-                data: null
+                message: `Key rotation error: ${error.message}`
             };
         }
     }
     
-    // Bulk add MAC addresses
-    async bulkAddMACs(macAddressList) {
+    // Remove access log entries beyond the newest `keep` and/or older than `olderThanDays`
+    async pruneAccessLogs({ keep = this.config.maxLogEntries, olderThanDays = null } = {}) {
         try {
-            const data = await this.readDatabase();
-            const results = [];
-            let addedCount = 0;
-            let skippedCount = 0;
-            
-            for (const macEntry of macAddressList) {
-                const normalizedMac = macEntry.macAddress.toLowerCase();
-                
-                if (data.macAddresses[normalizedMac]) {
-                    results.push({
-                        macAddress: normalizedMac,
-                        status: 'skipped',
-                        reason: 'Already exists'
-                    });
-                    skippedCount++;
-                } else {
-                    data.macAddresses[normalizedMac] = {
-                        description: macEntry.description || 'Bulk added device',
-                        accessType: macEntry.accessType || 'trial',
-                        addedAt: new Date().toISOString(),
-                        lastSeen: null,
-                        accessCount: 0,
-                        lastDevice: null,
-                        id: crypto.randomUUID()
+            return await this.withLock(ACCESS_LOG_DOC, async () => {
+                const logData = await this.storage.read(ACCESS_LOG_DOC);
+                if (!logData) {
+                    return {
+                        success: true,
+                        message: 'Access log is empty',
+                        data: { removed: 0, remaining: 0 }
                     };
-                    
-                    results.push({
-                        macAddress: normalizedMac,
-                        status: 'added',
-                        accessType: macEntry.accessType || 'trial'
-                    });
-                    addedCount++;
                 }
-            }
-            
-            const success = await this.writeDatabase(data);
-            
-            if (success) {
-                console.log(`✅ Bulk operation completed: ${addedCount} added, ${skippedCount} skipped`);
+                
+                const before = logData.accessEvents.length;
+                let events = logData.accessEvents;
+                
+                if (olderThanDays != null) {
+                    const cutoff = Date.now() - olderThanDays * DAY_MS;
+                    events = events.filter(event => new Date(event.timestamp).getTime() >= cutoff);
+                }
+                
+                if (events.length > keep) {
+                    events = events.slice(-keep);
+                }
+                
+                const removed = before - events.length;
+                if (removed > 0) {
+                    logData.accessEvents = events;
+                    await this.storage.write(ACCESS_LOG_DOC, logData);
+                    console.log(`✅ Pruned ${removed} access log entries`);
+                }
+                
                 return {
                     success: true,
-                    message: `Bulk operation completed: ${addedCount} added, ${skippedCount} skipped`,
+                    message: `Pruned ${removed} access log entries`,
                     data: {
-                        results: results,
-                        summary: {
-                            total: macAddressList.length,
-                            added: addedCount,
-                            skipped: skippedCount
-                        }
+                        removed: removed,
+                        remaining: events.length
                     }
                 };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save bulk changes to database'
-                };
-            }
+            });
             
         } catch (error) {
-            console.error('❌ Error in bulk add operation:', error);
+            console.error('❌ Error pruning access logs:', error);
             return {
                 success: false,
-                message: `Bulk add error: ${error.message}`
+                message: `Error pruning logs: ${error.message}`
             };
         }
     }
     
-    // Get access logs
-    async getAccessLogs(limit = 100) {
+    // Read-only integrity check of the whitelist, statistics and backups.
+    // maintenance() repairs the problems it can; this only reports them.
+    async verifyIntegrity() {
         try {
-            const logData = await fs.pathExists(this.logFile) 
-                ? await fs.readJson(this.logFile) 
-                : { accessEvents: [] };
+            await this.ready;
             
-            const logs = logData.accessEvents
-                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-                .slice(0, limit);
+            const issues = [];
+            const data = await this.storage.read(WHITELIST_DOC);
+            
+            if (!data || typeof data.macAddresses !== 'object' || data.macAddresses === null) {
+                issues.push({ document: WHITELIST_DOC, problem: 'Whitelist is missing or malformed' });
+            } else {
+                const attached = new Set();
+                
+                for (const [mac, entry] of Object.entries(data.macAddresses)) {
+                    if (!validateMACAddress(mac) || mac !== mac.toLowerCase()) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: 'Key is not a normalized MAC address' });
+                    }
+                    for (const alias of entry.aliases || []) {
+                        if (!validateMACAddress(alias) || alias !== alias.toLowerCase()) {
+                            issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `Attached MAC is not a normalized MAC address: ${alias}` });
+                        } else if (data.macAddresses[alias] || attached.has(alias)) {
+                            issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `MAC address belongs to more than one device: ${alias}` });
+                        }
+                        attached.add(alias);
+                    }
+                    if (!entry.id) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: 'Entry has no id' });
+                    }
+                    // Grouped entries may leave accessType unset to follow their group
+                    if (!ACCESS_TYPES.includes(entry.accessType) && !(entry.group && entry.accessType == null)) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `Invalid access type: ${entry.accessType}` });
+                    }
+                    if (entry.group && !data.groups?.[entry.group]) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `Entry belongs to unknown group: ${entry.group}` });
+                    }
+                    if (entry.status != null && !ENTRY_STATUSES.includes(entry.status)) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `Invalid status: ${entry.status}` });
+                    }
+                    if (entry.accessWindow != null && validateAccessWindow(entry.accessWindow)) {
+                        issues.push({ document: WHITELIST_DOC, macAddress: mac, problem: `Invalid access window: ${validateAccessWindow(entry.accessWindow)}` });
+                    }
+                }
+                
+                const stats = await this.readAccessStats();
+                for (const mac of Object.keys(stats.devices)) {
+                    if (!data.macAddresses[mac]) {
+                        issues.push({ document: ACCESS_STATS_DOC, macAddress: mac, problem: 'Statistics for a MAC address not in the whitelist' });
+                    }
+                }
+            }
+            
+            const logData = await this.storage.read(ACCESS_LOG_DOC);
+            if (!logData || !Array.isArray(logData.accessEvents)) {
+                issues.push({ document: ACCESS_LOG_DOC, problem: 'Access log is missing or malformed' });
+            }
+            
+            const backups = await this.listBackups();
+            for (const backup of backups.data?.backups || []) {
+                if (!backup.valid) {
+                    issues.push({ document: `${BACKUP_PREFIX}${backup.backupId}`, problem: backup.error });
+                }
+            }
             
             return {
-                success: true,
-                message: 'Access logs retrieved successfully',
+                success: issues.length === 0,
+                message: issues.length === 0
+                    ? 'Database integrity verified'
+                    : `Found ${issues.length} integrity issues`,
                 data: {
-                    logs: logs,
-                    totalEvents: logData.accessEvents.length
+                    issues: issues,
+                    totalDevices: data?.macAddresses ? Object.keys(data.macAddresses).length : 0,
+                    totalLogEvents: logData?.accessEvents?.length || 0,
+                    backups: backups.data?.total || 0
                 }
             };
             
         } catch (error) {
-            console.error('❌ Error getting access logs:', error);
+            console.error('❌ Error verifying database integrity:', error);
             return {
                 success: false,
-                message: `Error retrieving logs: ${error.message}`,
+                message: `Integrity check error: ${error.message}`,
                 data: null
             };
         }
     }
     
+    // Release storage handles (SQLite connections etc.)
+    async close() {
+        this.stopBackupSchedule();
+        await this.ready.catch(() => {});
+        await this.storage.close();
+    }
+    
     // Database maintenance and cleanup
     async maintenance() {
         try {
             console.log('🔧 Starting database maintenance...');
             
             // Create backup
-            await this.backupDatabase();
+            const backupId = await this.backupDatabase({ reason: 'maintenance' });
             
-            // Cleanup old log entries (keep only last 1000)
-            if (await fs.pathExists(this.logFile)) {
-                const logData = await fs.readJson(this.logFile);
-                if (logData.accessEvents.length > 1000) {
-                    logData.accessEvents = logData.accessEvents.slice(-1000);
-                    await fs.writeJson(this.logFile, logData, { spaces: 2 });
-                    console.log('✅ Cleaned up old log entries');
-                }
-            }
+            // Cleanup old log entries (keep only the configured number)
+            await this.pruneAccessLogs({ keep: this.config.maxLogEntries });
             
             // Verify database integrity
-            const data = await this.readDatabase();
-            let fixedCount = 0;
+            const fixedCount = await this.withLock(WHITELIST_DOC, async () => {
+                const data = await this.readDatabase();
+                const attached = new Set();
+                let fixed = 0;
+                
+                Object.entries(data.macAddresses).forEach(([mac, entry]) => {
+                    // Drop malformed attached MACs and ones already owned by another device
+                    if (entry.aliases) {
+                        const aliases = entry.aliases.filter(alias =>
+                            validateMACAddress(alias) && alias === alias.toLowerCase() && !data.macAddresses[alias] && !attached.has(alias));
+                        aliases.forEach(alias => attached.add(alias));
+                        fixed += entry.aliases.length - aliases.length;
+                        entry.aliases = aliases;
+                    }
+                    if (!entry.id) {
+                        entry.id = crypto.randomUUID();
+                        fixed++;
+                    }
+                    if (entry.group && !data.groups?.[entry.group]) {
+                        entry.group = null;
+                        fixed++;
+                    }
+                    if (!entry.accessType && !entry.group) {
+                        entry.accessType = 'trial';
+                        fixed++;
+                    }
+                });
+                
+                if (fixed > 0) {
+                    await this.writeDatabase(data);
+                    console.log(`✅ Fixed ${fixed} database entries`);
+                }
+                
+                return fixed;
+            });
+            
+            const anomalyIndexPruned = await this.pruneAnomalyIndex();
             
-            Object.entries(data.macAddresses).forEach(([mac, entry]) => {
-                if (!entry.id) {
-                    entry.id = crypto.randomUUID();
-                    fixedCount++;
+            // Drop statistics left behind by MAC addresses no longer in the whitelist,
+            // and sessions that timed out
+            const { statsPruned, sessionsExpired } = await this.withLock(ACCESS_STATS_DOC, async () => {
+                const data = await this.readDatabase();
+                const stats = await this.readAccessStats();
+                const orphans = Object.keys(stats.devices).filter(mac => !data.macAddresses[mac]);
+                orphans.forEach(mac => delete stats.devices[mac]);
+                
+                let expired = 0;
+                for (const entryStats of Object.values(stats.devices)) {
+                    if (entryStats.sessions) {
+                        const live = this.liveSessions(entryStats);
+                        expired += entryStats.sessions.length - live.length;
+                        entryStats.sessions = live;
+                    }
                 }
-                if (!entry.accessType) {
-                    entry.accessType = 'trial';
-                    fixedCount++;
+                
+                if (orphans.length > 0 || expired > 0) {
+                    await this.writeAccessStats(stats);
+                    console.log(`✅ Removed statistics for ${orphans.length} unknown devices and ${expired} expired sessions`);
                 }
+                
+                return { statsPruned: orphans.length, sessionsExpired: expired };
             });
             
-            if (fixedCount > 0) {
-                await this.writeDatabase(data);
-                console.log(`✅ Fixed ${fixedCount} database entries`);
-            }
-            
             console.log('✅ Database maintenance completed');
             
             return {
                 success: true,
                 message: 'Maintenance completed successfully',
                 data: {
-                    backupsCreated: 1,
-                    entriesFixed: fixedCount
+                    backupsCreated: backupId ? 1 : 0,
+                    entriesFixed: fixedCount,
+                    statsPruned: statsPruned,
+                    sessionsExpired: sessionsExpired,
+                    anomalyIndexPruned: anomalyIndexPruned
                 }
             };
             
@@ -0,0 +1,290 @@
+// rate-limiter.js - Fixed-Window Rate Limiting with Pluggable Stores
+//
+// Each policy allows `limit` hits per key (a client IP or an admin account)
+// within `window` ms. Counters live in a store:
+//
+//   MemoryRateLimitStore    per process; lost on restart or a serverless cold start
+//   StorageRateLimitStore   one document per key in a MACDatabase storage adapter
+//                           (JSON files or SQLite), shared by every process using it
+//
+// A store implements get(key, now), increment(key, window, now) and reset(key),
+// where get / increment resolve to { count, resetAt } (get: or null).
+import crypto from 'crypto';
+
+// Storage documents of StorageRateLimitStore, one per key
+export const RATE_LIMITS_PREFIX = 'rate-limits/';
+
+// Policies by name, from the database configuration
+export function rateLimitPolicies(config) {
+    return {
+        'check-access': { limit: config.rateLimitCheckAccess, window: config.rateLimitCheckAccessWindow },
+        'public': { limit: config.rateLimitRequests, window: config.rateLimitWindow },
+        'request-access': { limit: config.accessRequestLimit, window: config.accessRequestWindow },
+        'failed-admin-login': { limit: config.rateLimitFailedLogins, window: config.rateLimitFailedLoginWindow },
+        'admin': { limit: config.rateLimitAdmin, window: config.rateLimitAdminWindow }
+    };
+}
+
+// Drop expired buckets, then the ones closest to expiry beyond maxKeys
+function pruneBuckets(buckets, maxKeys, now) {
+    for (const [key, bucket] of buckets) {
+        if (bucket.resetAt <= now) {
+            buckets.delete(key);
+        }
+    }
+    
+    if (buckets.size > maxKeys) {
+        const byReset = [...buckets].sort((a, b) => a[1].resetAt - b[1].resetAt);
+        for (const [key] of byReset.slice(0, buckets.size - maxKeys)) {
+            buckets.delete(key);
+        }
+    }
+}
+
+export class MemoryRateLimitStore {
+    constructor({ maxKeys = 10000 } = {}) {
+        this.name = 'memory';
+        this.maxKeys = maxKeys;
+        this.buckets = new Map();
+    }
+    
+    async get(key, now = Date.now()) {
+        const bucket = this.buckets.get(key);
+        return bucket && bucket.resetAt > now ? { ...bucket } : null;
+    }
+    
+    async increment(key, window, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + window };
+            this.buckets.set(key, bucket);
+            if (this.buckets.size > this.maxKeys) {
+                pruneBuckets(this.buckets, this.maxKeys, now);
+            }
+        }
+        
+        bucket.count++;
+        return { ...bucket };
+    }
+    
+    async reset(key) {
+        this.buckets.delete(key);
+    }
+}
+
+export class StorageRateLimitStore {
+    // storage is a MACDatabase storage adapter; ready resolves once it is initialized.
+    // Expired buckets are pruned at most once per pruneInterval ms.
+    constructor(storage, { ready = Promise.resolve(), maxKeys = 10000, pruneInterval = 10 * 60 * 1000 } = {}) {
+        this.name = 'storage';
+        this.storage = storage;
+        this.ready = ready;
+        this.maxKeys = maxKeys;
+        this.pruneInterval = pruneInterval;
+        this.lastPrune = 0;
+        
+        // Updates to a bucket from this process run one at a time; the adapter's
+        // lock covers other processes
+        this.queues = new Map();
+    }
+    
+    // Keys are hashed so IPv6 addresses and usernames make safe document names
+    bucketDoc(key) {
+        return RATE_LIMITS_PREFIX + crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+    }
+    
+    async withLock(name, task) {
+        const run = (this.queues.get(name) || Promise.resolve()).then(async () => {
+            await this.ready;
+            const release = await this.storage.lock(name);
+            try {
+                return await task();
+            } finally {
+                await release();
+            }
+        });
+        const queued = run.catch(() => {});
+        this.queues.set(name, queued);
+        queued.then(() => {
+            if (this.queues.get(name) === queued) {
+                this.queues.delete(name);
+            }
+        });
+        return await run;
+    }
+    
+    async get(key, now = Date.now()) {
+        await this.ready;
+        const bucket = await this.storage.read(this.bucketDoc(key));
+        return bucket && bucket.resetAt > now ? bucket : null;
+    }
+    
+    async increment(key, window, now = Date.now()) {
+        if (now - this.lastPrune >= this.pruneInterval) {
+            this.lastPrune = now;
+            this.prune(now).catch(error => console.error('❌ Error pruning rate limits:', error));
+        }
+        
+        const name = this.bucketDoc(key);
+        return await this.withLock(name, async () => {
+            const stored = await this.storage.read(name);
+            const bucket = stored && stored.resetAt > now ? stored : { count: 0, resetAt: now + window };
+            bucket.count++;
+            await this.storage.write(name, bucket);
+            return { ...bucket };
+        });
+    }
+    
+    async reset(key) {
+        const name = this.bucketDoc(key);
+        await this.withLock(name, () => this.storage.remove(name));
+    }
+    
+    // Remove expired buckets, then the ones closest to expiry beyond maxKeys
+    async prune(now = Date.now()) {
+        await this.ready;
+        const found = new Map();
+        for (const name of await this.storage.list(RATE_LIMITS_PREFIX)) {
+            found.set(name, await this.storage.read(name));
+        }
+        
+        const kept = new Map([...found].filter(([, bucket]) => bucket));
+        pruneBuckets(kept, this.maxKeys, now);
+        
+        for (const [name, seen] of found) {
+            if (!kept.has(name)) {
+                // Leave a bucket alone if another request restarted it since it was read
+                await this.withLock(name, async () => {
+                    const bucket = await this.storage.read(name);
+                    if (!bucket || bucket.resetAt === seen?.resetAt) {
+                        await this.storage.remove(name);
+                    }
+                });
+            }
+        }
+    }
+}
+
+export class RateLimiter {
+    constructor(policies, { store = new MemoryRateLimitStore(), enabled = true } = {}) {
+        this.policies = policies;
+        this.store = store;
+        this.enabled = enabled;
+    }
+    
+    policy(name) {
+        const policy = this.policies[name];
+        if (!policy) {
+            throw new Error(`Unknown rate limit policy: ${name}`);
+        }
+        return policy;
+    }
+    
+    // Result of a policy for a key: { allowed, policy, limit, window, remaining, resetAt }.
+    // consume / check add limited: false when nothing was counted (disabled or store
+    // error), and failedOpen: true when that was a store error.
+    result(name, bucket, now) {
+        const { limit, window } = this.policy(name);
+        const count = bucket?.count || 0;
+        
+        return {
+            allowed: count <= limit,
+            policy: name,
+            limit: limit,
+            window: window,
+            remaining: Math.max(limit - count, 0),
+            resetAt: bucket?.resetAt || now + window
+        };
+    }
+    
+    // Count a hit against a policy. allowed is false once the key is over its limit.
+    // A failing store lets the request through rather than taking the API down.
+    async consume(name, key) {
+        const now = Date.now();
+        if (!this.enabled) {
+            return { ...this.result(name, null, now), limited: false };
+        }
+        
+        try {
+            const bucket = await this.store.increment(`${name}:${key}`, this.policy(name).window, now);
+            return { ...this.result(name, bucket, now), limited: true };
+        } catch (error) {
+            console.error(`❌ Rate limiter error (${name}):`, error);
+            return { ...this.result(name, null, now), limited: false, failedOpen: true };
+        }
+    }
+    
+    // Whether a key still has hits left, without counting one (allowed while
+    // fewer than limit hits have been counted)
+    async check(name, key) {
+        const now = Date.now();
+        if (!this.enabled) {
+            return { ...this.result(name, null, now), limited: false };
+        }
+        
+        try {
+            const bucket = await this.store.get(`${name}:${key}`, now);
+            const result = this.result(name, bucket, now);
+            return { ...result, allowed: (bucket?.count || 0) < result.limit, limited: true };
+        } catch (error) {
+            console.error(`❌ Rate limiter error (${name}):`, error);
+            return { ...this.result(name, null, now), limited: false, failedOpen: true };
+        }
+    }
+    
+    async reset(name, key) {
+        await this.store.reset(`${name}:${key}`);
+    }
+}
+
+// RateLimit-* (IETF draft) and, once the limit is hit, Retry-After headers for a result
+export function rateLimitHeaders(result) {
+    if (!result.limited) {
+        return {};
+    }
+    
+    const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+    const headers = {
+        'RateLimit-Policy': `${result.limit};w=${Math.round(result.window / 1000)}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(resetSeconds)
+    };
+    
+    if (!result.allowed) {
+        headers['Retry-After'] = String(resetSeconds);
+    }
+    return headers;
+}
+
+// "::ffff:10.0.0.1" -> "10.0.0.1"; drops a port from "1.2.3.4:5678" and "[::1]:5678"
+function normalizeIP(value) {
+    let ip = String(value || '').trim();
+    
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(ip);
+    if (bracketed) {
+        ip = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(ip)) {
+        ip = ip.slice(0, ip.lastIndexOf(':'));
+    }
+    
+    return ip.toLowerCase().replace(/^::ffff:(?=[\d.]+$)/, '');
+}
+
+// The client's address behind trustedHops reverse proxies. Each proxy appends
+// the address it received the request from to X-Forwarded-For, so only the
+// last trustedHops entries can be believed; anything further left is whatever
+// the client chose to send.
+export function resolveClientIP(req, trustedHops = 0) {
+    const forwarded = String(req.headers?.['x-forwarded-for'] || '')
+        .split(',')
+        .map(normalizeIP)
+        .filter(Boolean);
+    const chain = [...forwarded, normalizeIP(req.socket?.remoteAddress || req.connection?.remoteAddress)].filter(Boolean);
+    
+    if (chain.length === 0) {
+        return 'unknown';
+    }
+    return chain[Math.max(chain.length - 1 - trustedHops, 0)];
+}
@@ -0,0 +1,65 @@
+// encrypted-store.js - Encrypting Wrapper Around Any Storage Adapter
+import crypto from 'crypto';
+import { encryptDocument, decryptDocument, isEncryptedDocument } from '../encryption.js';
+
+class EncryptedStore {
+    constructor(inner, { encryptionKey }) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.encrypted = true;
+        this.encryptionKey = encryptionKey;
+        
+        // One salt per process keeps key derivation to a single scrypt call
+        this.salt = crypto.randomBytes(16);
+    }
+    
+    async init() {
+        await this.inner.init();
+    }
+    
+    async read(name) {
+        const doc = await this.inner.read(name);
+        
+        // Plaintext documents are still readable; they get encrypted on next write
+        if (!isEncryptedDocument(doc)) {
+            return doc;
+        }
+        
+        return decryptDocument(doc, this.encryptionKey, { name });
+    }
+    
+    // The stored envelope of a document; it is bound to the name it is written under
+    encrypt(name, doc) {
+        return encryptDocument(doc, this.encryptionKey, { name, salt: this.salt });
+    }
+    
+    async write(name, doc) {
+        await this.inner.write(name, this.encrypt(name, doc));
+    }
+    
+    async exists(name) {
+        return await this.inner.exists(name);
+    }
+    
+    async stat(name) {
+        return await this.inner.stat(name);
+    }
+    
+    async remove(name) {
+        await this.inner.remove(name);
+    }
+    
+    async list(prefix = '') {
+        return await this.inner.list(prefix);
+    }
+    
+    async lock(name) {
+        return await this.inner.lock(name);
+    }
+    
+    async close() {
+        await this.inner.close();
+    }
+}
+
+export default EncryptedStore;
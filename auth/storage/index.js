@@ -0,0 +1,41 @@
+// storage/index.js - Storage Adapter Selection for MACDatabase
+//
+// A storage adapter is a small document store. MACDatabase keeps each of its
+// data sets (whitelist, access log, backups) as a named JSON document and only
+// talks to the adapter through these methods:
+//
+//   init()             prepare the underlying store
+//   read(name)         return the parsed document, or null if it doesn't exist
+//   write(name, doc)   replace the document atomically
+//   exists(name)       true if the document exists
+//   stat(name)         { mtimeMs, size } of the stored document, or null; changes
+//                      whenever the document is rewritten, by any process
+//   remove(name)       delete the document
+//   list(prefix)       sorted names of documents starting with prefix
+//   lock(name)         wait for a cross-process advisory lock on the document;
+//                      resolves to an async release function
+//   close()            release any handles
+//
+// When encryption is enabled the chosen adapter is wrapped in EncryptedStore,
+// which encrypts every document on write and decrypts it on read.
+import JSONFileStore from './json-file-store.js';
+import SQLiteStore from './sqlite-store.js';
+import EncryptedStore from './encrypted-store.js';
+
+export const STORAGE_ADAPTERS = {
+    json: JSONFileStore,
+    sqlite: SQLiteStore
+};
+
+export function createStorage({ backend = 'json', encrypt = false, encryptionKey, ...options }) {
+    const Adapter = STORAGE_ADAPTERS[backend];
+    
+    if (!Adapter) {
+        throw new Error(`Unknown storage backend "${backend}". Must be one of: ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+    }
+    
+    const store = new Adapter(options);
+    return encrypt ? new EncryptedStore(store, { encryptionKey }) : store;
+}
+
+export { JSONFileStore, SQLiteStore, EncryptedStore };
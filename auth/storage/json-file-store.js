@@ -0,0 +1,146 @@
+// json-file-store.js - JSON File Storage Adapter for MACDatabase
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { acquireLock } from './locking.js';
+
+class JSONFileStore {
+    constructor({ dataPath, lockTimeout = 10000, lockStaleTimeout = 30000 }) {
+        this.name = 'json';
+        this.dataPath = dataPath;
+        this.lockTimeout = lockTimeout;
+        this.lockStaleTimeout = lockStaleTimeout;
+    }
+    
+    // Map a document name (e.g. "backups/mac-whitelist-...") to a file on disk
+    resolvePath(name) {
+        return path.join(this.dataPath, `${name}.json`);
+    }
+    
+    async init() {
+        await fs.ensureDir(this.dataPath);
+    }
+    
+    async read(name) {
+        const file = this.resolvePath(name);
+        
+        if (!await fs.pathExists(file)) {
+            return null;
+        }
+        
+        return await fs.readJson(file);
+    }
+    
+    async write(name, doc) {
+        const file = this.resolvePath(name);
+        await fs.ensureDir(path.dirname(file));
+        
+        // Write to temporary file first, then rename (atomic operation)
+        const tempFile = file + '.tmp';
+        await fs.writeJson(tempFile, doc, { spaces: 2 });
+        await fs.move(tempFile, file, { overwrite: true });
+    }
+    
+    async exists(name) {
+        return await fs.pathExists(this.resolvePath(name));
+    }
+    
+    async stat(name) {
+        const stats = await fs.stat(this.resolvePath(name)).catch(() => null);
+        return stats ? { mtimeMs: stats.mtimeMs, size: stats.size } : null;
+    }
+    
+    async remove(name) {
+        await fs.remove(this.resolvePath(name));
+    }
+    
+    // List document names under a prefix, e.g. "backups/mac-whitelist-"
+    async list(prefix = '') {
+        const folder = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+        const base = prefix.slice(folder.length);
+        const dir = path.join(this.dataPath, folder);
+        
+        if (!await fs.pathExists(dir)) {
+            return [];
+        }
+        
+        const files = await fs.readdir(dir);
+        
+        return files
+            .filter(file => file.startsWith(base) && file.endsWith('.json'))
+            .map(file => folder + file.slice(0, -'.json'.length))
+            .sort();
+    }
+    
+    // Owner token of a lock file, or null if it is gone or unreadable
+    async lockOwner(lockFile) {
+        const lock = await fs.readJson(lockFile).catch(() => null);
+        return lock?.owner || null;
+    }
+    
+    // Cross-process advisory lock: a "<document>.json.lock" file created exclusively
+    // and holding an owner token. Locks older than lockStaleTimeout are assumed to
+    // belong to a crashed process.
+    async lock(name) {
+        const lockFile = this.resolvePath(name) + '.lock';
+        const owner = crypto.randomUUID();
+        await fs.ensureDir(path.dirname(lockFile));
+        
+        return await acquireLock(name, async () => {
+            try {
+                await fs.writeFile(lockFile, JSON.stringify({
+                    owner,
+                    pid: process.pid,
+                    acquiredAt: new Date().toISOString()
+                }), { flag: 'wx' });
+                
+                // Only remove the lock while it is still ours; it may have been
+                // taken over as stale
+                return async () => {
+                    if (await this.lockOwner(lockFile) === owner) {
+                        await fs.remove(lockFile);
+                    }
+                };
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                
+                const stats = await fs.stat(lockFile).catch(() => null);
+                if (stats && Date.now() - stats.mtimeMs > this.lockStaleTimeout) {
+                    await this.removeStaleLock(lockFile, await this.lockOwner(lockFile));
+                }
+                
+                return null;
+            }
+        }, { timeout: this.lockTimeout });
+    }
+    
+    // Remove a stale lock held by staleOwner. The file is first renamed out of
+    // the way, so a lock another process took since it was found stale is never
+    // deleted: it is put back instead.
+    async removeStaleLock(lockFile, staleOwner) {
+        const moved = `${lockFile}.${crypto.randomUUID()}.stale`;
+        
+        try {
+            await fs.rename(lockFile, moved);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        
+        if (await this.lockOwner(moved) === staleOwner) {
+            console.warn(`⚠️ Removed stale lock: ${lockFile}`);
+        } else {
+            // fs.link fails if yet another process has locked the document meanwhile
+            await fs.link(moved, lockFile).catch(() => {});
+        }
+        await fs.remove(moved);
+    }
+    
+    async close() {}
+}
+
+export default JSONFileStore;
@@ -0,0 +1,24 @@
+// locking.js - Retry Loop Shared by the Storage Adapters' Advisory Locks
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls tryAcquire() until it returns a release function, backing off between
+// attempts. Gives up with an error once the timeout has passed.
+export async function acquireLock(name, tryAcquire, { timeout = 10000 } = {}) {
+    const deadline = Date.now() + timeout;
+    let delay = 5;
+    
+    while (true) {
+        const release = await tryAcquire();
+        if (release) {
+            return release;
+        }
+        
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out after ${timeout}ms waiting for lock on "${name}"`);
+        }
+        
+        // Jitter keeps competing processes from retrying in lockstep
+        await sleep(delay + Math.random() * delay);
+        delay = Math.min(delay * 2, 100);
+    }
+}
@@ -0,0 +1,118 @@
+// sqlite-store.js - Embedded SQLite Storage Adapter for MACDatabase
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { acquireLock } from './locking.js';
+
+class SQLiteStore {
+    constructor({ dataPath, sqliteFile = 'sat-database.sqlite', lockTimeout = 10000, lockStaleTimeout = 30000 }) {
+        this.name = 'sqlite';
+        this.dataPath = dataPath;
+        this.file = path.join(dataPath, sqliteFile);
+        this.lockTimeout = lockTimeout;
+        this.lockStaleTimeout = lockStaleTimeout;
+        this.db = null;
+    }
+    
+    async init() {
+        if (this.db) {
+            return;
+        }
+        
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`SQLite storage requires the "better-sqlite3" package: ${error.message}`);
+        }
+        
+        await fs.ensureDir(this.dataPath);
+        
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                body TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS locks (
+                name TEXT PRIMARY KEY,
+                owner TEXT NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+        `);
+        
+        this.statements = {
+            read: this.db.prepare('SELECT body FROM documents WHERE name = ?'),
+            stat: this.db.prepare('SELECT updated_at, length(body) AS size FROM documents WHERE name = ?'),
+            write: this.db.prepare(`
+                INSERT INTO documents (name, body, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM documents WHERE name = ?'),
+            list: this.db.prepare("SELECT name FROM documents WHERE name LIKE ? ESCAPE '\\' ORDER BY name"),
+            clearExpiredLock: this.db.prepare('DELETE FROM locks WHERE name = ? AND expires_at < ?'),
+            insertLock: this.db.prepare('INSERT OR IGNORE INTO locks (name, owner, expires_at) VALUES (?, ?, ?)'),
+            releaseLock: this.db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?')
+        };
+    }
+    
+    async read(name) {
+        const row = this.statements.read.get(name);
+        return row ? JSON.parse(row.body) : null;
+    }
+    
+    async write(name, doc) {
+        this.statements.write.run(name, JSON.stringify(doc), new Date().toISOString());
+    }
+    
+    async exists(name) {
+        return Boolean(this.statements.read.get(name));
+    }
+    
+    async stat(name) {
+        const row = this.statements.stat.get(name);
+        return row ? { mtimeMs: Date.parse(row.updated_at), size: row.size } : null;
+    }
+    
+    async remove(name) {
+        this.statements.remove.run(name);
+    }
+    
+    async list(prefix = '') {
+        const pattern = prefix.replace(/[\\%_]/g, char => `\\${char}`) + '%';
+        return this.statements.list.all(pattern).map(row => row.name);
+    }
+    
+    // Cross-process advisory lock held as a row in the locks table. Rows past
+    // their expiry are assumed to belong to a crashed process.
+    async lock(name) {
+        const owner = crypto.randomUUID();
+        const tryLock = this.db.transaction(() => {
+            const now = Date.now();
+            this.statements.clearExpiredLock.run(name, now);
+            return this.statements.insertLock.run(name, owner, now + this.lockStaleTimeout).changes === 1;
+        });
+        
+        return await acquireLock(name, async () => {
+            if (!tryLock.immediate()) {
+                return null;
+            }
+            
+            return async () => {
+                this.statements.releaseLock.run(name, owner);
+            };
+        }, { timeout: this.lockTimeout });
+    }
+    
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export default SQLiteStore;
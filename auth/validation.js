@@ -0,0 +1,126 @@
+// validation.js - Shared Validation Helpers for Whitelist Data
+import { SORT_ORDERS, decodeCursor } from './list-query.js';
+import { validateAccessWindow } from './access-window.js';
+
+export const ACCESS_TYPES = ['trial', 'unlimited', 'admin'];
+
+// Lifecycle of a whitelist entry: suspended and revoked devices keep their
+// history but fail check-access. Revoked is meant to be final, suspended temporary.
+export const ENTRY_STATUSES = ['active', 'suspended', 'revoked'];
+
+// Trial state of a listed entry (see MACDatabase.evaluateTrialLimits)
+export const TRIAL_STATUSES = ['ok', 'trial expired', 'quota exhausted'];
+
+// MAC address format validation
+export function validateMACAddress(macAddress) {
+    const macRegex = /^([0-9A-Fa-f]{2}[:-]){5}([0-9A-Fa-f]{2})$/;
+    return macRegex.test(macAddress);
+}
+
+// Trial limit validation helper - returns an error message or null
+export function validateTrialLimits({ expiresAt, maxAccesses, maxSeats, extendDays, addAccesses } = {}) {
+    if (expiresAt !== undefined && expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+        return `Invalid expiry date: ${expiresAt}`;
+    }
+    
+    if (maxAccesses !== undefined && maxAccesses !== null && (!Number.isInteger(maxAccesses) || maxAccesses < 1)) {
+        return `Invalid access quota: ${maxAccesses}. Must be a positive integer`;
+    }
+    
+    if (maxSeats !== undefined && maxSeats !== null && (!Number.isInteger(maxSeats) || maxSeats < 1)) {
+        return `Invalid seat limit: ${maxSeats}. maxSeats must be a positive integer`;
+    }
+    
+    if (extendDays !== undefined && (typeof extendDays !== 'number' || !(extendDays > 0))) {
+        return `Invalid extension: ${extendDays}. extendDays must be a positive number`;
+    }
+    
+    if (addAccesses !== undefined && (!Number.isInteger(addAccesses) || addAccesses < 1)) {
+        return `Invalid extension: ${addAccesses}. addAccesses must be a positive integer`;
+    }
+    
+    return null;
+}
+
+// Group names are short identifiers ("class-7b", "acme.support") used as keys
+export function validateGroupName(name) {
+    return typeof name === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(name);
+}
+
+// Group policy validation helper - returns an error message or null.
+// Unset fields (undefined) are left alone; null clears a default.
+export function validateGroupPolicy({ description, accessType, expiresAt, maxDevices, accessWindow } = {}) {
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return 'Group description must be a string';
+    }
+    
+    if (accessType !== undefined && accessType !== null && !ACCESS_TYPES.includes(accessType)) {
+        return `Invalid access type: ${accessType}. Must be: ${ACCESS_TYPES.join(', ')}`;
+    }
+    
+    if (expiresAt !== undefined && expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+        return `Invalid expiry date: ${expiresAt}`;
+    }
+    
+    // A past date would expire at once every member without an expiry of its own
+    if (expiresAt !== undefined && expiresAt !== null && new Date(expiresAt) <= new Date()) {
+        return `Group expiry date must be in the future: ${expiresAt}`;
+    }
+    
+    if (maxDevices !== undefined && maxDevices !== null && (!Number.isInteger(maxDevices) || maxDevices < 1)) {
+        return `Invalid device cap: ${maxDevices}. maxDevices must be a positive integer`;
+    }
+    
+    if (accessWindow !== undefined) {
+        return validateAccessWindow(accessWindow);
+    }
+    
+    return null;
+}
+
+// Filter/sort/pagination options for list queries - returns an error message or null
+export function validateListQuery({ macAddress, accessType, group, status, trialStatus, since, until, sortBy, order, limit, cursor } = {}, sortFields = []) {
+    if (macAddress !== undefined && typeof macAddress !== 'string') {
+        return 'macAddress filter must be a string';
+    }
+    
+    if (group !== undefined && typeof group !== 'string') {
+        return 'group filter must be a string';
+    }
+    
+    if (accessType !== undefined && !ACCESS_TYPES.includes(accessType)) {
+        return `Invalid access type filter: ${accessType}. Must be: ${ACCESS_TYPES.join(', ')}`;
+    }
+    
+    if (status !== undefined && !ENTRY_STATUSES.includes(status)) {
+        return `Invalid status filter: ${status}. Must be: ${ENTRY_STATUSES.join(', ')}`;
+    }
+    
+    if (trialStatus !== undefined && trialStatus !== null && !TRIAL_STATUSES.includes(trialStatus)) {
+        return `Invalid trial status filter: ${trialStatus}. Must be: ${TRIAL_STATUSES.join(', ')}`;
+    }
+    
+    for (const [name, value] of Object.entries({ since, until })) {
+        if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+            return `Invalid ${name} date: ${value}`;
+        }
+    }
+    
+    if (sortBy !== undefined && !sortFields.includes(sortBy)) {
+        return `Invalid sortBy: ${sortBy}. Must be: ${sortFields.join(', ')}`;
+    }
+    
+    if (order !== undefined && !SORT_ORDERS.includes(order)) {
+        return `Invalid order: ${order}. Must be: ${SORT_ORDERS.join(', ')}`;
+    }
+    
+    if (limit !== undefined && limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return `Invalid limit: ${limit}. Must be a positive integer`;
+    }
+    
+    if (cursor !== undefined && cursor !== null && !decodeCursor(cursor)) {
+        return 'Invalid cursor';
+    }
+    
+    return null;
+}
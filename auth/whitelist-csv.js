@@ -0,0 +1,155 @@
+// whitelist-csv.js - CSV Conversion for Whitelist Import and Export
+//
+// Exports open cleanly in spreadsheets, and imports accept what spreadsheets
+// save: a header row (column names are matched loosely, so "MAC Address" or
+// "Name" work), quoted fields, CRLF line endings and a UTF-8 byte order mark.
+
+// Columns written on export, in order. aliases are separated by ";" and
+// accessWindow is written as JSON.
+export const EXPORT_COLUMNS = ['macAddress', 'aliases', 'description', 'accessType', 'group', 'status', 'statusReason', 'expiresAt', 'maxAccesses', 'maxSeats', 'accessWindow', 'addedAt', 'addedBy', 'updatedAt', 'updatedBy'];
+
+// Accepted import header names (lowercased, spaces/underscores/dashes removed) -> field
+const HEADER_ALIASES = {
+    macaddress: 'macAddress',
+    mac: 'macAddress',
+    description: 'description',
+    name: 'description',
+    accesstype: 'accessType',
+    type: 'accessType',
+    group: 'group',
+    expiresat: 'expiresAt',
+    expires: 'expiresAt',
+    expiry: 'expiresAt',
+    maxaccesses: 'maxAccesses',
+    quota: 'maxAccesses',
+    aliases: 'aliases',
+    status: 'status',
+    statusreason: 'statusReason',
+    maxseats: 'maxSeats',
+    seats: 'maxSeats',
+    accesswindow: 'accessWindow',
+    window: 'accessWindow'
+};
+
+const toInteger = value => /^\d+$/.test(value) ? Number(value) : value;
+
+// Imported cell text -> field value, for fields that aren't plain strings.
+// Unparseable values are passed through for the importer to reject.
+const CELL_PARSERS = {
+    maxAccesses: toInteger,
+    maxSeats: toInteger,
+    aliases: value => value.split(/[;\s]+/).filter(Boolean),
+    accessWindow: value => {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+};
+
+// A cell starting with one of these runs as a formula in some spreadsheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// The apostrophe escapeCell puts in front of such a cell
+const FORMULA_GUARD = new RegExp(`^'(?=${FORMULA_START.source.slice(1)})`);
+
+// Quote a cell when needed. Cells a spreadsheet would run as a formula get a
+// leading apostrophe so an exported description can't execute on open.
+function escapeCell(value) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+        return '';
+    }
+    
+    let text = Array.isArray(value) ? value.join(';') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows, columns = EXPORT_COLUMNS) {
+    const lines = [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+    ];
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into records of raw cells (RFC 4180 quoting)
+export function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    
+    const input = String(text).replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    
+    // Spreadsheets often leave blank trailing lines
+    return records.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse a whitelist CSV into import rows: { rowNumber, macAddress, description, ... }.
+// Empty cells are left undefined; type checks are up to the importer.
+export function parseWhitelistCSV(text) {
+    const [header, ...records] = parseCSV(text);
+    
+    if (!header) {
+        throw new Error('CSV is empty');
+    }
+    
+    const fields = header.map(name => HEADER_ALIASES[name.trim().toLowerCase().replace(/[\s_-]/g, '')] || null);
+    if (!fields.includes('macAddress')) {
+        throw new Error('CSV header must include a macAddress (or "MAC Address") column');
+    }
+    
+    return records.map((cells, index) => {
+        const row = { rowNumber: index + 2 };
+        
+        fields.forEach((field, column) => {
+            // Undo the formula guard added by escapeCell so exports re-import unchanged
+            const value = (cells[column] ?? '').trim().replace(FORMULA_GUARD, '');
+            if (field && value !== '') {
+                row[field] = CELL_PARSERS[field] ? CELL_PARSERS[field](value) : value;
+            }
+        });
+        
+        return row;
+    });
+}
@@ -1,47 +1,163 @@
 // database-config.js - Database Configuration for Different Environments
+//
+// Every module reads its settings from here. Defaults depend on the environment
+// and can be overridden with environment variables; the result is validated when
+// this module is first imported, so a bad setting stops the process at startup.
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { ACCESS_TYPES } from './auth/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Placeholder secrets that must never be used in production
+export const DEFAULT_ENCRYPTION_KEY = 'default-encryption-key-change-me';
+export const DEFAULT_ADMIN_KEY = 'default-admin-key-change-me';
+
 // Environment detection
-const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const isVercel = Boolean(process.env.VERCEL || process.env.VERCEL_ENV);
 const isDevelopment = process.env.NODE_ENV === 'development';
 const isProduction = process.env.NODE_ENV === 'production';
 
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Environment variable helpers - an unparseable value is kept as-is so validation reports it
+function envString(name, fallback) {
+    const value = process.env[name];
+    return value === undefined || value === '' ? fallback : value;
+}
+
+function envNumber(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+function envBoolean(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+    return value;
+}
+
+// "trial=1,unlimited=3" -> { trial: 1, unlimited: 3 }
+function envLimits(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    
+    const limits = {};
+    for (const pair of value.split(',')) {
+        const [key, limit] = pair.split('=').map(part => part.trim());
+        if (!key || !/^\d+$/.test(limit || '')) {
+            return value;
+        }
+        limits[key] = Number(limit);
+    }
+    return limits;
+}
+
 // Database configuration
 export const DATABASE_CONFIG = {
     // For Vercel deployment, use /tmp directory (ephemeral but functional)
     // For local development, use project directory
-    dataPath: isVercel 
-        ? '/tmp/sat-database' 
-        : path.join(__dirname, 'data'),
+    dataPath: envString('DATABASE_PATH', isVercel
+        ? '/tmp/sat-database'
+        : path.join(__dirname, 'data')),
+    
+    // Storage backend: 'json' (one JSON file per document) or 'sqlite' (embedded database)
+    storageBackend: envString('DATABASE_BACKEND', 'json'),
+    sqliteFile: envString('DATABASE_SQLITE_FILE', 'sat-database.sqlite'),
+    
+    // Write locking: how long to wait for another process, and when a held lock counts as abandoned
+    lockTimeout: envNumber('DATABASE_LOCK_TIMEOUT_MS', 10 * 1000),
+    lockStaleTimeout: envNumber('DATABASE_LOCK_STALE_MS', 30 * 1000),
     
     // Backup configuration
-    enableBackups: !isVercel, // Disable backups on Vercel (ephemeral filesystem)
-    maxBackups: 10,
+    enableBackups: envBoolean('DATABASE_ENABLE_BACKUPS', !isVercel), // Disable backups on Vercel (ephemeral filesystem)
+    maxBackups: envNumber('DATABASE_MAX_BACKUPS', 10),
     
     // Security settings
-    encryptDatabase: isProduction,
-    encryptionKey: process.env.DATABASE_ENCRYPTION_KEY || 'default-encryption-key-change-me',
+    encryptDatabase: envBoolean('DATABASE_ENCRYPT', isProduction),
+    encryptionKey: envString('DATABASE_ENCRYPTION_KEY', DEFAULT_ENCRYPTION_KEY),
+    
+    // Rate limiting (see auth/rate-limiter.js). Each policy is a number of requests per window.
+    rateLimitEnabled: envBoolean('RATE_LIMIT_ENABLED', true),
+    rateLimitStore: envString('RATE_LIMIT_STORE', 'storage'), // 'memory' (per process) or 'storage' (the database backend, survives restarts)
+    rateLimitMaxKeys: envNumber('RATE_LIMIT_MAX_KEYS', 10000), // counters kept before the oldest are dropped
+    rateLimitRequests: envNumber('RATE_LIMIT_REQUESTS', 60), // other public actions, per IP
+    rateLimitWindow: envNumber('RATE_LIMIT_WINDOW_MS', 60 * 60 * 1000), // 1 hour in milliseconds
+    rateLimitCheckAccess: envNumber('RATE_LIMIT_CHECK_ACCESS', 120), // check-access, per IP
+    rateLimitCheckAccessWindow: envNumber('RATE_LIMIT_CHECK_ACCESS_WINDOW_MS', 60 * 60 * 1000),
+    rateLimitAdmin: envNumber('RATE_LIMIT_ADMIN', 1000), // admin actions, per signed-in admin
+    rateLimitAdminWindow: envNumber('RATE_LIMIT_ADMIN_WINDOW_MS', 60 * 60 * 1000),
+    accessRequestLimit: envNumber('ACCESS_REQUEST_LIMIT', 5), // self-service access requests per window per IP
+    accessRequestWindow: envNumber('ACCESS_REQUEST_WINDOW_MS', 60 * 60 * 1000),
+    rateLimitFailedLogins: envNumber('RATE_LIMIT_FAILED_LOGINS', 10), // failed admin logins per window per IP
+    rateLimitFailedLoginWindow: envNumber('RATE_LIMIT_FAILED_LOGIN_WINDOW_MS', 15 * 60 * 1000),
     
-    // Rate limiting
-    rateLimitEnabled: true,
-    rateLimitRequests: 60, // requests per hour per IP
-    rateLimitWindow: 60 * 60 * 1000, // 1 hour in milliseconds
+    // Reverse proxies in front of the API (Vercel's edge is one). The client IP is
+    // taken that many entries from the right of X-Forwarded-For; 0 ignores the header.
+    trustProxyHops: envNumber('TRUST_PROXY_HOPS', isVercel ? 1 : 0),
     
     // Admin settings
-    adminKey: process.env.ADMIN_SECRET_KEY || 'default-admin-key-change-me',
+    adminKey: envString('ADMIN_SECRET_KEY', DEFAULT_ADMIN_KEY), // initial password of the bootstrap admin account
+    adminBootstrapUser: envString('ADMIN_BOOTSTRAP_USER', 'admin'),
+    adminTokenSecret: envString('ADMIN_TOKEN_SECRET', null), // signs admin session tokens; required in production
+    adminSessionTtl: envNumber('ADMIN_SESSION_TTL_MS', 15 * 60 * 1000), // 15 minutes
+    
+    // Lockout after failed admin logins / invalid session tokens (see auth/admin-lockout.js)
+    adminLockoutThreshold: envNumber('ADMIN_LOCKOUT_THRESHOLD', 5), // failures per IP within the window
+    adminLockoutWindow: envNumber('ADMIN_LOCKOUT_WINDOW_MS', 15 * 60 * 1000),
+    adminLockoutDuration: envNumber('ADMIN_LOCKOUT_DURATION_MS', 5 * 60 * 1000), // first lockout; each further one doubles
+    adminLockoutMaxDuration: envNumber('ADMIN_LOCKOUT_MAX_DURATION_MS', 24 * 60 * 60 * 1000),
+    maxAdminLockouts: envNumber('ADMIN_LOCKOUT_MAX_TRACKED', 10000), // IPs tracked before the oldest are dropped
+    
+    // Offline access tokens returned by check-access (see auth/access-token.js)
+    accessTokenSigningKey: envString('ACCESS_TOKEN_SIGNING_KEY', null), // Ed25519 private key; required in production
+    accessTokenRetiredKeys: envString('ACCESS_TOKEN_RETIRED_KEYS', ''), // comma-separated public keys still accepted after a rotation
+    accessTokenTtl: envNumber('ACCESS_TOKEN_TTL_MS', 24 * 60 * 60 * 1000), // 24 hours
+    accessTokenGrace: envNumber('ACCESS_TOKEN_GRACE_MS', 3 * 24 * 60 * 60 * 1000), // offline use after expiry while the server is unreachable
+    
+    // Device seats: distinct machines (by fingerprint, else hostname) with a live session on one entry
+    seatLimits: envLimits('DEVICE_SEAT_LIMITS', {}), // per access type, e.g. "trial=1,unlimited=3"; an entry's maxSeats overrides it
+    sessionTimeout: envNumber('SESSION_TIMEOUT_MS', 15 * 60 * 1000), // a session without a heartbeat frees its seat after this
     
     // Logging
-    enableAccessLogs: true,
-    maxLogEntries: isVercel ? 500 : 1000,
+    enableAccessLogs: envBoolean('DATABASE_ENABLE_ACCESS_LOGS', true),
+    maxLogEntries: envNumber('DATABASE_MAX_LOG_ENTRIES', isVercel ? 500 : 1000),
+    maxAuditEntries: envNumber('DATABASE_MAX_AUDIT_ENTRIES', 10000), // admin changes, kept regardless of enableAccessLogs
+    maxAccessRequests: envNumber('DATABASE_MAX_ACCESS_REQUESTS', 1000), // decided requests are pruned first
+    maxAnomalies: envNumber('DATABASE_MAX_ANOMALIES', 1000), // resolved anomalies are pruned first
+    
+    // Anomaly detection on access checks (see auth/anomaly-detector.js); keeps
+    // its own index of recent events, so it works without access logs.
+    // Thresholds are per device (or client IP) within the window; 0 turns a rule off.
+    anomalyDetection: envBoolean('ANOMALY_DETECTION_ENABLED', true),
+    anomalyWindow: envNumber('ANOMALY_WINDOW_MS', 60 * 60 * 1000), // 1 hour
+    anomalyMaxPublicIPs: envNumber('ANOMALY_MAX_PUBLIC_IPS', 3),
+    anomalyMaxFingerprints: envNumber('ANOMALY_MAX_FINGERPRINTS', 2),
+    anomalyMaxUsernames: envNumber('ANOMALY_MAX_USERNAMES', 3),
+    anomalyMaxDeniedChecks: envNumber('ANOMALY_MAX_DENIED_CHECKS', 20),
+    anomalyAutoSuspend: envBoolean('ANOMALY_AUTO_SUSPEND', false), // suspend devices flagged for sharing until an admin reinstates them
     
     // Performance
-    cacheEnabled: true,
-    cacheTimeout: 5 * 60 * 1000, // 5 minutes
+    cacheEnabled: envBoolean('DATABASE_CACHE_ENABLED', true),
+    cacheTimeout: envNumber('DATABASE_CACHE_TIMEOUT_MS', 5 * 60 * 1000), // 5 minutes
     
     // Environment info
     environment: {
@@ -71,11 +187,144 @@ export const VERCEL_CONFIG = {
 // Development configuration
 export const DEVELOPMENT_CONFIG = {
     enableDebugLogging: true,
-    autoBackup: true,
-    backupInterval: 30 * 60 * 1000, // 30 minutes
+    autoBackup: envBoolean('DATABASE_AUTO_BACKUP', true),
+    backupInterval: envNumber('DATABASE_BACKUP_INTERVAL_MS', 30 * 60 * 1000), // 30 minutes
     verboseLogging: true
 };
 
+// Validation schema: key -> rule
+const DATABASE_SCHEMA = {
+    dataPath: { type: 'string' },
+    storageBackend: { type: 'string', oneOf: ['json', 'sqlite'] },
+    sqliteFile: { type: 'string' },
+    lockTimeout: { type: 'integer', min: 1 },
+    lockStaleTimeout: { type: 'integer', min: 1000 },
+    enableBackups: { type: 'boolean' },
+    maxBackups: { type: 'integer', min: 1 },
+    encryptDatabase: { type: 'boolean' },
+    encryptionKey: { type: 'string', minLength: 16 },
+    rateLimitEnabled: { type: 'boolean' },
+    rateLimitStore: { type: 'string', oneOf: ['memory', 'storage'] },
+    rateLimitMaxKeys: { type: 'integer', min: 100 },
+    rateLimitRequests: { type: 'integer', min: 1 },
+    rateLimitWindow: { type: 'integer', min: 1000 },
+    rateLimitCheckAccess: { type: 'integer', min: 1 },
+    rateLimitCheckAccessWindow: { type: 'integer', min: 1000 },
+    rateLimitAdmin: { type: 'integer', min: 1 },
+    rateLimitAdminWindow: { type: 'integer', min: 1000 },
+    accessRequestLimit: { type: 'integer', min: 1 },
+    accessRequestWindow: { type: 'integer', min: 1000 },
+    rateLimitFailedLogins: { type: 'integer', min: 1 },
+    rateLimitFailedLoginWindow: { type: 'integer', min: 1000 },
+    trustProxyHops: { type: 'integer', min: 0 },
+    adminKey: { type: 'string', minLength: 16 },
+    adminBootstrapUser: { type: 'string', minLength: 3 },
+    adminTokenSecret: { type: 'string', minLength: 32, optional: true },
+    adminSessionTtl: { type: 'integer', min: 60 * 1000 },
+    adminLockoutThreshold: { type: 'integer', min: 1 },
+    adminLockoutWindow: { type: 'integer', min: 1000 },
+    adminLockoutDuration: { type: 'integer', min: 1000 },
+    adminLockoutMaxDuration: { type: 'integer', min: 1000 },
+    maxAdminLockouts: { type: 'integer', min: 100 },
+    accessTokenSigningKey: { type: 'string', minLength: 32, optional: true },
+    accessTokenRetiredKeys: { type: 'string' },
+    accessTokenTtl: { type: 'integer', min: 60 * 1000 },
+    accessTokenGrace: { type: 'integer', min: 0 },
+    seatLimits: { type: 'object' },
+    sessionTimeout: { type: 'integer', min: 60 * 1000 },
+    enableAccessLogs: { type: 'boolean' },
+    maxLogEntries: { type: 'integer', min: 1 },
+    maxAuditEntries: { type: 'integer', min: 1 },
+    maxAccessRequests: { type: 'integer', min: 1 },
+    maxAnomalies: { type: 'integer', min: 1 },
+    anomalyDetection: { type: 'boolean' },
+    anomalyWindow: { type: 'integer', min: 1000 },
+    anomalyMaxPublicIPs: { type: 'integer', min: 0 },
+    anomalyMaxFingerprints: { type: 'integer', min: 0 },
+    anomalyMaxUsernames: { type: 'integer', min: 0 },
+    anomalyMaxDeniedChecks: { type: 'integer', min: 0 },
+    anomalyAutoSuspend: { type: 'boolean' },
+    cacheEnabled: { type: 'boolean' },
+    cacheTimeout: { type: 'integer', min: 0 }
+};
+
+const DEVELOPMENT_SCHEMA = {
+    autoBackup: { type: 'boolean' },
+    backupInterval: { type: 'integer', min: 1000 }
+};
+
+function checkRule(name, value, rule) {
+    if (rule.optional && (value === null || value === undefined)) {
+        return null;
+    }
+    
+    if (rule.type === 'integer') {
+        if (!Number.isInteger(value)) return `${name} must be an integer (got ${JSON.stringify(value)})`;
+    } else if (typeof value !== rule.type) {
+        return `${name} must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type} (got ${JSON.stringify(value)})`;
+    }
+    
+    if (rule.min !== undefined && value < rule.min) {
+        return `${name} must be at least ${rule.min} (got ${value})`;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `${name} must be at least ${rule.minLength} characters long`;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${name} must be one of: ${rule.oneOf.join(', ')} (got ${JSON.stringify(value)})`;
+    }
+    
+    return null;
+}
+
+function checkSchema(config, schema, prefix = '') {
+    return Object.entries(schema)
+        .map(([key, rule]) => checkRule(prefix + key, config[key], rule))
+        .filter(Boolean);
+}
+
+// Returns a list of problems with the configuration (empty when valid)
+export function validateConfig(config = DATABASE_CONFIG, development = DEVELOPMENT_CONFIG) {
+    const errors = [
+        ...checkSchema(config, DATABASE_SCHEMA),
+        ...checkSchema(development, DEVELOPMENT_SCHEMA, 'development.')
+    ];
+    
+    if (config.seatLimits && typeof config.seatLimits === 'object') {
+        for (const [accessType, limit] of Object.entries(config.seatLimits)) {
+            if (!ACCESS_TYPES.includes(accessType)) {
+                errors.push(`seatLimits: unknown access type ${JSON.stringify(accessType)} (must be one of: ${ACCESS_TYPES.join(', ')})`);
+            } else if (!Number.isInteger(limit) || limit < 1) {
+                errors.push(`seatLimits.${accessType} must be a positive integer (got ${JSON.stringify(limit)})`);
+            }
+        }
+    }
+    
+    if (config.adminLockoutMaxDuration < config.adminLockoutDuration) {
+        errors.push(`adminLockoutMaxDuration must be at least adminLockoutDuration (${config.adminLockoutDuration})`);
+    }
+    
+    if (config.environment?.isProduction && config.encryptDatabase && config.encryptionKey === DEFAULT_ENCRYPTION_KEY) {
+        errors.push('DATABASE_ENCRYPTION_KEY must be changed from the default in production');
+    }
+    if (config.environment?.isProduction && config.adminKey === DEFAULT_ADMIN_KEY) {
+        errors.push('ADMIN_SECRET_KEY must be changed from the default in production');
+    }
+    if (config.environment?.isProduction && !config.adminTokenSecret) {
+        errors.push('ADMIN_TOKEN_SECRET must be set in production so admin sessions verify on every instance');
+    }
+    if (config.environment?.isProduction && !config.accessTokenSigningKey) {
+        errors.push('ACCESS_TOKEN_SIGNING_KEY must be set in production so access tokens verify on every instance');
+    }
+    
+    return errors;
+}
+
+const configErrors = validateConfig();
+if (configErrors.length > 0) {
+    throw new ConfigError(configErrors);
+}
+
 // Export combined configuration
 export default {
     ...DATABASE_CONFIG,
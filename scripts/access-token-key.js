@@ -0,0 +1,39 @@
+// access-token-key.js - Generate or rotate the access token signing key
+//
+// Usage:
+//   npm run token-key
+//
+// Prints a new ACCESS_TOKEN_SIGNING_KEY. When one is already configured, also
+// prints ACCESS_TOKEN_RETIRED_KEYS with the current public key added, so tokens
+// it signed keep verifying until they expire.
+import { DATABASE_CONFIG } from '../database-config.js';
+import { generateSigningKey, parsePrivateKey, toPublicJwk } from '../auth/access-token.js';
+
+const { privateKey, publicKey } = generateSigningKey();
+const retiredKeys = DATABASE_CONFIG.accessTokenRetiredKeys.split(',').map(x => x.trim()).filter(Boolean);
+
+if (DATABASE_CONFIG.accessTokenSigningKey) {
+    let current;
+    try {
+        current = toPublicJwk(parsePrivateKey(DATABASE_CONFIG.accessTokenSigningKey));
+    } catch (error) {
+        console.error(`❌ The current ACCESS_TOKEN_SIGNING_KEY is invalid: ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (!retiredKeys.includes(current.x)) {
+        retiredKeys.push(current.x);
+    }
+    console.log(`🔄 Rotating from key ${current.kid} to ${publicKey.kid}`);
+} else {
+    console.log(`🔑 Generated key ${publicKey.kid}`);
+}
+
+console.log('');
+console.log(`ACCESS_TOKEN_SIGNING_KEY=${privateKey}`);
+if (retiredKeys.length > 0) {
+    console.log(`ACCESS_TOKEN_RETIRED_KEYS=${retiredKeys.join(',')}`);
+}
+console.log('');
+console.log('⚠️  Keep the signing key secret. Retired keys can be removed once');
+console.log(`   ACCESS_TOKEN_TTL_MS + ACCESS_TOKEN_GRACE_MS (${Math.round((DATABASE_CONFIG.accessTokenTtl + DATABASE_CONFIG.accessTokenGrace) / 3600000)}h) have passed.`);
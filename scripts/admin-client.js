@@ -0,0 +1,279 @@
+// admin-client.js - Local and HTTP Backends for the Admin CLI
+//
+// Both clients take the same action names and request bodies as the API
+// handler in api/auth-mac.js and return its { success, message, data } results,
+// so the CLI doesn't care whether it talks to a local database or a deployment.
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import MACDatabase from '../auth/mac-database.js';
+import AdminAuth from '../auth/admin-auth.js';
+import AdminLockout from '../auth/admin-lockout.js';
+import { localAdminContext } from './cli-utils.js';
+import { parseWhitelistCSV } from '../auth/whitelist-csv.js';
+
+export const DEFAULT_ADMIN_CONFIG_FILE = path.join(os.homedir(), '.sat-admin.json');
+
+// Connection settings come from the environment or a config file, never argv,
+// so credentials don't end up in shell history or process listings:
+//   SAT_ADMIN_URL / "url"            deployment base URL (HTTP mode)
+//   SAT_ADMIN_USER / "username"      admin account name for HTTP mode
+//   SAT_ADMIN_PASSWORD / "password"  admin account password for HTTP mode
+//   SAT_ADMIN_CONFIG                 config file path (default ~/.sat-admin.json)
+//   "dataPath"                       database directory for local mode
+export async function loadAdminSettings() {
+    const configFile = process.env.SAT_ADMIN_CONFIG || DEFAULT_ADMIN_CONFIG_FILE;
+    let fileSettings = {};
+    
+    if (await fs.pathExists(configFile)) {
+        const stats = await fs.stat(configFile);
+        if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+            console.error(`⚠️ ${configFile} is readable by other users; run: chmod 600 ${configFile}`);
+        }
+        fileSettings = await fs.readJson(configFile);
+    }
+    
+    return {
+        configFile,
+        url: process.env.SAT_ADMIN_URL || fileSettings.url || null,
+        username: process.env.SAT_ADMIN_USER || fileSettings.username || null,
+        password: process.env.SAT_ADMIN_PASSWORD || fileSettings.password || null,
+        dataPath: fileSettings.dataPath || null
+    };
+}
+
+// Group policy fields of a create-group / update-group request body
+const groupPolicy = ({ description, accessType, expiresAt, maxDevices, accessWindow }) => ({ description, accessType, expiresAt, maxDevices, accessWindow });
+
+export class LocalAdminClient {
+    constructor({ dataPath = null } = {}) {
+        this.mode = 'local';
+        this.macDB = new MACDatabase(dataPath);
+        this.adminAuth = new AdminAuth(this.macDB);
+        this.adminLockout = new AdminLockout(this.macDB);
+        
+        // Local mode goes straight to the database files, so it isn't subject to
+        // admin roles and changes are attributed to the operating system user
+        this.context = localAdminContext();
+    }
+    
+    async call(action, body = {}) {
+        const limits = {
+            expiresAt: body.expiresAt,
+            maxAccesses: body.maxAccesses,
+            maxSeats: body.maxSeats,
+            extendDays: body.extendDays,
+            addAccesses: body.addAccesses
+        };
+        
+        switch (action) {
+            case 'add-mac':
+                return await this.macDB.addMACAddress(body.macAddress, body.description, body.accessType, { ...limits, group: body.group }, this.context);
+            
+            case 'update-access':
+                return await this.macDB.updateMACAccess(body.macAddress, body.accessType, limits, this.context);
+            
+            case 'remove-mac':
+                return await this.macDB.removeMACAddress(body.macAddress, this.context);
+            
+            case 'set-status':
+                return await this.macDB.setEntryStatus(body.macAddress, body.status, body.reason, this.context);
+            
+            case 'set-access-window':
+                return await this.macDB.setAccessWindow(body.macAddress, body.accessWindow, this.context);
+            
+            case 'attach-mac':
+                return await this.macDB.attachMAC(body.macAddress, body.attachMac, { merge: body.merge }, this.context);
+            
+            case 'detach-mac':
+                return await this.macDB.detachMAC(body.macAddress, this.context);
+            
+            case 'list-macs':
+                return await this.macDB.listMACAddresses(body);
+            
+            case 'bulk-add':
+                return await this.macDB.bulkAddMACs(body.macAddresses, { transactional: body.transactional }, this.context);
+            
+            case 'bulk-update':
+                return await this.macDB.bulkUpdateMACs(body.updates, { transactional: body.transactional }, this.context);
+            
+            case 'bulk-remove':
+                return await this.macDB.bulkRemoveMACs(body.macAddresses, { transactional: body.transactional }, this.context);
+            
+            case 'list-groups':
+                return await this.macDB.listGroups();
+            
+            case 'create-group':
+                return await this.macDB.createGroup(body.name, groupPolicy(body), this.context);
+            
+            case 'update-group':
+                return await this.macDB.updateGroup(body.name, groupPolicy(body), this.context);
+            
+            case 'remove-group':
+                return await this.macDB.removeGroup(body.name, this.context);
+            
+            case 'move-devices':
+                return await this.macDB.moveDevices(body.macAddresses, body.group, { inherit: body.inherit, transactional: body.transactional }, this.context);
+            
+            case 'set-group-access':
+                return await this.macDB.setGroupAccess(body.name, { ...limits, accessType: body.accessType, inherit: body.inherit }, { transactional: body.transactional }, this.context);
+            
+            case 'list-sessions':
+                return await this.macDB.listSessions(body);
+            
+            case 'revoke-session':
+                return await this.macDB.revokeSessions({ sessionId: body.sessionId, macAddress: body.macAddress }, this.context);
+            
+            case 'anomalies':
+                return await this.macDB.listAnomalies(body);
+            
+            case 'resolve-anomaly':
+                return await this.macDB.resolveAnomaly(body.anomalyId, { reinstate: body.reinstate, note: body.note }, this.context);
+            
+            case 'get-logs':
+                return await this.macDB.getAccessLogs(body);
+            
+            case 'export':
+                return await this.macDB.exportWhitelist(body.format);
+            
+            case 'import': {
+                const rows = typeof body.csv === 'string' ? parseWhitelistCSV(body.csv) : body.entries;
+                return await this.macDB.importWhitelist(rows, { mode: body.mode, dryRun: body.dryRun }, this.context);
+            }
+            
+            case 'list-access-requests':
+                return await this.macDB.listAccessRequests(body);
+            
+            case 'approve-access-request':
+                return await this.macDB.approveAccessRequest(body.requestId, {
+                    accessType: body.accessType,
+                    description: body.description,
+                    group: body.group,
+                    expiresAt: body.expiresAt,
+                    maxAccesses: body.maxAccesses
+                }, this.context);
+            
+            case 'reject-access-request':
+                return await this.macDB.rejectAccessRequest(body.requestId, body.reason, this.context);
+            
+            case 'get-audit':
+                return await this.macDB.getAuditLog(body);
+            
+            case 'maintenance':
+                return await this.macDB.maintenance();
+            
+            case 'create-admin':
+                return await this.adminAuth.createAdmin(body.username, body.password, this.context.admin, body.role);
+            
+            case 'list-admins':
+                return await this.adminAuth.listAdmins();
+            
+            case 'set-admin-role':
+                return await this.adminAuth.setAdminRole(body.username, body.role, this.context.admin);
+            
+            case 'remove-admin':
+                return await this.adminAuth.removeAdmin(body.username, this.context.admin);
+            
+            case 'list-lockouts':
+                return await this.adminLockout.listLockouts({ all: body.all });
+            
+            case 'clear-lockout':
+                return await this.adminLockout.clearLockout(body.ip, this.context);
+            
+            default:
+                return { success: false, message: `Unsupported action: ${action}` };
+        }
+    }
+    
+    async close() {
+        // Let a first-run bootstrap account finish writing before the database closes
+        await this.adminAuth.ready.catch(() => {});
+        await this.macDB.close();
+    }
+}
+
+// Actions the API only accepts as DELETE requests
+const DELETE_ACTIONS = new Set(['remove-mac', 'bulk-remove', 'remove-group', 'remove-admin']);
+
+export class HttpAdminClient {
+    constructor({ url, username, password }) {
+        this.mode = 'http';
+        this.username = username;
+        this.password = password;
+        this.session = null;
+        
+        // Accept either the site root or the full endpoint URL
+        const endpoint = new URL(url);
+        if (!endpoint.pathname.endsWith('/api/auth-mac')) {
+            endpoint.pathname = path.posix.join(endpoint.pathname, 'api/auth-mac');
+        }
+        this.endpoint = endpoint;
+    }
+    
+    async request(action, body, headers = {}) {
+        const url = new URL(this.endpoint);
+        url.searchParams.set('action', action);
+        
+        let response;
+        try {
+            response = await fetch(url, {
+                method: DELETE_ACTIONS.has(action) ? 'DELETE' : 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            return { success: false, message: `Request to ${url.origin} failed: ${error.message}` };
+        }
+        
+        // File downloads (export) come back as the raw file rather than a JSON result
+        const contentType = response.headers.get('content-type') || '';
+        if (response.ok && /attachment/.test(response.headers.get('content-disposition') || '')) {
+            const content = await response.text();
+            return {
+                success: true,
+                message: 'File downloaded',
+                data: { contentType, content, filename: /filename="([^"]+)"/.exec(response.headers.get('content-disposition'))?.[1] }
+            };
+        }
+        
+        const result = await response.json().catch(() => null);
+        return result || { success: false, message: `Unexpected HTTP ${response.status} response from ${url.origin}` };
+    }
+    
+    // Log in once and reuse the session token until shortly before it expires
+    async login() {
+        if (this.session && Date.parse(this.session.expiresAt) - Date.now() > 30 * 1000) {
+            return { success: true };
+        }
+        
+        const result = await this.request('admin-login', { username: this.username, password: this.password });
+        this.session = result.success ? result.data : null;
+        return result;
+    }
+    
+    async call(action, body = {}) {
+        const login = await this.login();
+        if (!login.success) {
+            return { success: false, message: `Admin login failed: ${login.message}` };
+        }
+        
+        return await this.request(action, body, { Authorization: `Bearer ${this.session.token}` });
+    }
+    
+    async close() {}
+}
+
+// Pick the backend: HTTP when a deployment URL is configured, unless forced local
+export async function createAdminClient({ local = false, dataPath = null } = {}) {
+    const settings = await loadAdminSettings();
+    
+    if (local || !settings.url) {
+        return new LocalAdminClient({ dataPath: dataPath || settings.dataPath });
+    }
+    
+    if (!settings.username || !settings.password) {
+        throw new Error(`No admin credentials configured: set SAT_ADMIN_USER and SAT_ADMIN_PASSWORD or "username" and "password" in ${settings.configFile}`);
+    }
+    
+    return new HttpAdminClient(settings);
+}
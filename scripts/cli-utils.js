@@ -0,0 +1,147 @@
+// cli-utils.js - Shared Helpers for the Database Command-Line Tools
+import { parseArgs } from 'util';
+import os from 'os';
+import MACDatabase from '../auth/mac-database.js';
+
+// Exit codes: cron and CI treat anything non-zero as a failed run
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+// Options every tool accepts
+const COMMON_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    'data-path': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// Who changes made by the local tools are attributed to in the audit trail.
+// They bypass admin accounts, so the operating system user stands in.
+export function localAdminContext() {
+    return { admin: `local:${os.userInfo().username}`, ip: 'local' };
+}
+
+// Render rows as an aligned text table. columns: [{ key, label, format? }]
+export function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = column.format ? column.format(row[column.key], row) : row[column.key];
+        return value === null || value === undefined ? '-' : String(value);
+    }));
+    const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+    
+    return [
+        line(columns.map(column => column.label)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].join('\n');
+}
+
+// Parse argv, dispatch to a command and return the process exit code.
+//
+// commands: { name: { description, usage?, run(context, args, options), print?(data), printFailure?(data) } }
+// run() returns a MACDatabase-style { success, message, data } result. print()
+// returns the human-readable text (printFailure() the details of a failed
+// result); --json prints the whole result instead. The context passed to run()
+// comes from open(options) - a MACDatabase unless the tool supplies its own -
+// and is closed afterwards.
+export async function runCli({
+    name,
+    commands,
+    defaultCommand = null,
+    options = {},
+    open = values => new MACDatabase(values['data-path'] || null),
+    argv = process.argv.slice(2)
+}) {
+    const usage = [
+        `Usage: ${name} <command> [options]`,
+        '',
+        'Commands:',
+        ...Object.entries(commands).map(([command, { description, usage: args }]) => `  ${`${command} ${args || ''}`.padEnd(32)}${description}`),
+        '',
+        'Options:',
+        '  --json            Print machine-readable JSON',
+        '  --data-path <dir> Database directory (default: DATABASE_CONFIG.dataPath)',
+        ...Object.entries(options)
+            .filter(([, { description }]) => description)
+            .map(([option, { description }]) => `  --${option.padEnd(16)}${description}`),
+        '  -h, --help        Show this help'
+    ].join('\n');
+    
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                ...COMMON_OPTIONS,
+                ...Object.fromEntries(Object.entries(options).map(([option, { description, ...spec }]) => [option, spec]))
+            }
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+    
+    const { values, positionals } = parsed;
+    const [command = defaultCommand, ...args] = positionals;
+    
+    if (values.help) {
+        console.log(usage);
+        return EXIT_OK;
+    }
+    
+    if (!commands[command]) {
+        console.error(`${command ? `❌ Unknown command: ${command}\n\n` : ''}${usage}`);
+        return EXIT_USAGE;
+    }
+    
+    // MACDatabase reports progress on stdout; keep stdout clean for the JSON document
+    if (values.json) {
+        console.log = console.error;
+    }
+    
+    let context = null;
+    let result;
+    
+    try {
+        context = await open(values);
+        result = await commands[command].run(context, args, values);
+    } catch (error) {
+        result = {
+            success: false,
+            message: error.message,
+            usage: error instanceof UsageError
+        };
+    } finally {
+        await context?.close?.();
+    }
+    
+    if (values.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else if (result.success) {
+        const printed = commands[command].print?.(result.data, result);
+        process.stdout.write(`${printed ?? `✅ ${result.message}`}\n`);
+    } else {
+        console.error(`❌ ${result.message}`);
+        if (result.data && commands[command].printFailure) {
+            console.error(commands[command].printFailure(result.data, result));
+        }
+        if (result.usage) {
+            console.error(`\n${usage}`);
+        }
+    }
+    
+    if (result.usage) {
+        return EXIT_USAGE;
+    }
+    
+    return result.success ? EXIT_OK : EXIT_FAILURE;
+}
@@ -0,0 +1,100 @@
+// db-backup.js - Backup Command-Line Tool
+//
+// Usage:
+//   npm run backup                           create a backup
+//   npm run backup -- list [--json]
+//   npm run backup -- verify [backupId]      verify one backup, or all of them
+//   npm run backup -- diff <backupId>
+//   npm run backup -- restore <backupId>     takes a safety backup first
+//
+// Exits non-zero on failure or when a verified backup is corrupted.
+import { runCli, formatTable, UsageError, localAdminContext } from './cli-utils.js';
+
+function requireBackupId(args) {
+    if (!args[0]) {
+        throw new UsageError('A backup id is required (see "npm run backup -- list")');
+    }
+    return args[0];
+}
+
+const BACKUP_COLUMNS = [
+    { key: 'backupId', label: 'Backup ID' },
+    { key: 'reason', label: 'Reason' },
+    { key: 'totalDevices', label: 'Devices' },
+    { key: 'valid', label: 'Status', format: (valid, backup) => valid ? (backup.verified ? 'ok' : 'ok (no checksum)') : `CORRUPT: ${backup.error}` }
+];
+
+const commands = {
+    create: {
+        description: 'Back up the whitelist now',
+        run: macDB => macDB.createBackup('manual'),
+        print: data => `✅ Backup created: ${data.backupId}`
+    },
+    
+    list: {
+        description: 'List backups, newest first',
+        run: macDB => macDB.listBackups(),
+        print: data => data.backups.length === 0
+            ? 'No backups found'
+            : formatTable(data.backups, BACKUP_COLUMNS)
+    },
+    
+    verify: {
+        usage: '[backupId]',
+        description: 'Verify checksums of one backup or all backups',
+        run: async (macDB, args) => {
+            const result = await macDB.listBackups();
+            if (!result.success) {
+                return result;
+            }
+            
+            const backups = args[0]
+                ? result.data.backups.filter(backup => backup.backupId === args[0])
+                : result.data.backups;
+            
+            if (args[0] && backups.length === 0) {
+                return { success: false, message: `Backup not found: ${args[0]}` };
+            }
+            
+            const corrupted = backups.filter(backup => !backup.valid);
+            return {
+                success: corrupted.length === 0,
+                message: corrupted.length === 0
+                    ? `${backups.length} backups verified`
+                    : `${corrupted.length} of ${backups.length} backups are corrupted`,
+                data: { backups, corrupted: corrupted.length }
+            };
+        },
+        print: data => formatTable(data.backups, BACKUP_COLUMNS),
+        printFailure: data => formatTable(data.backups, BACKUP_COLUMNS)
+    },
+    
+    diff: {
+        usage: '<backupId>',
+        description: 'Show MACs added, removed or changed since a backup',
+        run: (macDB, args) => macDB.diffBackup(requireBackupId(args)),
+        print: data => [
+            `Changes since backup ${data.backupId}:`,
+            ...data.added.map(entry => `  + ${entry.macAddress}  ${entry.description || ''}`),
+            ...data.removed.map(entry => `  - ${entry.macAddress}  ${entry.description || ''}`),
+            ...data.changed.map(entry => `  ~ ${entry.macAddress}  ${Object.keys(entry.changes).join(', ')}`),
+            `${data.summary.added} added, ${data.summary.removed} removed, ${data.summary.changed} changed`
+        ].join('\n')
+    },
+    
+    restore: {
+        usage: '<backupId>',
+        description: 'Restore a backup (a safety backup is taken first)',
+        run: (macDB, args) => macDB.restoreBackup(requireBackupId(args), localAdminContext()),
+        print: data => [
+            `✅ Restored backup ${data.restoredBackupId} (${data.totalDevices} devices)`,
+            `   Safety backup of the previous state: ${data.safetyBackupId}`
+        ].join('\n')
+    }
+};
+
+process.exitCode = await runCli({
+    name: 'npm run backup --',
+    commands,
+    defaultCommand: 'create'
+});
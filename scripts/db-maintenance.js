@@ -1 +1,71 @@
+// db-maintenance.js - Database Maintenance Command-Line Tool
+//
+// Usage:
+//   npm run maintenance                      run full maintenance (backup, prune, repair)
+//   npm run maintenance -- prune-logs --keep 500 --older-than 30
+//   npm run maintenance -- verify --json
+//
+// Exits non-zero when the operation fails or integrity issues are found, so
+// it can be scheduled from cron.
+import { runCli, formatTable, UsageError } from './cli-utils.js';
 
+function parseCount(value, option) {
+    if (value === undefined) {
+        return undefined;
+    }
+    
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`--${option} must be a non-negative integer`);
+    }
+    return number;
+}
+
+const commands = {
+    run: {
+        description: 'Back up, prune logs and repair whitelist entries',
+        run: macDB => macDB.maintenance(),
+        print: data => [
+            '✅ Maintenance completed',
+            `   Backups created: ${data.backupsCreated}`,
+            `   Entries fixed:   ${data.entriesFixed}`,
+            `   Stats pruned:    ${data.statsPruned}`,
+            `   Anomaly index:   ${data.anomalyIndexPruned} pruned`
+        ].join('\n')
+    },
+    
+    'prune-logs': {
+        description: 'Trim the access log (--keep N, --older-than DAYS)',
+        run: (macDB, args, options) => macDB.pruneAccessLogs({
+            keep: parseCount(options.keep, 'keep'),
+            olderThanDays: parseCount(options['older-than'], 'older-than') ?? null
+        }),
+        print: data => `✅ Removed ${data.removed} log entries, ${data.remaining} remaining`
+    },
+    
+    verify: {
+        description: 'Check whitelist, statistics, access log and backups',
+        run: macDB => macDB.verifyIntegrity(),
+        print: data => [
+            '✅ Database integrity verified',
+            `   Devices:    ${data.totalDevices}`,
+            `   Log events: ${data.totalLogEvents}`,
+            `   Backups:    ${data.backups}`
+        ].join('\n'),
+        printFailure: data => formatTable(data.issues, [
+            { key: 'document', label: 'Document' },
+            { key: 'macAddress', label: 'MAC Address' },
+            { key: 'problem', label: 'Problem' }
+        ])
+    }
+};
+
+process.exitCode = await runCli({
+    name: 'npm run maintenance --',
+    commands,
+    defaultCommand: 'run',
+    options: {
+        keep: { type: 'string', description: 'Log entries to keep (prune-logs)' },
+        'older-than': { type: 'string', description: 'Drop log entries older than DAYS (prune-logs)' }
+    }
+});
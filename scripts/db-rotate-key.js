@@ -0,0 +1,39 @@
+// db-rotate-key.js - Re-encrypt the MAC database and its backups under a new key
+//
+// Usage:
+//   DATABASE_ENCRYPTION_KEY=<current key> NEW_DATABASE_ENCRYPTION_KEY=<new key> npm run rotate-key
+//
+// Stop the API (and any other process using the database) first: a running
+// process keeps writing documents with the old key. A plaintext database is
+// encrypted for the first time the same way.
+import MACDatabase from '../auth/mac-database.js';
+import { DATABASE_CONFIG } from '../database-config.js';
+import { DEFAULT_ENCRYPTION_KEY } from '../auth/encryption.js';
+
+const newKey = process.env.NEW_DATABASE_ENCRYPTION_KEY;
+
+if (!newKey) {
+    console.error('❌ NEW_DATABASE_ENCRYPTION_KEY must be set');
+    process.exit(1);
+}
+
+if (newKey === DEFAULT_ENCRYPTION_KEY || newKey === DATABASE_CONFIG.encryptionKey) {
+    console.error('❌ The new key must differ from the current key and the default placeholder');
+    process.exit(1);
+}
+
+const wasEncrypted = DATABASE_CONFIG.encryptDatabase;
+const macDB = new MACDatabase(DATABASE_CONFIG.dataPath, { encrypt: true });
+const result = await macDB.rotateEncryptionKey(newKey);
+await macDB.close();
+
+if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+}
+
+console.log(`✅ ${result.message} (${result.data.documentsRotated} documents)`);
+console.log('⚠️  Update DATABASE_ENCRYPTION_KEY to the new key before restarting the API');
+if (!wasEncrypted) {
+    console.log('⚠️  The database was not encrypted before: also set DATABASE_ENCRYPT=true, or the API cannot read it');
+}
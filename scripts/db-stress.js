@@ -0,0 +1,155 @@
+// db-stress.js - Concurrency Stress Test for MACDatabase Write Locking
+//
+// Forks several worker processes that each fire concurrent checkAccess calls
+// against one temporary database, then verifies that no accessCount update or
+// access log entry was lost.
+//
+// Usage: npm run stress [-- --workers 4 --checks 25 --backend json]
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { runCli, UsageError } from './cli-utils.js';
+import MACDatabase from '../auth/mac-database.js';
+import { STORAGE_ADAPTERS } from '../auth/storage/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const TEST_MAC = '02:00:00:00:00:01';
+
+function parsePositive(value, option) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${option} must be a positive integer`);
+    }
+    return number;
+}
+
+function stressOptions(options) {
+    if (!STORAGE_ADAPTERS[options.backend]) {
+        throw new UsageError(`--backend must be one of: ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+    }
+    
+    return {
+        workers: parsePositive(options.workers, 'workers'),
+        checks: parsePositive(options.checks, 'checks'),
+        backend: options.backend
+    };
+}
+
+function openDatabase(dbPath, { workers, checks, backend }) {
+    return new MACDatabase(dbPath, {
+        backend,
+        config: {
+            enableBackups: false,
+            maxLogEntries: workers * checks * 2
+        }
+    });
+}
+
+// Worker mode: hammer the database with concurrent checks
+async function runWorker(dbPath, settings) {
+    const macDB = openDatabase(dbPath, settings);
+    const deviceInfo = { hostname: `worker-${process.pid}`, platform: os.platform() };
+    
+    const results = await Promise.all(
+        Array.from({ length: settings.checks }, () => macDB.checkAccess([TEST_MAC], deviceInfo))
+    );
+    await macDB.close();
+    
+    const failed = results.filter(result => !result.success).length;
+    return {
+        success: failed === 0,
+        message: failed === 0 ? 'Worker finished' : `${failed} of ${settings.checks} checks failed`
+    };
+}
+
+function forkWorker(dbPath, { workers, checks, backend }) {
+    return new Promise((resolve, reject) => {
+        const child = fork(__filename, [
+            'worker', dbPath,
+            '--checks', String(checks),
+            '--workers', String(workers),
+            '--backend', backend
+        ], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+        
+        child.on('error', reject);
+        child.on('exit', code => code === 0 ? resolve() : reject(new Error(`Worker ${child.pid} exited with code ${code}`)));
+    });
+}
+
+async function runStress(settings) {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-db-stress-'));
+    const expected = settings.workers * settings.checks;
+    
+    try {
+        const macDB = openDatabase(dbPath, settings);
+        await macDB.addMACAddress(TEST_MAC, 'Stress test device', 'unlimited');
+        
+        console.log(`🏋️ ${settings.workers} workers x ${settings.checks} concurrent checks against ${settings.backend} storage...`);
+        const started = Date.now();
+        await Promise.all(Array.from({ length: settings.workers }, () => forkWorker(dbPath, settings)));
+        const elapsed = Date.now() - started;
+        
+        const list = await macDB.listMACAddresses();
+        const logs = await macDB.getAccessLogs({ limit: expected * 2 });
+        await macDB.close();
+        
+        const accessCount = list.data.macAddresses[0].accessCount;
+        const logged = logs.data.totalEvents;
+        const lost = accessCount !== expected || logged !== expected;
+        
+        return {
+            success: !lost,
+            message: lost ? 'Lost updates detected' : 'No lost updates',
+            data: { expected, accessCount, logged, elapsed }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Stress test failed: ${error.message}`
+        };
+    } finally {
+        await fs.remove(dbPath);
+    }
+}
+
+const summary = data => [
+    `   accessCount:   ${data.accessCount} / ${data.expected}`,
+    `   access events: ${data.logged} / ${data.expected}`,
+    `   elapsed:       ${data.elapsed}ms`
+].join('\n');
+
+const commands = {
+    run: {
+        description: 'Fork the workers and check for lost updates',
+        run: (context, args, options) => runStress(stressOptions(options)),
+        print: data => `${summary(data)}\n✅ No lost updates`,
+        printFailure: summary
+    },
+    
+    worker: {
+        usage: '<dbPath>',
+        description: 'Run one worker against a database (used by run)',
+        run: (context, args, options) => {
+            if (!args[0]) {
+                throw new UsageError('A database path is required');
+            }
+            return runWorker(args[0], stressOptions(options));
+        },
+        print: () => ''
+    }
+};
+
+process.exit(await runCli({
+    name: 'npm run stress --',
+    commands,
+    defaultCommand: 'run',
+    open: () => null,
+    options: {
+        workers: { type: 'string', default: '4', description: 'Worker processes (default 4)' },
+        checks: { type: 'string', default: '25', description: 'Concurrent checks per worker (default 25)' },
+        backend: { type: 'string', default: 'json', description: `Storage backend: ${Object.keys(STORAGE_ADAPTERS).join(', ')}` }
+    }
+}));
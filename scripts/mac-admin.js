@@ -0,0 +1,846 @@
+// mac-admin.js - Admin Command-Line Client for the MAC Whitelist
+//
+// Usage:
+//   npm run admin -- list-macs
+//   npm run admin -- add-mac aa:bb:cc:dd:ee:ff --description "Room 12 laptop" --type trial --max-accesses 50
+//   npm run admin -- update-access aa:bb:cc:dd:ee:ff --extend-days 7
+//   npm run admin -- remove-mac aa:bb:cc:dd:ee:ff
+//   npm run admin -- set-status aa:bb:cc:dd:ee:ff suspended --reason "Lost laptop"
+//   npm run admin -- set-access-window aa:bb:cc:dd:ee:ff --days mon,tue,wed,thu,fri --from 08:00 --to 16:30 --timezone Europe/London
+//   npm run admin -- attach-mac aa:bb:cc:dd:ee:ff 11:22:33:44:55:66 --merge
+//   npm run admin -- bulk-add roster.json
+//   npm run admin -- bulk-update extensions.json --transactional
+//   npm run admin -- import roster.csv --mode merge --dry-run
+//   npm run admin -- export --format csv --output whitelist.csv
+//   npm run admin -- get-logs --denied --since 2024-05-01 --limit 20 --json
+//   npm run admin -- list-macs --type trial --search lab --sort lastSeen --limit 25
+//   npm run admin -- get-audit --mac aa:bb:cc:dd:ee:ff --since 2024-01-01
+//   npm run admin -- create-group class-7b --type trial --expires 2024-07-31 --max-devices 30
+//   npm run admin -- move-devices aa:bb:cc:dd:ee:ff 11:22:33:44:55:66 --group class-7b --inherit
+//   npm run admin -- set-group-access class-7b --extend-days 14
+//   npm run admin -- list-requests
+//   npm run admin -- approve-request 3f2b... --type trial --max-accesses 20
+//   npm run admin -- update-access aa:bb:cc:dd:ee:ff --max-seats 2
+//   npm run admin -- list-sessions --mac aa:bb:cc:dd:ee:ff
+//   npm run admin -- anomalies --type public-ips
+//   npm run admin -- resolve-anomaly 9c1e... --reinstate --note "Student changed networks"
+//   SAT_NEW_ADMIN_PASSWORD=... npm run admin -- create-admin alice --role operator
+//   npm run admin -- list-lockouts --all
+//   npm run admin -- clear-lockout 203.0.113.7
+//
+// Talks to the deployed API when SAT_ADMIN_URL (or "url" in ~/.sat-admin.json)
+// is set, otherwise - or with --local - to the local database directly. See
+// admin-client.js for where credentials are read from.
+import fs from 'fs-extra';
+import { runCli, formatTable, UsageError } from './cli-utils.js';
+import { createAdminClient } from './admin-client.js';
+import { validateMACAddress, validateTrialLimits, validateListQuery, validateGroupName, validateGroupPolicy, ACCESS_TYPES, ENTRY_STATUSES } from '../auth/validation.js';
+import { validateAccessWindow, describeAccessWindow } from '../auth/access-window.js';
+import { LOG_SORT_FIELDS, MAC_SORT_FIELDS, IMPORT_MODES, EXPORT_FORMATS, ACCESS_REQUEST_STATUSES, ANOMALY_STATUSES } from '../auth/mac-database.js';
+import { ANOMALY_TYPES } from '../auth/anomaly-detector.js';
+import { ADMIN_ROLES } from '../auth/admin-auth.js';
+
+function requireMAC(args) {
+    if (!args[0]) {
+        throw new UsageError('A MAC address is required');
+    }
+    if (!validateMACAddress(args[0])) {
+        throw new UsageError(`Invalid MAC address format: ${args[0]}`);
+    }
+    return args[0];
+}
+
+function requireUsername(args) {
+    if (!args[0]) {
+        throw new UsageError('A username is required');
+    }
+    return args[0];
+}
+
+function requireGroupName(name) {
+    if (!name) {
+        throw new UsageError('A group name is required');
+    }
+    if (!validateGroupName(name)) {
+        throw new UsageError(`Invalid group name: ${name}. Use up to 64 letters, digits, '.', '_' or '-'`);
+    }
+    return name;
+}
+
+function requireRequestId(args) {
+    if (!args[0]) {
+        throw new UsageError('A request id is required (see list-requests)');
+    }
+    return args[0];
+}
+
+function requireRole(options, fallback = undefined) {
+    const role = options.role || fallback;
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new UsageError(`--role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+function parseNumber(value, option) {
+    if (value === undefined) {
+        return undefined;
+    }
+    
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new UsageError(`--${option} must be a number`);
+    }
+    return number;
+}
+
+// Access type and trial limit options shared by add-mac and update-access
+function accessOptions(options) {
+    if (options.type && !ACCESS_TYPES.includes(options.type)) {
+        throw new UsageError(`--type must be one of: ${ACCESS_TYPES.join(', ')}`);
+    }
+    
+    const limits = {
+        expiresAt: options.expires,
+        maxAccesses: parseNumber(options['max-accesses'], 'max-accesses'),
+        maxSeats: parseNumber(options['max-seats'], 'max-seats'),
+        extendDays: parseNumber(options['extend-days'], 'extend-days'),
+        addAccesses: parseNumber(options['add-accesses'], 'add-accesses')
+    };
+    
+    const limitsError = validateTrialLimits(limits);
+    if (limitsError) {
+        throw new UsageError(limitsError);
+    }
+    
+    return { accessType: options.type, ...limits };
+}
+
+// Access window options shared by set-access-window, create-group and update-group.
+// undefined when none are given, null with --clear-window.
+function accessWindowOptions(options) {
+    const accessWindow = {
+        days: options.days?.split(',').map(day => day.trim()),
+        from: options.from,
+        to: options.to,
+        timezone: options.timezone,
+        startDate: options['start-date'],
+        endDate: options['end-date']
+    };
+    const given = Object.values(accessWindow).some(value => value !== undefined);
+    
+    if (options['clear-window']) {
+        if (given) {
+            throw new UsageError('--clear-window cannot be combined with other access window options');
+        }
+        return null;
+    }
+    if (!given) {
+        return undefined;
+    }
+    
+    const windowError = validateAccessWindow(accessWindow);
+    if (windowError) {
+        throw new UsageError(windowError);
+    }
+    return accessWindow;
+}
+
+// Group policy options shared by create-group and update-group
+function groupPolicyOptions(options) {
+    const policy = {
+        description: options.description,
+        accessType: options.type,
+        expiresAt: options.expires,
+        maxDevices: parseNumber(options['max-devices'], 'max-devices'),
+        accessWindow: accessWindowOptions(options)
+    };
+    
+    const policyError = validateGroupPolicy(policy);
+    if (policyError) {
+        throw new UsageError(policyError);
+    }
+    return policy;
+}
+
+// One-line summary of an audit record's before/after values
+function describeChange(before, after) {
+    if (!before) return after.accessType || after.group ? `added (${after.accessType || `group ${after.group}`})` : 'added';
+    if (!after) return 'removed';
+    
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !['updatedAt', 'updatedBy'].includes(field))
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    const show = value => value == null ? '-' : typeof value === 'object' ? JSON.stringify(value) : value;
+    return fields.map(field => `${field}: ${show(before[field])} -> ${show(after[field])}`).join(', ');
+}
+
+// Filter, sort and pagination options shared by list-macs and get-logs
+function listQueryOptions(options, sortFields) {
+    const query = {
+        macAddress: options.mac,
+        accessType: options.type,
+        group: options.group,
+        hostname: options.hostname,
+        search: options.search,
+        since: options.since,
+        until: options.until,
+        sortBy: options.sort,
+        order: options.order,
+        limit: parseNumber(options.limit, 'limit'),
+        cursor: options.cursor
+    };
+    
+    const queryError = validateListQuery(query, sortFields);
+    if (queryError) {
+        throw new UsageError(queryError);
+    }
+    return query;
+}
+
+// Tell the user how to fetch the next page
+const nextPageHint = cursor => cursor ? `\nMore results: add --cursor ${cursor}` : '';
+
+async function readJsonArray(file) {
+    if (!file) {
+        throw new UsageError('A JSON file is required');
+    }
+    
+    const rows = await fs.readJson(file);
+    if (!Array.isArray(rows)) {
+        throw new UsageError(`${file} must contain a JSON array`);
+    }
+    return rows;
+}
+
+// Per-row results of a bulk action
+function formatBulkResults(data, result) {
+    return [
+        formatTable(data.results, [
+            { key: 'row', label: 'Row' },
+            { key: 'macAddress', label: 'MAC Address' },
+            { key: 'status', label: 'Status' },
+            { key: 'reason', label: 'Reason' }
+        ]),
+        '',
+        result.success ? result.message : 'No changes were made'
+    ].join('\n');
+}
+
+// Per-row import plan; on failure only the rows with errors
+function formatImportPlan(data, errorsOnly = false) {
+    const rows = errorsOnly ? data.plan.filter(row => row.errors.length > 0) : data.plan;
+    return formatTable(rows, [
+        { key: 'rowNumber', label: 'Row' },
+        { key: 'macAddress', label: 'MAC Address' },
+        { key: 'action', label: 'Action' },
+        { key: 'after', label: 'Change', format: (after, row) => row.errors.length > 0 ? row.errors.join('; ') : after && describeChange(row.before, after) }
+    ]);
+}
+
+const formatDate = value => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : null;
+
+const commands = {
+    'list-macs': {
+        description: 'List whitelisted devices (--mac, --type, --group, --status, --hostname, --search, --since, --until, --sort, --order, --limit, --cursor)',
+        run: (client, args, options) => client.call('list-macs', {
+            ...listQueryOptions(options, MAC_SORT_FIELDS),
+            // --status takes an entry status (active, suspended, revoked) or a trial status
+            ...(ENTRY_STATUSES.includes(options.status) ? { status: options.status } : { trialStatus: options.status })
+        }),
+        print: data => [
+            formatTable(data.macAddresses, [
+                { key: 'macAddress', label: 'MAC Address', format: (mac, entry) => entry.aliases?.length ? `${mac} (+${entry.aliases.length})` : mac },
+                { key: 'description', label: 'Description' },
+                { key: 'accessType', label: 'Type' },
+                { key: 'group', label: 'Group' },
+                { key: 'accessCount', label: 'Uses', format: (count, entry) => entry.maxAccesses != null ? `${count}/${entry.maxAccesses}` : count },
+                { key: 'activeSessions', label: 'Seats', format: (count, entry) => entry.maxSeats != null ? `${count}/${entry.maxSeats}` : count },
+                { key: 'lastSeen', label: 'Last Seen', format: formatDate },
+                { key: 'expiresAt', label: 'Expires', format: formatDate },
+                { key: 'accessWindow', label: 'Window', format: accessWindow => accessWindow && describeAccessWindow(accessWindow) },
+                { key: 'trialStatus', label: 'Status', format: (status, entry) => entry.status !== 'active' ? entry.status : status }
+            ]),
+            '',
+            `Showing ${data.macAddresses.length} of ${data.matching} matching devices`,
+            `${data.statistics.total} devices, ${data.statistics.activeLast24h} active in the last 24h, ${data.statistics.neverUsed} never used, ${data.statistics.byStatus.suspended} suspended, ${data.statistics.byStatus.revoked} revoked`
+        ].join('\n') + nextPageHint(data.nextCursor)
+    },
+    
+    'add-mac': {
+        usage: '<mac>',
+        description: 'Whitelist a device (--description, --type, --group, --expires, --max-accesses, --max-seats)',
+        run: (client, args, options) => {
+            const macAddress = requireMAC(args);
+            if (!options.description) {
+                throw new UsageError('--description is required');
+            }
+            
+            // Without --type a device added to a group follows the group's access type
+            const group = options.group ? requireGroupName(options.group) : undefined;
+            const { accessType = group ? null : 'trial', expiresAt, maxAccesses, maxSeats } = accessOptions(options);
+            return client.call('add-mac', { macAddress, description: options.description, accessType, group, expiresAt, maxAccesses, maxSeats });
+        },
+        print: data => `✅ Added ${data.accessType || `group ${data.group}`} access (id ${data.id})`
+    },
+    
+    'update-access': {
+        usage: '<mac>',
+        description: 'Change access type or trial limits (--type, --expires, --max-accesses, --max-seats, --extend-days, --add-accesses)',
+        run: (client, args, options) => {
+            const macAddress = requireMAC(args);
+            const update = accessOptions(options);
+            
+            if (Object.values(update).every(value => value === undefined)) {
+                throw new UsageError('Nothing to update: pass --type or a trial limit option');
+            }
+            
+            return client.call('update-access', { macAddress, ...update });
+        },
+        print: data => `✅ Updated: ${data.accessType}, expires ${formatDate(data.expiresAt) || 'never'}, quota ${data.maxAccesses ?? 'none'}, seats ${data.maxSeats ?? 'default'}`
+    },
+    
+    'remove-mac': {
+        usage: '<mac>',
+        description: 'Remove a device from the whitelist',
+        run: (client, args) => client.call('remove-mac', { macAddress: requireMAC(args) })
+    },
+    
+    'set-status': {
+        usage: '<mac> <status>',
+        description: `Set a device's status (${ENTRY_STATUSES.join(', ')}), keeping its statistics and history (--reason)`,
+        run: (client, args, options) => {
+            const macAddress = requireMAC(args);
+            if (!ENTRY_STATUSES.includes(args[1])) {
+                throw new UsageError(`The status must be one of: ${ENTRY_STATUSES.join(', ')}`);
+            }
+            return client.call('set-status', { macAddress, status: args[1], reason: options.reason });
+        },
+        print: data => `✅ ${data.macAddress} is now ${data.status}${data.statusReason ? ` (${data.statusReason})` : ''}${data.sessionsEnded ? `; ended ${data.sessionsEnded} session(s)` : ''}`
+    },
+    
+    'set-access-window': {
+        usage: '<mac>',
+        description: 'Limit when a device may be used (--days mon,tue,..., --from HH:MM --to HH:MM, --timezone, --start-date, --end-date; --clear-window)',
+        run: (client, args, options) => {
+            const macAddress = requireMAC(args);
+            const accessWindow = accessWindowOptions(options);
+            if (accessWindow === undefined) {
+                throw new UsageError('Pass access window options or --clear-window');
+            }
+            return client.call('set-access-window', { macAddress, accessWindow });
+        },
+        print: data => data.accessWindow || !data.effectiveAccessWindow
+            ? `✅ Access window of ${data.macAddress}: ${describeAccessWindow(data.accessWindow)}`
+            : `✅ Cleared; ${data.macAddress} follows its group's window: ${describeAccessWindow(data.effectiveAccessWindow)}`
+    },
+    
+    'attach-mac': {
+        usage: '<device-mac> <mac>',
+        description: 'Attach another MAC address to a device (--merge to fold in a MAC with its own entry)',
+        run: (client, args, options) => {
+            const macAddress = requireMAC(args);
+            const attachMac = requireMAC(args.slice(1));
+            return client.call('attach-mac', { macAddress, attachMac, merge: options.merge });
+        },
+        print: data => `✅ Device ${data.macAddress} now has ${data.aliases.length + 1} MAC addresses: ${[data.macAddress, ...data.aliases].join(', ')}`
+    },
+    
+    'detach-mac': {
+        usage: '<mac>',
+        description: 'Detach a MAC address from its device; it is no longer whitelisted',
+        run: (client, args) => client.call('detach-mac', { macAddress: requireMAC(args) }),
+        print: data => `✅ Detached ${data.detachedMac}; device ${data.macAddress} keeps ${[data.macAddress, ...data.aliases].join(', ')}`
+    },
+    
+    'bulk-add': {
+        usage: '<file.json>',
+        description: 'Add devices from a JSON array of { macAddress, description, accessType, ... } (--transactional)',
+        run: async (client, args, options) => client.call('bulk-add', {
+            macAddresses: await readJsonArray(args[0]),
+            transactional: options.transactional
+        }),
+        print: (data, result) => formatBulkResults(data, result),
+        printFailure: (data, result) => formatBulkResults(data, result)
+    },
+    
+    'bulk-update': {
+        usage: '<file.json>',
+        description: 'Update devices from a JSON array of { macAddress, accessType, expiresAt, extendDays, ... } (--transactional)',
+        run: async (client, args, options) => client.call('bulk-update', {
+            updates: await readJsonArray(args[0]),
+            transactional: options.transactional
+        }),
+        print: (data, result) => formatBulkResults(data, result),
+        printFailure: (data, result) => formatBulkResults(data, result)
+    },
+    
+    'bulk-remove': {
+        usage: '<file.json>',
+        description: 'Remove devices listed in a JSON array of MAC addresses (--transactional)',
+        run: async (client, args, options) => client.call('bulk-remove', {
+            macAddresses: await readJsonArray(args[0]),
+            transactional: options.transactional
+        }),
+        print: (data, result) => formatBulkResults(data, result),
+        printFailure: (data, result) => formatBulkResults(data, result)
+    },
+    
+    'list-groups': {
+        description: 'List device groups and their policies',
+        run: client => client.call('list-groups'),
+        print: data => formatTable(data.groups, [
+            { key: 'name', label: 'Group' },
+            { key: 'description', label: 'Description' },
+            { key: 'accessType', label: 'Type' },
+            { key: 'expiresAt', label: 'Expires', format: formatDate },
+            { key: 'devices', label: 'Devices', format: (count, group) => group.maxDevices != null ? `${count}/${group.maxDevices}` : count },
+            { key: 'accessWindow', label: 'Window', format: accessWindow => accessWindow && describeAccessWindow(accessWindow) },
+            { key: 'createdBy', label: 'Created By' }
+        ])
+    },
+    
+    'create-group': {
+        usage: '<name>',
+        description: 'Create a device group (--description, --type, --expires, --max-devices and the set-access-window options)',
+        run: (client, args, options) => client.call('create-group', { name: requireGroupName(args[0]), ...groupPolicyOptions(options) }),
+        print: data => `✅ Created group ${data.name} (${data.accessType}, expires ${formatDate(data.expiresAt) || 'never'}, cap ${data.maxDevices ?? 'none'})`
+    },
+    
+    'update-group': {
+        usage: '<name>',
+        description: 'Change a group\'s defaults or device cap (--description, --type, --expires, --max-devices and the set-access-window options)',
+        run: (client, args, options) => {
+            const name = requireGroupName(args[0]);
+            const policy = groupPolicyOptions(options);
+            
+            if (Object.values(policy).every(value => value === undefined)) {
+                throw new UsageError('Nothing to update: pass --description, --type, --expires, --max-devices or access window options');
+            }
+            
+            return client.call('update-group', { name, ...policy });
+        },
+        print: data => `✅ Updated group ${data.name}: ${data.accessType}, expires ${formatDate(data.expiresAt) || 'never'}, cap ${data.maxDevices ?? 'none'}`
+    },
+    
+    'remove-group': {
+        usage: '<name>',
+        description: 'Delete a group; its devices keep their access without a group',
+        run: (client, args) => client.call('remove-group', { name: requireGroupName(args[0]) }),
+        print: data => `✅ Removed group ${data.name} (${data.devicesUngrouped} devices ungrouped)`
+    },
+    
+    'move-devices': {
+        usage: '<mac...>',
+        description: 'Move devices into a group (--group name or --ungroup, --inherit, --transactional)',
+        run: (client, args, options) => {
+            if (args.length === 0) {
+                throw new UsageError('At least one MAC address is required');
+            }
+            if (Boolean(options.group) === options.ungroup) {
+                throw new UsageError('Pass either --group <name> or --ungroup');
+            }
+            
+            args.forEach(mac => requireMAC([mac]));
+            return client.call('move-devices', {
+                macAddresses: args,
+                group: options.ungroup ? null : requireGroupName(options.group),
+                inherit: options.inherit,
+                transactional: options.transactional
+            });
+        },
+        print: (data, result) => formatBulkResults(data, result),
+        printFailure: (data, result) => formatBulkResults(data, result)
+    },
+    
+    'set-group-access': {
+        usage: '<name>',
+        description: 'Change access of every device in a group (--type, --expires, --max-accesses, --max-seats, --extend-days, --add-accesses, --inherit)',
+        run: (client, args, options) => {
+            const name = requireGroupName(args[0]);
+            const update = { ...accessOptions(options), inherit: options.inherit || undefined };
+            
+            if (Object.values(update).every(value => value === undefined)) {
+                throw new UsageError('Nothing to update: pass --type, a trial limit option or --inherit');
+            }
+            
+            return client.call('set-group-access', { name, ...update, transactional: options.transactional });
+        },
+        print: (data, result) => formatBulkResults(data, result),
+        printFailure: (data, result) => formatBulkResults(data, result)
+    },
+    
+    'export': {
+        description: `Export the whitelist (--format ${EXPORT_FORMATS.join('|')}, --output file; default stdout)`,
+        run: async (client, args, options) => {
+            const format = options.format || 'csv';
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new UsageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+            }
+            
+            const result = await client.call('export', { format });
+            if (result.success && options.output) {
+                await fs.writeFile(options.output, result.data.content);
+                result.data = { ...result.data, content: undefined, savedTo: options.output };
+            }
+            return result;
+        },
+        print: data => data.savedTo ? `✅ Exported to ${data.savedTo}` : data.content.trimEnd()
+    },
+    
+    'import': {
+        usage: '<file.csv|file.json>',
+        description: `Import devices from CSV or an exported JSON file (--mode ${IMPORT_MODES.join('|')}, --dry-run)`,
+        run: async (client, args, options) => {
+            if (!args[0]) {
+                throw new UsageError('A CSV or JSON file is required');
+            }
+            
+            const mode = options.mode || 'skip';
+            if (!IMPORT_MODES.includes(mode)) {
+                throw new UsageError(`--mode must be one of: ${IMPORT_MODES.join(', ')}`);
+            }
+            
+            const body = { mode, dryRun: options['dry-run'] };
+            if (args[0].toLowerCase().endsWith('.json')) {
+                const json = await fs.readJson(args[0]);
+                body.entries = Array.isArray(json) ? json : json.macAddresses;
+                if (!Array.isArray(body.entries)) {
+                    throw new UsageError(`${args[0]} must contain an array or an export with "macAddresses"`);
+                }
+            } else {
+                body.csv = await fs.readFile(args[0], 'utf8');
+            }
+            
+            return client.call('import', body);
+        },
+        print: (data, result) => [formatImportPlan(data), '', result.message].join('\n'),
+        printFailure: data => formatImportPlan(data, true)
+    },
+    
+    'list-requests': {
+        description: `List self-service access requests (--status ${ACCESS_REQUEST_STATUSES.join('|')}|all, default pending; --limit N)`,
+        run: (client, args, options) => {
+            const status = options.status || 'pending';
+            if (status !== 'all' && !ACCESS_REQUEST_STATUSES.includes(status)) {
+                throw new UsageError(`--status must be one of: ${ACCESS_REQUEST_STATUSES.join(', ')}, all`);
+            }
+            
+            return client.call('list-access-requests', {
+                status: status === 'all' ? null : status,
+                limit: parseNumber(options.limit, 'limit') ?? 50
+            });
+        },
+        print: data => [
+            formatTable(data.requests, [
+                { key: 'id', label: 'Request' },
+                { key: 'createdAt', label: 'Submitted', format: formatDate },
+                { key: 'macAddresses', label: 'MAC Addresses', format: macs => macs.join(' ') },
+                { key: 'deviceInfo', label: 'Device', format: info => `${info.username || '?'}@${info.hostname || '?'}` },
+                { key: 'note', label: 'Note', format: note => note || null },
+                { key: 'status', label: 'Status' },
+                { key: 'decidedBy', label: 'Decided By' }
+            ]),
+            '',
+            `Showing ${data.requests.length} of ${data.matching} matching requests (${data.pending} pending)`
+        ].join('\n')
+    },
+    
+    'approve-request': {
+        usage: '<request-id>',
+        description: 'Approve an access request and whitelist its device (--type, --description, --group, --expires, --max-accesses)',
+        run: (client, args, options) => {
+            const requestId = requireRequestId(args);
+            const group = options.group ? requireGroupName(options.group) : undefined;
+            const { accessType, expiresAt, maxAccesses } = accessOptions(options);
+            
+            return client.call('approve-access-request', { requestId, accessType, description: options.description, group, expiresAt, maxAccesses });
+        },
+        print: data => `✅ Whitelisted ${[data.device.macAddress, ...data.device.aliases].join(', ')} (${data.device.accessType || `group ${data.device.group}`})`
+    },
+    
+    'reject-request': {
+        usage: '<request-id>',
+        description: 'Reject an access request (--reason, shown to the requesting device)',
+        run: (client, args, options) => client.call('reject-access-request', { requestId: requireRequestId(args), reason: options.reason }),
+        print: data => `✅ Rejected request ${data.request.id}`
+    },
+    
+    'list-sessions': {
+        description: 'List live device sessions (--mac to show one device)',
+        run: (client, args, options) => {
+            if (options.mac && !validateMACAddress(options.mac)) {
+                throw new UsageError(`Invalid MAC address format: ${options.mac}`);
+            }
+            return client.call('list-sessions', { macAddress: options.mac });
+        },
+        print: data => [
+            formatTable(data.sessions, [
+                { key: 'sessionId', label: 'Session' },
+                { key: 'macAddress', label: 'MAC Address' },
+                { key: 'description', label: 'Description' },
+                { key: 'hostname', label: 'Host', format: (hostname, session) => `${session.username || '?'}@${hostname || '?'}` },
+                { key: 'clientIP', label: 'IP' },
+                { key: 'startedAt', label: 'Started', format: formatDate },
+                { key: 'lastHeartbeat', label: 'Last Heartbeat', format: formatDate }
+            ]),
+            '',
+            `${data.total} live sessions`
+        ].join('\n')
+    },
+    
+    'revoke-session': {
+        usage: '[session-id]',
+        description: 'Revoke a live session, or every session of a device with --mac',
+        run: (client, args, options) => {
+            if (Boolean(args[0]) === Boolean(options.mac)) {
+                throw new UsageError('Pass either a session id (see list-sessions) or --mac');
+            }
+            if (options.mac && !validateMACAddress(options.mac)) {
+                throw new UsageError(`Invalid MAC address format: ${options.mac}`);
+            }
+            return client.call('revoke-session', { sessionId: args[0], macAddress: options.mac });
+        },
+        print: data => `✅ Revoked ${data.revoked.length} session(s) of ${data.macAddress}`
+    },
+    
+    'anomalies': {
+        description: `List suspicious access patterns (--status ${ANOMALY_STATUSES.join('|')}|all, default open; --type, --mac, --limit N)`,
+        run: (client, args, options) => {
+            const status = options.status || 'open';
+            if (status !== 'all' && !ANOMALY_STATUSES.includes(status)) {
+                throw new UsageError(`--status must be one of: ${ANOMALY_STATUSES.join(', ')}, all`);
+            }
+            if (options.type && !ANOMALY_TYPES.includes(options.type)) {
+                throw new UsageError(`--type must be one of: ${ANOMALY_TYPES.join(', ')}`);
+            }
+            if (options.mac && !validateMACAddress(options.mac)) {
+                throw new UsageError(`Invalid MAC address format: ${options.mac}`);
+            }
+            
+            return client.call('anomalies', {
+                status: status === 'all' ? null : status,
+                type: options.type || null,
+                macAddress: options.mac || null,
+                limit: parseNumber(options.limit, 'limit') ?? 50
+            });
+        },
+        print: data => [
+            formatTable(data.anomalies, [
+                { key: 'id', label: 'Anomaly' },
+                { key: 'lastDetectedAt', label: 'Detected', format: formatDate },
+                { key: 'type', label: 'Type' },
+                { key: 'macAddress', label: 'Device', format: (mac, anomaly) => mac || `IP ${anomaly.clientIP}` },
+                { key: 'count', label: 'Count', format: (count, anomaly) => `${count} > ${anomaly.threshold}` },
+                { key: 'values', label: 'Seen', format: values => values.join(', ') },
+                { key: 'suspended', label: 'Suspended', format: suspended => suspended ? 'yes' : null },
+                { key: 'status', label: 'Status' }
+            ]),
+            '',
+            `Showing ${data.anomalies.length} of ${data.matching} matching anomalies (${data.open} open)`
+        ].join('\n')
+    },
+    
+    'resolve-anomaly': {
+        usage: '<anomaly-id>',
+        description: 'Mark an anomaly as handled (--reinstate to lift the suspension it caused, --note)',
+        run: (client, args, options) => {
+            if (!args[0]) {
+                throw new UsageError('An anomaly id is required (see anomalies)');
+            }
+            return client.call('resolve-anomaly', { anomalyId: args[0], reinstate: options.reinstate, note: options.note });
+        },
+        print: (data, result) => `✅ ${result.message}`
+    },
+    
+    'get-logs': {
+        description: 'Show access checks (--granted/--denied and the list-macs filters, --limit N)',
+        run: (client, args, options) => {
+            if (options.granted && options.denied) {
+                throw new UsageError('Use either --granted or --denied');
+            }
+            
+            const query = listQueryOptions(options, LOG_SORT_FIELDS);
+            return client.call('get-logs', {
+                ...query,
+                success: options.granted ? true : options.denied ? false : undefined,
+                limit: query.limit ?? 50
+            });
+        },
+        print: data => [
+            formatTable(data.logs, [
+                { key: 'timestamp', label: 'Time', format: formatDate },
+                { key: 'macAddress', label: 'MAC Address' },
+                { key: 'success', label: 'Result', format: success => success ? 'granted' : 'denied' },
+                { key: 'deviceInfo', label: 'Host', format: info => info?.hostname },
+                { key: 'message', label: 'Message' }
+            ]),
+            '',
+            `Showing ${data.logs.length} of ${data.matchingEvents} matching events (${data.totalEvents} total)`
+        ].join('\n') + nextPageHint(data.nextCursor)
+    },
+    
+    'get-audit': {
+        description: 'Show whitelist changes made by admins (--mac, --admin, --action, --since, --until, --limit N)',
+        run: (client, args, options) => {
+            if (options.mac && !validateMACAddress(options.mac)) {
+                throw new UsageError(`Invalid MAC address format: ${options.mac}`);
+            }
+            for (const name of ['since', 'until']) {
+                if (options[name] && Number.isNaN(new Date(options[name]).getTime())) {
+                    throw new UsageError(`--${name} must be a valid date`);
+                }
+            }
+            
+            return client.call('get-audit', {
+                macAddress: options.mac,
+                admin: options.admin,
+                action: options.action,
+                since: options.since,
+                until: options.until,
+                limit: parseNumber(options.limit, 'limit') ?? 50
+            });
+        },
+        print: data => [
+            formatTable(data.events, [
+                { key: 'timestamp', label: 'Time', format: formatDate },
+                { key: 'admin', label: 'Admin' },
+                { key: 'action', label: 'Action' },
+                { key: 'macAddress', label: 'MAC Address' },
+                { key: 'after', label: 'Change', format: (after, event) => describeChange(event.before, after) },
+                { key: 'ip', label: 'IP' }
+            ]),
+            '',
+            `Showing ${data.events.length} of ${data.matchingEvents} matching records`
+        ].join('\n')
+    },
+    
+    maintenance: {
+        description: 'Run database maintenance',
+        run: client => client.call('maintenance')
+    },
+    
+    'create-admin': {
+        usage: '<username>',
+        description: 'Create an admin account (--role; password from SAT_NEW_ADMIN_PASSWORD)',
+        run: (client, args, options) => {
+            const username = requireUsername(args);
+            const role = requireRole(options, 'viewer');
+            
+            // Never taken from argv, where it would be visible in process listings
+            const password = process.env.SAT_NEW_ADMIN_PASSWORD;
+            if (!password) {
+                throw new UsageError('Set SAT_NEW_ADMIN_PASSWORD to the new account\'s password');
+            }
+            
+            return client.call('create-admin', { username, password, role });
+        },
+        print: data => `✅ Created ${data.role} account ${data.username}`
+    },
+    
+    'set-admin-role': {
+        usage: '<username>',
+        description: `Change an admin account's role (--role ${ADMIN_ROLES.join('|')})`,
+        run: (client, args, options) => client.call('set-admin-role', { username: requireUsername(args), role: requireRole(options) }),
+        print: data => `✅ ${data.username} is now ${data.role}`
+    },
+    
+    'list-admins': {
+        description: 'List admin accounts',
+        run: client => client.call('list-admins'),
+        print: data => formatTable(data.admins, [
+            { key: 'username', label: 'Username' },
+            { key: 'role', label: 'Role' },
+            { key: 'createdBy', label: 'Created By' },
+            { key: 'createdAt', label: 'Created', format: formatDate },
+            { key: 'lastLoginAt', label: 'Last Login', format: formatDate }
+        ])
+    },
+    
+    'remove-admin': {
+        usage: '<username>',
+        description: 'Remove an admin account',
+        run: (client, args) => client.call('remove-admin', { username: requireUsername(args) })
+    },
+    
+    'list-lockouts': {
+        description: 'List IPs locked out after failed admin logins (--all: include IPs with recent failures)',
+        run: (client, args, options) => client.call('list-lockouts', { all: options.all }),
+        print: data => [
+            formatTable(data.lockouts, [
+                { key: 'ip', label: 'IP' },
+                { key: 'lockedUntil', label: 'Locked Until', format: (lockedUntil, record) => record.locked ? formatDate(lockedUntil) : '-' },
+                { key: 'lockouts', label: 'Lockouts' },
+                { key: 'failures', label: 'Failures' },
+                { key: 'lastUsername', label: 'Last Username', format: username => username || '-' },
+                { key: 'lastFailureAt', label: 'Last Failure', format: formatDate }
+            ]),
+            '',
+            `${data.locked} locked out, ${data.tracked} tracked`
+        ].join('\n')
+    },
+    
+    'clear-lockout': {
+        usage: '<ip>',
+        description: 'Lift an IP\'s admin lockout and forget its failed logins',
+        run: (client, args) => {
+            if (!args[0]) {
+                throw new UsageError('An IP address is required (see list-lockouts)');
+            }
+            return client.call('clear-lockout', { ip: args[0] });
+        },
+        print: data => data.wasLocked ? `🔓 Lifted the lockout of ${data.ip}` : `✅ Cleared the failed logins of ${data.ip}`
+    }
+};
+
+process.exitCode = await runCli({
+    name: 'npm run admin --',
+    commands,
+    options: {
+        local: { type: 'boolean', default: false, description: 'Use the local database even if a URL is configured' },
+        description: { type: 'string' },
+        type: { type: 'string' },
+        expires: { type: 'string' },
+        'max-accesses': { type: 'string' },
+        'max-seats': { type: 'string' },
+        'extend-days': { type: 'string' },
+        'add-accesses': { type: 'string' },
+        group: { type: 'string' },
+        'max-devices': { type: 'string' },
+        days: { type: 'string', description: 'Access window: comma-separated weekdays (sun,mon,...)' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        timezone: { type: 'string' },
+        'start-date': { type: 'string' },
+        'end-date': { type: 'string' },
+        'clear-window': { type: 'boolean', default: false },
+        ungroup: { type: 'boolean', default: false },
+        inherit: { type: 'boolean', default: false, description: 'Group actions: devices follow the group\'s access type and expiry' },
+        limit: { type: 'string' },
+        role: { type: 'string' },
+        mac: { type: 'string' },
+        admin: { type: 'string' },
+        action: { type: 'string' },
+        status: { type: 'string' },
+        hostname: { type: 'string' },
+        search: { type: 'string' },
+        sort: { type: 'string' },
+        order: { type: 'string' },
+        cursor: { type: 'string' },
+        granted: { type: 'boolean', default: false },
+        denied: { type: 'boolean', default: false },
+        format: { type: 'string' },
+        output: { type: 'string' },
+        mode: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        merge: { type: 'boolean', default: false },
+        reason: { type: 'string' },
+        note: { type: 'string' },
+        reinstate: { type: 'boolean', default: false },
+        all: { type: 'boolean', default: false },
+        transactional: { type: 'boolean', default: false, description: 'Bulk actions: apply every row or none' },
+        since: { type: 'string' },
+        until: { type: 'string' }
+    },
+    open: values => createAdminClient({ local: values.local, dataPath: values['data-path'] })
+});
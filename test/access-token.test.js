@@ -0,0 +1,104 @@
+// access-token.test.js - Tests for Signed Offline Access Tokens
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AccessTokenSigner, verifyAccessToken, generateSigningKey } from '../auth/access-token.js';
+import { WEEKDAYS } from '../auth/access-window.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const signer = (overrides = {}) => new AccessTokenSigner({
+    accessTokenTtl: HOUR,
+    accessTokenGrace: DAY,
+    accessTokenSigningKey: generateSigningKey().privateKey,
+    ...overrides
+});
+
+const ACCESS = {
+    primaryMac: '02:00:00:00:00:01',
+    macAddress: '02:00:00:00:00:02',
+    accessType: 'unlimited',
+    group: null,
+    expiresAt: null,
+    maxAccesses: null,
+    sessionId: 'session-1'
+};
+
+test('an issued token verifies against the published keys', () => {
+    const tokens = signer();
+    const { token } = tokens.issue(ACCESS);
+    
+    const result = verifyAccessToken(token, { keys: tokens.getPublicKeys() }, { macAddresses: ['02:00:00:00:00:01'] });
+    assert.equal(result.valid, true);
+    assert.equal(result.inGrace, false);
+    assert.equal(result.payload.sub, ACCESS.primaryMac);
+    assert.equal(result.payload.accessType, 'unlimited');
+});
+
+test('tokens are bound to their device', () => {
+    const tokens = signer();
+    const { token } = tokens.issue(ACCESS);
+    
+    assert.equal(verifyAccessToken(token, tokens.getPublicKeys(), { macAddresses: ['02:00:00:00:00:02'] }).valid, true);
+    assert.equal(verifyAccessToken(token, tokens.getPublicKeys(), { macAddresses: ['02:00:00:00:00:99'] }).reason, 'Token was issued to a different device');
+});
+
+test('tampered tokens and unknown keys are rejected', () => {
+    const tokens = signer();
+    const [header, payload, signature] = tokens.issue(ACCESS).token.split('.');
+    
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, accessType: 'admin' })).toString('base64url');
+    
+    assert.equal(verifyAccessToken(`${header}.${forged}.${signature}`, tokens.getPublicKeys()).reason, 'Invalid signature');
+    assert.match(verifyAccessToken(`${header}.${payload}.${signature}`, signer().getPublicKeys()).reason, /^Unknown signing key/);
+    assert.equal(verifyAccessToken('not.a-token', tokens.getPublicKeys()).reason, 'Malformed token');
+});
+
+test('expired tokens verify during the grace period only', () => {
+    const tokens = signer();
+    const issued = tokens.issue(ACCESS);
+    const expiresAt = new Date(issued.expiresAt).getTime();
+    const keys = tokens.getPublicKeys();
+    
+    const inGrace = verifyAccessToken(issued.token, keys, { now: expiresAt + HOUR });
+    assert.equal(inGrace.valid, true);
+    assert.equal(inGrace.inGrace, true);
+    
+    assert.equal(verifyAccessToken(issued.token, keys, { now: expiresAt + DAY }).reason, 'Token expired');
+    assert.equal(verifyAccessToken(issued.token, keys, { now: expiresAt + HOUR, maxGrace: HOUR / 2 }).reason, 'Token expired');
+});
+
+test('neither the token nor its grace outlives the entry expiry', () => {
+    const entryExpiry = Date.now() + 30 * 60 * 1000;
+    const issued = signer().issue({ ...ACCESS, accessType: 'trial', expiresAt: new Date(entryExpiry).toISOString() });
+    
+    assert.ok(new Date(issued.expiresAt).getTime() <= entryExpiry);
+    assert.ok(new Date(issued.graceUntil).getTime() <= entryExpiry);
+});
+
+test('devices with an access quota get no grace', () => {
+    const issued = signer().issue({ ...ACCESS, accessType: 'trial', maxAccesses: 10 });
+    assert.equal(issued.graceUntil, issued.expiresAt);
+});
+
+test('tokens signed with a retired key still verify', () => {
+    const oldKey = generateSigningKey();
+    const { token } = signer({ accessTokenSigningKey: oldKey.privateKey }).issue(ACCESS);
+    const rotated = signer({ accessTokenRetiredKeys: oldKey.publicKey.x });
+    
+    assert.equal(verifyAccessToken(token, rotated.getPublicKeys()).valid, true);
+    assert.equal(verifyAccessToken(token, signer().getPublicKeys()).valid, false);
+});
+
+test('tokens do not verify outside the access window', () => {
+    const tokens = signer();
+    const today = WEEKDAYS[new Date().getUTCDay()];
+    const otherDay = WEEKDAYS[(new Date().getUTCDay() + 3) % 7];
+    
+    const inside = tokens.issue({ ...ACCESS, accessWindow: { days: [today] } });
+    const outside = tokens.issue({ ...ACCESS, accessWindow: { days: [otherDay] } });
+    
+    assert.equal(verifyAccessToken(inside.token, tokens.getPublicKeys()).valid, true);
+    assert.equal(verifyAccessToken(outside.token, tokens.getPublicKeys()).reason, 'Outside access window');
+});
@@ -0,0 +1,83 @@
+// action-roles.test.js - Tests for Admin Role Checks in the API Handler
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// The configuration is read from the environment on import, so point it at a
+// scratch database before loading anything that uses it
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-test-'));
+Object.assign(process.env, {
+    DATABASE_PATH: dataPath,
+    ADMIN_SECRET_KEY: 'bootstrap-pass-123456',
+    DATABASE_AUTO_BACKUP: 'false',
+    RATE_LIMIT_STORE: 'memory'
+});
+const { default: handler, ACTION_ROLES } = await import('../api/auth-mac.js');
+const { ADMIN_ROLES } = await import('../auth/admin-auth.js');
+const { callHandler } = await import('./helpers.js');
+
+test.after(() => fs.remove(dataPath));
+
+async function login(username, password) {
+    const response = await callHandler(handler, 'admin-login', { username, password });
+    assert.equal(response.status, 200, `login as ${username}`);
+    return response.body.data.token;
+}
+
+// One signed-in admin per role
+const tokens = {};
+test.before(async () => {
+    tokens.owner = await login('admin', 'bootstrap-pass-123456');
+    for (const role of ['viewer', 'operator']) {
+        const created = await callHandler(handler, 'create-admin', { username: `${role}-user`, password: `${role}-password-123`, role }, { token: tokens.owner });
+        assert.equal(created.status, 200, `create ${role}`);
+        tokens[role] = await login(`${role}-user`, `${role}-password-123`);
+    }
+});
+
+test('every action is refused to roles below its minimum', async () => {
+    for (const [action, requiredRole] of Object.entries(ACTION_ROLES)) {
+        for (const role of ADMIN_ROLES.slice(0, ADMIN_ROLES.indexOf(requiredRole))) {
+            const response = await callHandler(handler, action, {}, { token: tokens[role] });
+            assert.equal(response.status, 403, `${role} calling ${action}`);
+        }
+    }
+});
+
+test('every action is dispatched for roles at or above its minimum', async () => {
+    for (const [action, requiredRole] of Object.entries(ACTION_ROLES)) {
+        const response = await callHandler(handler, action, {}, { token: tokens[requiredRole] });
+        assert.notEqual(response.status, 403, `${requiredRole} calling ${action}`);
+        assert.notEqual(response.body?.message, 'Invalid action specified', `${action} has a handler`);
+    }
+});
+
+test('viewers can read but not change the whitelist', async () => {
+    assert.equal((await callHandler(handler, 'list-macs', {}, { token: tokens.viewer })).status, 200);
+    
+    const added = await callHandler(handler, 'add-mac', { macAddress: '02:00:00:00:00:01', description: 'Test device' }, { token: tokens.viewer });
+    assert.equal(added.status, 403);
+});
+
+test('operators can add devices but only owners can remove them', async () => {
+    const device = { macAddress: '02:00:00:00:00:02', description: 'Test device' };
+    assert.equal((await callHandler(handler, 'add-mac', device, { token: tokens.operator })).status, 200);
+    
+    assert.equal((await callHandler(handler, 'remove-mac', device, { method: 'DELETE', token: tokens.operator })).status, 403);
+    assert.equal((await callHandler(handler, 'remove-mac', device, { method: 'DELETE', token: tokens.owner })).status, 200);
+});
+
+test('admin actions without a role mapping are refused for every role', async () => {
+    for (const role of ADMIN_ROLES) {
+        const response = await callHandler(handler, 'drop-everything', {}, { token: tokens[role] });
+        assert.equal(response.status, 400, role);
+        assert.equal(response.body.message, 'Invalid action specified');
+    }
+});
+
+test('admin actions need a valid session token', async () => {
+    assert.equal((await callHandler(handler, 'list-macs')).status, 401);
+    assert.equal((await callHandler(handler, 'list-macs', {}, { token: 'not-a-token' })).status, 401);
+});
@@ -0,0 +1,95 @@
+// admin-auth.test.js - Tests for Admin Session Tokens and Credential Checks
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import AdminAuth, { safeEqual, hashPassword, verifyPassword } from '../auth/admin-auth.js';
+import { DATABASE_CONFIG } from '../database-config.js';
+import { withDatabase } from './helpers.js';
+
+const PASSWORD = 'bootstrap-pass-123456';
+
+const authConfig = overrides => ({
+    ...DATABASE_CONFIG,
+    adminKey: PASSWORD,
+    adminBootstrapUser: 'admin',
+    adminTokenSecret: 'test-token-secret-0123456789abcdef',
+    ...overrides
+});
+
+const withAuth = (run, overrides = {}) => withDatabase(async macDB => {
+    const auth = new AdminAuth(macDB, authConfig(overrides));
+    await auth.ready;
+    return await run(auth, macDB);
+});
+
+test('a login token authenticates as its admin', () => withAuth(async auth => {
+    const login = await auth.login('admin', PASSWORD);
+    assert.equal(login.success, true);
+    
+    const admin = await auth.authenticate(`Bearer ${login.data.token}`);
+    assert.equal(admin.username, 'admin');
+    assert.equal(admin.role, 'owner');
+}));
+
+test('wrong passwords and unknown usernames fail the same way', () => withAuth(async auth => {
+    const wrongPassword = await auth.login('admin', 'not-the-password');
+    const unknownUser = await auth.login('nobody', PASSWORD);
+    
+    assert.equal(wrongPassword.success, false);
+    assert.deepEqual(unknownUser, wrongPassword);
+}));
+
+test('tampered tokens are rejected', () => withAuth(async auth => {
+    const { data } = await auth.login('admin', PASSWORD);
+    const [body, signature] = data.token.split('.');
+    
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const forgedBody = Buffer.from(JSON.stringify({ ...payload, sub: 'someone-else' })).toString('base64url');
+    const flipped = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+    
+    assert.equal(auth.verifyToken(`${forgedBody}.${signature}`), null);
+    assert.equal(auth.verifyToken(`${body}.${flipped}`), null);
+    assert.equal(auth.verifyToken(body), null);
+    assert.equal(await auth.authenticate(`Bearer ${forgedBody}.${signature}`), null);
+}));
+
+test('tokens signed with another secret are rejected', () => withAuth(async (auth, macDB) => {
+    const other = new AdminAuth(macDB, authConfig({ adminTokenSecret: 'another-secret-0123456789abcdef' }));
+    const { token } = other.issueToken({ username: 'admin' });
+    
+    assert.equal(auth.verifyToken(token), null);
+}));
+
+test('tokens stop working once the session expires', () => withAuth(async auth => {
+    const { data } = await auth.login('admin', PASSWORD);
+    assert.ok(auth.verifyToken(data.token));
+    
+    await sleep(300);
+    assert.equal(auth.verifyToken(data.token), null);
+    assert.equal(await auth.authenticate(`Bearer ${data.token}`), null);
+}, { adminSessionTtl: 200 }));
+
+test('removed admins lose their sessions immediately', () => withAuth(async auth => {
+    await auth.createAdmin('viewer-one', 'viewer-password-123', 'admin', 'viewer');
+    const { data } = await auth.login('viewer-one', 'viewer-password-123');
+    
+    await auth.removeAdmin('viewer-one', 'admin');
+    assert.equal(await auth.authenticate(`Bearer ${data.token}`), null);
+}));
+
+test('safeEqual compares strings of any length without throwing', () => {
+    assert.equal(safeEqual('abc', 'abc'), true);
+    assert.equal(safeEqual('abc', 'abd'), false);
+    assert.equal(safeEqual('abc', 'abcd'), false);
+    assert.equal(safeEqual('', 'a'), false);
+});
+
+test('verifyPassword accepts only the hashed password', () => {
+    const stored = hashPassword(PASSWORD);
+    
+    assert.notEqual(stored, hashPassword(PASSWORD), 'hashes are salted');
+    assert.equal(verifyPassword(PASSWORD, stored), true);
+    assert.equal(verifyPassword('wrong-password', stored), false);
+    assert.equal(verifyPassword(PASSWORD, 'md5$abc'), false);
+    assert.equal(verifyPassword(PASSWORD, null), false);
+});
@@ -0,0 +1,64 @@
+// admin-lockout.test.js - Tests for Admin Lockout Failure Counting
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdminLockout from '../auth/admin-lockout.js';
+import { DATABASE_CONFIG } from '../database-config.js';
+import { withDatabase } from './helpers.js';
+
+const IP = '203.0.113.7';
+
+const withLockout = run => withDatabase(macDB => run(new AdminLockout(macDB, { ...DATABASE_CONFIG, adminLockoutThreshold: 5 })));
+
+test('logging in to another account does not reset failures', () => withLockout(async lockout => {
+    let locked = false;
+    
+    // Four wrong owner passwords, then a viewer login, five times over
+    for (let round = 0; round < 5 && !locked; round++) {
+        for (let attempt = 0; attempt < 4 && !locked; attempt++) {
+            locked = (await lockout.recordFailure(IP, { username: 'owner', reason: 'failed login' })).locked;
+        }
+        await lockout.recordSuccess(IP, 'viewer');
+    }
+    
+    assert.equal(locked, true);
+    assert.equal((await lockout.check(IP)).locked, true);
+}));
+
+test('logging in forgets failures for the same username and session tokens only', () => withLockout(async lockout => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        await lockout.recordFailure(IP, { username: 'Owner', reason: 'failed login' });
+    }
+    await lockout.recordFailure(IP, { username: 'viewer', reason: 'failed login' });
+    await lockout.recordFailure(IP, { reason: 'invalid session token' });
+    
+    await lockout.recordSuccess(IP, 'owner');
+    
+    const { data } = await lockout.listLockouts({ all: true });
+    assert.equal(data.lockouts[0].failures, 1);
+}));
+
+test('logging in forgets failures from an expired session token', () => withLockout(async lockout => {
+    // A client retrying with an expired token, then its admin signing in again
+    for (let round = 0; round < 3; round++) {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            await lockout.recordFailure(IP, { reason: 'invalid session token' });
+        }
+        await lockout.recordSuccess(IP, 'owner');
+    }
+    
+    assert.equal((await lockout.check(IP)).locked, false);
+}));
+
+test('logging in keeps the lockout escalation', () => withLockout(async lockout => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        await lockout.recordFailure(IP, { username: 'owner', reason: 'failed login' });
+    }
+    await lockout.recordFailure(IP, { username: 'owner', reason: 'failed login' });
+    
+    await lockout.recordSuccess(IP, 'owner');
+    
+    const { data } = await lockout.listLockouts({ all: true });
+    assert.equal(data.lockouts[0].lockouts, 1);
+    assert.equal(data.lockouts[0].failures, 0);
+    assert.equal(data.lockouts[0].locked, true);
+}));
@@ -0,0 +1,71 @@
+// bulk-operations.test.js - Tests for Bulk Whitelist Changes and Transactional Rollback
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withDatabase } from './helpers.js';
+
+const listedMACs = async macDB => (await macDB.listMACAddresses()).data.macAddresses.map(entry => entry.macAddress).sort();
+
+test('without transactional, valid rows apply and invalid ones are reported', () => withDatabase(async macDB => {
+    const result = await macDB.bulkAddMACs([
+        { macAddress: '02:00:00:00:00:01', description: 'First' },
+        { macAddress: 'not-a-mac', description: 'Broken' }
+    ]);
+    
+    assert.equal(result.data.summary.added, 1);
+    assert.equal(result.data.summary.failed, 1);
+    assert.deepEqual(await listedMACs(macDB), ['02:00:00:00:00:01']);
+}));
+
+test('a failed row rolls back a transactional batch', () => withDatabase(async macDB => {
+    const result = await macDB.bulkAddMACs([
+        { macAddress: '02:00:00:00:00:01', description: 'First' },
+        { macAddress: '02:00:00:00:00:02', description: 'Second' },
+        { macAddress: 'not-a-mac', description: 'Broken' }
+    ], { transactional: true });
+    
+    assert.equal(result.success, false);
+    assert.equal(result.data.applied, false);
+    assert.deepEqual(result.data.results.map(row => row.status), ['rolled-back', 'rolled-back', 'invalid']);
+    assert.equal(result.data.results[0].intendedStatus, 'added');
+    assert.equal(result.data.summary.added, 0);
+    assert.equal(result.data.summary.rolledBack, 2);
+    assert.deepEqual(await listedMACs(macDB), []);
+}));
+
+test('existing MACs do not fail a transactional bulk-add', () => withDatabase(async macDB => {
+    await macDB.addMACAddress('02:00:00:00:00:01', 'Existing');
+    
+    const result = await macDB.bulkAddMACs([
+        { macAddress: '02:00:00:00:00:01', description: 'Existing again' },
+        { macAddress: '02:00:00:00:00:02', description: 'New' }
+    ], { transactional: true });
+    
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.results.map(row => row.status), ['skipped', 'added']);
+    assert.deepEqual(await listedMACs(macDB), ['02:00:00:00:00:01', '02:00:00:00:00:02']);
+}));
+
+test('a transactional bulk-update leaves every device unchanged on failure', () => withDatabase(async macDB => {
+    await macDB.addMACAddress('02:00:00:00:00:01', 'Trial device', 'trial');
+    
+    const result = await macDB.bulkUpdateMACs([
+        { macAddress: '02:00:00:00:00:01', accessType: 'unlimited' },
+        { macAddress: '02:00:00:00:00:09', accessType: 'unlimited' }
+    ], { transactional: true });
+    
+    assert.equal(result.success, false);
+    assert.equal(result.data.results[0].status, 'rolled-back');
+    assert.equal(result.data.results[1].status, 'not found');
+    
+    const { data } = await macDB.listMACAddresses();
+    assert.equal(data.macAddresses[0].accessType, 'trial');
+}));
+
+test('a transactional bulk-remove keeps every device on failure', () => withDatabase(async macDB => {
+    await macDB.addMACAddress('02:00:00:00:00:01', 'Device');
+    
+    const result = await macDB.bulkRemoveMACs(['02:00:00:00:00:01', '02:00:00:00:00:09'], { transactional: true });
+    
+    assert.equal(result.success, false);
+    assert.deepEqual(await listedMACs(macDB), ['02:00:00:00:00:01']);
+}));
@@ -0,0 +1,32 @@
+// concurrency.test.js - Tests for Cross-Process Write Locking
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { withDatabase } from './helpers.js';
+
+const STRESS_SCRIPT = fileURLToPath(new URL('../scripts/db-stress.js', import.meta.url));
+const TEST_MAC = '02:00:00:00:00:01';
+const WORKERS = 3;
+const CHECKS = 10;
+
+// One db-stress worker process firing CHECKS concurrent checks at the database
+const runWorker = dbPath => promisify(execFile)(process.execPath, [
+    STRESS_SCRIPT, 'worker', dbPath,
+    '--workers', String(WORKERS),
+    '--checks', String(CHECKS),
+    '--backend', 'json'
+]);
+
+test('concurrent checks from several processes lose no updates', { timeout: 120 * 1000 }, () => withDatabase(async (macDB, dbPath) => {
+    await macDB.addMACAddress(TEST_MAC, 'Concurrency test device', 'unlimited');
+    
+    await Promise.all(Array.from({ length: WORKERS }, () => runWorker(dbPath)));
+    
+    const { data } = await macDB.listMACAddresses();
+    assert.equal(data.macAddresses[0].accessCount, WORKERS * CHECKS);
+    
+    const logs = await macDB.getAccessLogs({ limit: null });
+    assert.equal(logs.data.totalEvents, WORKERS * CHECKS);
+}, { maxLogEntries: WORKERS * CHECKS * 2 }));
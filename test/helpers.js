@@ -0,0 +1,42 @@
+// helpers.js - Shared Fixtures for the Test Suite
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import MACDatabase from '../auth/mac-database.js';
+
+// Run a test against a fresh database in a temporary directory, removed afterwards.
+// config overrides DATABASE_CONFIG keys for this database only.
+export async function withDatabase(run, config = {}) {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-test-'));
+    const macDB = new MACDatabase(dbPath, { config: { enableBackups: false, ...config } });
+    
+    try {
+        await macDB.ready;
+        return await run(macDB, dbPath);
+    } finally {
+        await macDB.close();
+        await fs.remove(dbPath);
+    }
+}
+
+// Call an API handler in-process with a mock request and response.
+// Resolves to { status, headers, body }.
+export async function callHandler(handler, action, body = {}, { method = 'POST', token = null, ip = '198.51.100.1', headers = {} } = {}) {
+    const response = { status: 200, headers: {}, body: null };
+    const res = {
+        setHeader: (name, value) => { response.headers[name] = value; },
+        status: code => { response.status = code; return res; },
+        json: data => { response.body = data; return res; },
+        send: data => { response.body = data; return res; },
+        end: () => res
+    };
+    
+    await handler({
+        method,
+        query: { action },
+        body,
+        headers: token ? { ...headers, authorization: `Bearer ${token}` } : headers,
+        socket: { remoteAddress: ip }
+    }, res);
+    return response;
+}
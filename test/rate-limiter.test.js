@@ -0,0 +1,104 @@
+// rate-limiter.test.js - Tests for Rate Limits, Their Headers and Client IP Resolution
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, MemoryRateLimitStore, StorageRateLimitStore, rateLimitHeaders, resolveClientIP } from '../auth/rate-limiter.js';
+import { withDatabase } from './helpers.js';
+
+const POLICIES = { test: { limit: 3, window: 60 * 1000 } };
+
+const request = (remoteAddress, forwardedFor = null) => ({
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+    socket: { remoteAddress }
+});
+
+test('without trusted proxies the socket address is the client', () => {
+    assert.equal(resolveClientIP(request('203.0.113.9', '10.0.0.1')), '203.0.113.9');
+    assert.equal(resolveClientIP(request('::ffff:203.0.113.9')), '203.0.113.9');
+    assert.equal(resolveClientIP({ headers: {} }), 'unknown');
+});
+
+test('only the last trusted hops of X-Forwarded-For are believed', () => {
+    // The client spoofs 1.1.1.1; the proxy appends the address it saw
+    const req = request('10.0.0.2', '1.1.1.1, 198.51.100.7');
+    
+    assert.equal(resolveClientIP(req, 1), '198.51.100.7');
+    assert.equal(resolveClientIP(req, 2), '1.1.1.1');
+    assert.equal(resolveClientIP(req, 5), '1.1.1.1');
+});
+
+test('ports and IPv6 brackets are dropped from forwarded addresses', () => {
+    assert.equal(resolveClientIP(request('10.0.0.2', '198.51.100.7:5678'), 1), '198.51.100.7');
+    assert.equal(resolveClientIP(request('10.0.0.2', '[2001:DB8::1]:443'), 1), '2001:db8::1');
+});
+
+test('a policy allows limit hits per key', async () => {
+    const limiter = new RateLimiter(POLICIES);
+    const results = [];
+    for (let hit = 0; hit < 4; hit++) {
+        results.push(await limiter.consume('test', 'client-a'));
+    }
+    
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.equal((await limiter.consume('test', 'client-b')).allowed, true);
+});
+
+test('check reports the limit without counting a hit', async () => {
+    const limiter = new RateLimiter(POLICIES);
+    for (let hit = 0; hit < 2; hit++) {
+        await limiter.consume('test', 'client');
+    }
+    
+    assert.equal((await limiter.check('test', 'client')).allowed, true);
+    assert.equal((await limiter.check('test', 'client')).allowed, true);
+    await limiter.consume('test', 'client');
+    assert.equal((await limiter.check('test', 'client')).allowed, false);
+});
+
+test('a failing store lets requests through and says so', async () => {
+    const store = new MemoryRateLimitStore();
+    store.increment = async () => { throw new Error('store unavailable'); };
+    const limiter = new RateLimiter(POLICIES, { store });
+    
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const result = await limiter.consume('test', 'client');
+        assert.equal(result.allowed, true);
+        assert.equal(result.limited, false);
+        assert.equal(result.failedOpen, true);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('RateLimit headers describe the policy and Retry-After appears once limited', async () => {
+    const limiter = new RateLimiter(POLICIES);
+    
+    const allowed = rateLimitHeaders(await limiter.consume('test', 'client'));
+    assert.equal(allowed['RateLimit-Policy'], '3;w=60');
+    assert.equal(allowed['RateLimit-Limit'], '3');
+    assert.equal(allowed['RateLimit-Remaining'], '2');
+    assert.ok(Number(allowed['RateLimit-Reset']) <= 60);
+    assert.equal(allowed['Retry-After'], undefined);
+    
+    await limiter.consume('test', 'client');
+    await limiter.consume('test', 'client');
+    const limited = rateLimitHeaders(await limiter.consume('test', 'client'));
+    assert.equal(limited['RateLimit-Remaining'], '0');
+    assert.equal(limited['Retry-After'], limited['RateLimit-Reset']);
+    
+    assert.deepEqual(rateLimitHeaders(await new RateLimiter(POLICIES, { enabled: false }).consume('test', 'client')), {});
+});
+
+test('the storage store shares counters and prunes expired ones', () => withDatabase(async macDB => {
+    const store = new StorageRateLimitStore(macDB.storage, { ready: macDB.ready });
+    const now = Date.now();
+    
+    await Promise.all([1, 2, 3].map(() => store.increment('client', 1000, now)));
+    assert.equal((await store.get('client', now)).count, 3);
+    assert.equal((await new StorageRateLimitStore(macDB.storage).get('client', now)).count, 3);
+    
+    await store.prune(now + 2000);
+    assert.equal(await store.get('client', now), null);
+}));
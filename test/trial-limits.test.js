@@ -0,0 +1,60 @@
+// trial-limits.test.js - Tests for Trial Expiry and Access Quotas in checkAccess
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withDatabase } from './helpers.js';
+
+const MAC = '02:00:00:00:00:01';
+const DEVICE = { hostname: 'test-host', platform: 'linux' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+test('a trial is allowed until it expires', () => withDatabase(async macDB => {
+    await macDB.addMACAddress(MAC, 'Trial device', 'trial', { expiresAt: daysFromNow(7) });
+    
+    const result = await macDB.checkAccess([MAC], DEVICE);
+    assert.equal(result.success, true);
+}));
+
+test('an expired trial is denied', () => withDatabase(async macDB => {
+    await macDB.addMACAddress(MAC, 'Trial device', 'trial', { expiresAt: daysFromNow(-1) });
+    
+    const result = await macDB.checkAccess([MAC], DEVICE);
+    assert.equal(result.success, false);
+    assert.equal(result.reason, 'trial expired');
+}));
+
+test('expiry only applies to trials', () => withDatabase(async macDB => {
+    await macDB.addMACAddress(MAC, 'Licensed device', 'unlimited', { expiresAt: daysFromNow(-1) });
+    
+    assert.equal((await macDB.checkAccess([MAC], DEVICE)).success, true);
+}));
+
+test('a trial is denied once its access quota is used up', () => withDatabase(async macDB => {
+    await macDB.addMACAddress(MAC, 'Trial device', 'trial', { maxAccesses: 2 });
+    
+    const first = await macDB.checkAccess([MAC], DEVICE);
+    const second = await macDB.checkAccess([MAC], DEVICE);
+    const third = await macDB.checkAccess([MAC], DEVICE);
+    
+    assert.equal(first.success, true);
+    assert.equal(first.data.remainingAccesses, 1);
+    assert.equal(second.data.remainingAccesses, 0);
+    assert.equal(third.success, false);
+    assert.equal(third.reason, 'quota exhausted');
+    
+    // Denied checks don't use up the quota
+    const { data } = await macDB.listMACAddresses();
+    assert.equal(data.macAddresses[0].accessCount, 2);
+}));
+
+test('extending a trial restores access', () => withDatabase(async macDB => {
+    await macDB.addMACAddress(MAC, 'Trial device', 'trial', { expiresAt: daysFromNow(-1), maxAccesses: 1 });
+    await macDB.checkAccess([MAC], DEVICE);
+    
+    await macDB.updateMACAccess(MAC, 'trial', { extendDays: 7, addAccesses: 5 });
+    
+    const result = await macDB.checkAccess([MAC], DEVICE);
+    assert.equal(result.success, true);
+    assert.equal(result.data.remainingAccesses, 5);
+}));
@@ -0,0 +1,73 @@
+// whitelist-import.test.js - Tests for CSV Whitelist Import Modes and Dry Runs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWhitelistCSV, toCSV } from '../auth/whitelist-csv.js';
+import { withDatabase } from './helpers.js';
+
+const EXISTING = '02:00:00:00:00:01';
+const NEW = '02:00:00:00:00:02';
+
+const CSV = [
+    'MAC Address,Name,Expires',
+    `${EXISTING},Renamed laptop,`,
+    `${NEW},New laptop,2099-01-01T00:00:00.000Z`
+].join('\r\n');
+
+// A whitelist with one unlimited device, then CSV imported in the given mode
+const importInto = (options, run) => withDatabase(async macDB => {
+    await macDB.addMACAddress(EXISTING, 'Office laptop', 'unlimited');
+    const result = await macDB.importWhitelist(parseWhitelistCSV(CSV), options);
+    const { data } = await macDB.listMACAddresses();
+    const entries = Object.fromEntries(data.macAddresses.map(entry => [entry.macAddress, entry]));
+    return await run(result, entries);
+});
+
+test('skip mode adds new devices and leaves existing ones alone', () => importInto({ mode: 'skip' }, (result, entries) => {
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.plan.map(row => row.action), ['skip', 'add']);
+    assert.equal(entries[EXISTING].description, 'Office laptop');
+    assert.equal(entries[NEW].description, 'New laptop');
+    assert.equal(entries[NEW].accessType, 'trial');
+}));
+
+test('merge mode only applies the columns a row fills in', () => importInto({ mode: 'merge' }, (result, entries) => {
+    assert.equal(result.data.summary.merge, 1);
+    assert.equal(entries[EXISTING].description, 'Renamed laptop');
+    assert.equal(entries[EXISTING].accessType, 'unlimited');
+}));
+
+test('overwrite mode replaces existing settings with the row', () => importInto({ mode: 'overwrite' }, (result, entries) => {
+    assert.equal(result.data.summary.overwrite, 1);
+    assert.equal(entries[EXISTING].description, 'Renamed laptop');
+    assert.equal(entries[EXISTING].accessType, 'trial');
+}));
+
+test('a dry run reports the plan without changing the whitelist', () => importInto({ mode: 'overwrite', dryRun: true }, (result, entries) => {
+    assert.equal(result.success, true);
+    assert.equal(result.data.dryRun, true);
+    assert.deepEqual(result.data.plan.map(row => row.action), ['overwrite', 'add']);
+    assert.equal(entries[EXISTING].description, 'Office laptop');
+    assert.equal(entries[NEW], undefined);
+}));
+
+test('an invalid row stops the whole import', () => withDatabase(async macDB => {
+    const rows = parseWhitelistCSV(`mac,name,type\n${NEW},Laptop,trial\nnot-a-mac,Broken,trial\n${EXISTING},Bad type,forever`);
+    const result = await macDB.importWhitelist(rows, { mode: 'skip' });
+    
+    assert.equal(result.success, false);
+    assert.equal(result.data.summary.invalid, 2);
+    assert.deepEqual((await macDB.listMACAddresses()).data.macAddresses, []);
+}));
+
+test('an unknown mode is refused', () => withDatabase(async macDB => {
+    const result = await macDB.importWhitelist(parseWhitelistCSV(CSV), { mode: 'replace-all' });
+    assert.equal(result.success, false);
+    assert.match(result.message, /Invalid import mode/);
+}));
+
+test('formula-guarded cells import as they were exported', () => {
+    for (const description of ['=SUM(A1)', '+1 555 0100', '-draft', '@home', '\tindented']) {
+        const [row] = parseWhitelistCSV(toCSV([{ macAddress: NEW, description }], ['macAddress', 'description']));
+        assert.equal(row.description, description);
+    }
+});